@@ -1,15 +1,21 @@
 /**
  * Simple HTTP Request Logger with SQLite Persistence and WebSocket-based Fingerprinting
  *
- * A minimal Express.js app that logs every incoming HTTP request to an SQLite database
- * stored in the OS temp directory. It exposes logs as JSON at '/logs' and serves an
- * HTML page with embedded detailed fingerprinting via WebSocket at '/' and HTML logs
- * view at '/logs' when requested by browsers. Fingerprint scripts run on both pages
- * and include the origin path. Requires 'express', 'sqlite3', and 'ws'.
+ * A minimal Express.js app that logs every incoming HTTP request, with its outcome,
+ * to an SQLite database at DB_PATH (default: logs.db in the OS temp directory), and
+ * serves test pages whose collector (public/fp.js) reports browser fingerprints over
+ * a WebSocket. The viewer lists requests at '/logs' and '/', fingerprints at
+ * '/fingerprints', one page load at '/visits/:id', and the '/dom' injection monitor's
+ * findings at '/dom/events'. Each feature is described in its lib/*.js module; the
+ * routes below name the module they use. Settings live in config/*.json and in
+ * environment variables such as ADMIN_TOKEN, TRUST_PROXY and MAX_BODY_BYTES.
+ * '/admin/status' and '/admin/retention' report the schema version and pruning.
+ * Unhandled paths fall through to a honeypot (lib/honeypot.js).
+ * Requires 'express', 'sqlite3', 'ws' and 're2'.
  *
  * Setup:
  *   1. npm init -y
- *   2. npm install express sqlite3 ws
+ *   2. npm install express sqlite3 ws re2
  *   3. node index.js
  */
 
@@ -17,1012 +23,976 @@ const express = require('express');
 const http = require('http');
 const path = require('path');
 const os = require('os');
+const fs = require('fs');
 const sqlite3 = require('sqlite3').verbose();
 const WebSocket = require('ws');
+const { trustProxy, clientIp, connectionInfo } = require('./lib/net');
+const { maxBodyBytes, captureBody, serializeBody } = require('./lib/body');
+const { newVisitId, isVisitId, loadVisit, loadVisitHeaders } = require('./lib/visits');
+const { analyzeConsistency } = require('./lib/consistency');
+const { normalizeIp, measureRtt, analyzeNetwork } = require('./lib/network');
+const { MAX_MESSAGE_BYTES, createQuota } = require('./lib/quota');
+const {
+  EVENT_KINDS,
+  parseDomBatch,
+  insertDomEvents,
+  parseDomEventQuery,
+  listDomEventVisits,
+  loadDomEvents,
+  formatDomEventVisit,
+  formatDomEvent
+} = require('./lib/dom');
+const { loadSignatures, classifyNode } = require('./lib/signatures');
+const {
+  loadProbes,
+  formatProbes,
+  parseProbeResults,
+  insertProbeResults,
+  probeSummary,
+  loadProbeResults,
+  formatProbeResults
+} = require('./lib/probes');
+const {
+  loadBaitScenarios,
+  selectScenarios,
+  renderBait,
+  parseBaitBatch,
+  insertBaitEvents,
+  loadBaitEvents,
+  formatBaitEvent,
+  summarizeBait
+} = require('./lib/bait');
+const { loadRules, scoreFingerprint } = require('./lib/scoring');
+const { COLLECTOR_PATH, COLLECTOR_VERSION, collectorScriptTag } = require('./lib/collector');
+const { createLiveFeed } = require('./lib/live');
+const { createAuth, safeNext } = require('./lib/auth');
+const { loadRedactionConfig, createRedactor } = require('./lib/redact');
+const { parseLogQuery, queryLogs, getLog, formatLogRow, filterQueryString } = require('./lib/query');
+const {
+  escapeHtml,
+  renderFilterForm,
+  renderPager,
+  renderOutcome,
+  renderBody,
+  renderExportLinks,
+  renderFindings,
+  renderNetwork,
+  renderRisk
+} = require('./lib/html');
+const { migrate, schemaStatus } = require('./lib/migrations');
+const { loadRetentionConfig, createRetention } = require('./lib/retention');
+const { loadHoneypotRules, createHoneypot } = require('./lib/honeypot');
+const { FORMATS, sendExport } = require('./lib/export');
+const { importMaxBytes, importLogs } = require('./lib/import');
+const { parseReplayTargets, createReplayer, formatReplayRow } = require('./lib/replay');
+const {
+  loadIdentityConfig,
+  createIdentity,
+  isVisitorId,
+  listVisitors,
+  loadVisitor,
+  formatVisitor
+} = require('./lib/identity');
+const {
+  normalizeCanvas,
+  recordCanvasHash,
+  storeCanvasImage,
+  getCanvasImage,
+  parseCanvasQuery,
+  canvasReport,
+  formatCanvasReport
+} = require('./lib/canvas');
+const {
+  insertFingerprint,
+  getFingerprint,
+  parseFingerprintQuery,
+  queryFingerprints,
+  formatFingerprintRow
+} = require('./lib/fingerprints');
 
 const app = express();
 const server = http.createServer(app);
 const port = process.env.PORT || 3000;
 
-// JSON parsing for any future needs
-app.use(express.json());
+// Which proxy's forwarding headers name the client (TRUST_PROXY=fly|xff; unset: none)
+const trustedProxy = trustProxy();
 
-// Initialize SQLite database
-const dbPath = path.join(os.tmpdir(), 'logs.db');
+// Risk scoring rules (config/risk-rules.json unless RISK_RULES_PATH is set)
+const riskRules = loadRules();
+
+// Header/body redaction applied before rows are written (config/redaction.json)
+const redactor = createRedactor(loadRedactionConfig());
+
+// Catch-all fake endpoints for scanners (config/honeypot.json)
+const honeypotConfig = loadHoneypotRules();
+
+// Known extension and agent markup for labelling '/dom' injections (config/extension-signatures.json)
+const extensionSignatures = loadSignatures();
+
+// Extensions the '/dom' page probes for (config/extension-probes.json)
+const extensionProbes = loadProbes();
+
+// Fake forms and links shown on '/dom' (config/bait-scenarios.json)
+const baitScenarios = loadBaitScenarios();
+
+// Subscribers to newly inserted log and fingerprint entries
+const liveFeed = createLiveFeed();
+
+// Viewer/API authentication (ADMIN_TOKEN and/or BASIC_AUTH_USER + BASIC_AUTH_PASSWORD)
+const auth = createAuth();
+const { requireAuth } = auth;
+if (!auth.enabled) {
+  console.warn('No ADMIN_TOKEN or BASIC_AUTH_USER/BASIC_AUTH_PASSWORD set: log viewer and APIs are public');
+}
+
+// Initialize SQLite database. Set DB_PATH to somewhere persistent (e.g. a mounted
+// volume); the default in the OS temp directory is lost when the machine restarts.
+const dbPath = process.env.DB_PATH || path.join(os.tmpdir(), 'logs.db');
+fs.mkdirSync(path.dirname(dbPath), { recursive: true });
 const db = new sqlite3.Database(dbPath, err => {
   if (err) console.error('DB connection error:', err.message);
   else console.log(`Connected to SQLite DB at ${dbPath}`);
 });
 
-db.serialize(() => {
-  db.run(`
-    CREATE TABLE IF NOT EXISTS logs (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      method TEXT,
-      url TEXT,
-      headers TEXT,
-      body TEXT,
-      timestamp TEXT
-    )
-  `);
-});
+const retention = createRetention(db, loadRetentionConfig());
+const replayer = createReplayer(db, { targets: parseReplayTargets(), maxResponseBytes: maxBodyBytes() });
 
-// Middleware: log every HTTP request (method, url, headers, body, timestamp)
+// Visitor IDs across visits (config/identity.json); every browser gets a first-party cookie token
+const identity = createIdentity(db, loadIdentityConfig());
+app.use(identity.cookieMiddleware);
+
+// Middleware: log every HTTP request (method, url, headers, body, timestamp) and
+// its outcome (status, duration, response size). The row is written once the
+// response has finished, or when the client goes away first.
+// Each request gets a visit ID that pages embed in their fingerprint script.
+// Sensitive headers and body fields are redacted before the row is written.
 app.use((req, res, next) => {
-  const { method, originalUrl: url, headers, body } = req;
+  const started = process.hrtime();
+  const { method, originalUrl: url } = req;
   const timestamp = new Date().toISOString();
-  const headersStr = JSON.stringify(headers);
-  const bodyStr = body && Object.keys(body).length ? JSON.stringify(body) : '';
-  db.run(
-    `INSERT INTO logs(method,url,headers,body,timestamp) VALUES(?,?,?,?,?)`,
-    [method, url, headersStr, bodyStr, timestamp]
-  );
+  const visitId = newVisitId();
+  const ip = clientIp(req, trustedProxy);
+  const { protocol, tls } = connectionInfo(req, trustedProxy);
+  res.locals.visitId = visitId;
+
+  // Count body bytes as they are written; Content-Length is missing when streaming
+  let responseBytes = 0;
+  const { write, end } = res;
+  const count = (chunk, encoding) => {
+    if (chunk && typeof chunk !== 'function') {
+      responseBytes += Buffer.isBuffer(chunk) ? chunk.length
+        : Buffer.byteLength(String(chunk), typeof encoding === 'string' ? encoding : 'utf8');
+    }
+  };
+  res.write = function (chunk, encoding, ...rest) {
+    count(chunk, encoding);
+    return write.call(this, chunk, encoding, ...rest);
+  };
+  res.end = function (chunk, encoding, ...rest) {
+    count(chunk, encoding);
+    return end.call(this, chunk, encoding, ...rest);
+  };
+
+  let logged = false;
+  const log = () => {
+    if (logged) return;
+    logged = true;
+    const [seconds, nanos] = process.hrtime(started);
+    const durationMs = Math.round((seconds * 1e3 + nanos / 1e6) * 100) / 100;
+    const status = res.headersSent ? res.statusCode : null;
+    const { headers, redacted: headerRedactions } = redactor.redactHeaders(req.headers);
+    const captured = serializeBody(req, redactor);
+    const headersStr = JSON.stringify(headers);
+    const redacted = headerRedactions.concat(captured.redacted);
+    const redactedStr = redacted.length ? JSON.stringify(redacted) : null;
+    const tlsStr = tls ? JSON.stringify(tls) : null;
+    const row = {
+      method, url, headers: headersStr, body: captured.body, timestamp, visit_id: visitId, redacted: redactedStr,
+      ip, status, duration_ms: durationMs, response_bytes: responseBytes, protocol, tls: tlsStr,
+      content_type: captured.contentType, body_encoding: captured.encoding, body_size: captured.size,
+      body_truncated: captured.truncated ? 1 : 0,
+      honeypot_rules: res.locals.honeypotRules ? JSON.stringify(res.locals.honeypotRules) : null
+    };
+    const columns = Object.keys(row);
+    db.run(
+      `INSERT INTO logs(${columns.join(',')}) VALUES(${columns.map(() => '?').join(',')})`,
+      Object.values(row),
+      function (err) {
+        if (err) return console.error('Log insert error:', err.message);
+        liveFeed.publish('log', formatLogRow({ id: this.lastID, ...row }));
+      }
+    );
+  };
+  res.on('finish', log);
+  res.on('close', log);
   next();
 });
 
+// Capture raw bodies of every content type, up to MAX_BODY_BYTES (lib/body.js);
+// JSON and URL-encoded bodies are also parsed into req.body. Imports read their own.
+// Mounted after the logger so upload time counts towards the duration and broken
+// or aborted uploads are still logged.
+app.use(captureBody({ skip: req => req.method === 'POST' && req.path === '/import' }));
+
 // robots.txt
 app.get('/robots.txt', (req, res) => {
   res.type('text/plain');
-  res.send(`User-agent: *\nDisallow: /logs`);
+  res.send(`User-agent: *\nDisallow: /logs\nDisallow: /fingerprints\nDisallow: /visits\nDisallow: /export\nDisallow: /canvas\nDisallow: /visitors\nDisallow: /dom/events`);
+});
+
+// Hidden form field carrying the session's CSRF token, for POST forms on viewer pages
+function csrfInput(req) {
+  const token = auth.csrfToken(req);
+  return token ? `<input type="hidden" name="_csrf" value="${escapeHtml(token)}">` : '';
+}
+
+// Login page for the viewer; starts a session
+function renderLoginPage(next, error) {
+  const fields = [];
+  if (auth.basicEnabled) {
+    fields.push(`
+      <label>Username<input name="username" autocomplete="username"></label>
+      <label>Password<input name="password" type="password" autocomplete="current-password"></label>`);
+  }
+  if (auth.tokenEnabled) {
+    fields.push(`
+      <label>Admin token<input name="token" type="password" autocomplete="off"></label>`);
+  }
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Sign in</title>
+  <style>
+    body { background-color: #1a1a1a; color: #e0e0e0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; padding: 20px; }
+    form { max-width: 320px; margin: 60px auto; background-color: #2d2d2d; border: 1px solid #555; border-radius: 8px; padding: 20px; }
+    label { display: block; margin-bottom: 12px; font-size: 14px; }
+    input { display: block; width: 100%; box-sizing: border-box; margin-top: 4px; padding: 6px; }
+    button { background-color: #007bff; color: white; border: none; border-radius: 6px; padding: 8px 16px; cursor: pointer; }
+    .error { color: #dc3545; }
+    .or { color: #b0b0b0; font-size: 12px; margin: 0 0 12px; }
+  </style>
+</head>
+<body>
+  <form method="post" action="/login">
+    <h1 style="font-size: 18px; margin-top: 0;">🔒 Sign in</h1>
+    ${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+    <input type="hidden" name="next" value="${escapeHtml(next)}">
+    ${fields.join('<p class="or">or</p>')}
+    <button type="submit">Sign in</button>
+  </form>
+</body>
+</html>`;
+}
+
+app.get('/login', (req, res) => {
+  const next = safeNext(req.query.next);
+  if (!auth.enabled || auth.isAuthenticated(req)) return res.redirect(next);
+  res.send(renderLoginPage(next));
+});
+
+app.post('/login', (req, res) => {
+  const { username, password, token } = req.body || {};
+  const next = safeNext(req.body && req.body.next);
+  if (!auth.enabled) return res.redirect(next);
+  if (!auth.checkCredentials({ username, password, token })) {
+    return res.status(401).send(renderLoginPage(next, 'Invalid credentials'));
+  }
+  res.append('Set-Cookie', auth.sessionCookie(req));
+  res.redirect(303, next);
+});
+
+app.post('/logout', (req, res) => {
+  if (!auth.checkCsrf(req)) return res.status(403).type('text/plain').send('Invalid or missing CSRF token');
+  auth.endSession(req);
+  res.append('Set-Cookie', auth.clearCookie());
+  res.redirect(303, auth.enabled ? '/login' : '/');
+});
+
+// Fingerprint collector, embeddable on any page with <script src=".../fp.js">
+app.get('/fp.js', (req, res) => {
+  res.set({
+    'X-Collector-Version': COLLECTOR_VERSION,
+    'Cross-Origin-Resource-Policy': 'cross-origin',
+    'Cache-Control': 'public, max-age=300'
+  });
+  res.type('application/javascript');
+  res.sendFile(COLLECTOR_PATH);
 });
 
 // Content negotiation on '/logs'
-app.get('/logs', (req, res) => {
-  db.all(`SELECT method,url,headers,body,timestamp FROM logs ORDER BY id DESC`, (err, rows) => {
+app.get('/logs', requireAuth, (req, res) => {
+  const wantsHtml = req.accepts('html');
+  const { filters, errors } = parseLogQuery(req.query);
+  if (errors.length) {
+    if (!wantsHtml) return res.status(400).json({ error: errors.join('; ') });
+    return res.status(400).type('text/plain').send(errors.join('\n'));
+  }
+
+  queryLogs(db, filters, (err, { rows, nextCursor } = {}) => {
     if (err) return res.status(500).json({ error: err.message });
 
-    // JSON API
-    if (!req.accepts('html')) {
-      const result = rows.map(r => ({
-        method: r.method,
-        url: r.url,
-        headers: JSON.parse(r.headers || '{}'),
-        body: r.body ? JSON.parse(r.body) : {},
-        timestamp: r.timestamp
-      }));
-      return res.json(result);
+    // JSON API: one bounded page as a bare array, as it always was, with the next page's cursor
+    // in the headers. `envelope=1` returns { logs, page } instead.
+    if (!wantsHtml) {
+      const envelope = req.query.envelope === '1';
+      if (nextCursor) {
+        const next = filterQueryString(req.query, { cursor: nextCursor, envelope: envelope ? 1 : null });
+        res.set('Link', `<${req.path}${next}>; rel="next"`);
+        res.set('X-Next-Cursor', String(nextCursor));
+      }
+      const logs = rows.map(formatLogRow);
+      if (!envelope) return res.json(logs);
+      return res.json({ logs, page: { limit: filters.limit, nextCursor } });
     }
 
     // HTML view with fingerprinting script
     const entriesHtml = rows.map(r => `
       <div style="margin-bottom:1em;padding:.5em;border:1px solid #ccc;">
-        <h2>[${r.timestamp}] ${r.method} ${r.url}</h2>
+        <h2>[${escapeHtml(r.timestamp)}] ${escapeHtml(r.method)} ${escapeHtml(r.url)} <small><a href="/logs/${r.id}">#${r.id}</a></small></h2>
+        ${renderOutcome(r)}
+        ${r.visit_id ? `<p><a href="/visits/${r.visit_id}">Visit ${r.visit_id}</a></p>` : ''}
+        ${r.redacted ? `<p><small>Redacted: ${escapeHtml(JSON.parse(r.redacted).join(', '))}</small></p>` : ''}
         <h3>Headers:</h3>
-        <pre style="white-space:pre-wrap;overflow-x:auto;">${JSON.stringify(JSON.parse(r.headers||'{}'),null,2)}</pre>
-        ${r.body ? `<h3>Body:</h3><pre style="white-space:pre-wrap;overflow-x:auto;">${JSON.stringify(JSON.parse(r.body),null,2)}</pre>` : ''}
+        <pre style="white-space:pre-wrap;overflow-x:auto;">${escapeHtml(JSON.stringify(JSON.parse(r.headers || '{}'), null, 2))}</pre>
+        ${renderBody(r, ' style="white-space:pre-wrap;overflow-x:auto;"')}
       </div>
     `).join('');
 
-    const script = `
-<script>
-(function(){
-  function getCanvasFingerprint(){
-    const canvas=document.createElement('canvas');
-    const ctx=canvas.getContext('2d');
-    ctx.textBaseline='top';ctx.font='16px Arial';
-    ctx.fillStyle='#f60';ctx.fillRect(125,1,62,20);
-    ctx.fillStyle='#069';ctx.fillText('FPJS',2,15);
-    ctx.fillStyle='rgba(102,204,0,0.7)';ctx.fillText('FPJS',4,17);
-    return canvas.toDataURL();
+    const script = collectorScriptTag(res.locals.visitId);
+
+    res.send(`<!DOCTYPE html><html><head><meta charset="utf-8"><title>Logs</title></head><body>
+<h1>Logs (HTML + WS Fingerprint)</h1>
+${renderFilterForm('/logs', req.query)}
+${renderExportLinks('logs', FORMATS.logs, req.query)}
+${entriesHtml || '<p>No matching requests.</p>'}
+${renderPager('/logs', req.query, nextCursor)}
+${script}
+</body></html>`);
+  });
+});
+
+// Streamed exports: /export/logs.{ndjson,csv,har} and /export/fingerprints.{ndjson,csv},
+// taking the same filters as '/logs' and '/fingerprints'
+app.get('/export/:file', requireAuth, (req, res) => {
+  const [kind, format, extra] = req.params.file.split('.');
+  if (extra !== undefined || !FORMATS[kind] || !FORMATS[kind].includes(format)) {
+    const files = Object.entries(FORMATS).flatMap(([k, formats]) => formats.map(f => `${k}.${f}`));
+    return res.status(404).json({ error: `Unknown export; use one of ${files.join(', ')}` });
   }
-  
-  // DevTools detection (multiple heuristics)
-  function detectBrowserDevTools() {
-    try {
-      // Heuristic 1: Console inspection via Proxy trap
-      let byProxy = false;
-      const trap = Object.create(new Proxy({}, { ownKeys() { byProxy = true; } }));
-      console.groupEnd(trap);
-
-      // Heuristic 2: Size-based detection
-      const widthGap = Math.abs((window.outerWidth || 0) - (window.innerWidth || 0));
-      const heightGap = Math.abs((window.outerHeight || 0) - (window.innerHeight || 0));
-      const byGap = widthGap > 160 || heightGap > 160; // typical devtools dock sizes
-
-      // Heuristic 3: Debugger timing
-      let byTiming = false;
-      const start = performance.now();
-      // eslint-disable-next-line no-debugger
-      debugger; // when open, this may add measurable delay
-      if (performance.now() - start > 50) byTiming = true;
-
-      return byProxy || byGap || byTiming;
-    } catch (_e) {
-      return false;
+  const { filters, errors } = kind === 'logs' ? parseLogQuery(req.query) : parseFingerprintQuery(req.query);
+  if (errors.length) return res.status(400).json({ error: errors.join('; ') });
+  sendExport(db, kind, format, filters, res, err => {
+    if (err) console.error(`Export of ${kind}.${format} failed:`, err.message);
+  });
+});
+
+// Fingerprints submitted over the WebSocket, as JSON or an HTML table
+app.get('/fingerprints', requireAuth, (req, res) => {
+  const wantsHtml = req.accepts('html');
+  const { filters, errors } = parseFingerprintQuery(req.query);
+  if (errors.length) {
+    if (!wantsHtml) return res.status(400).json({ error: errors.join('; ') });
+    return res.status(400).type('text/plain').send(errors.join('\n'));
+  }
+
+  queryFingerprints(db, filters, (err, { rows, nextCursor } = {}) => {
+    if (err) return res.status(500).json({ error: err.message });
+
+    if (!wantsHtml) {
+      return res.json({
+        fingerprints: rows.map(formatFingerprintRow),
+        page: { limit: filters.limit, nextCursor }
+      });
     }
+
+    const flag = v => (v === null ? '' : v ? 'yes' : 'no');
+    const rowsHtml = rows.map(r => `
+      <tr>
+        <td>${r.id}</td>
+        <td>${escapeHtml(r.timestamp)}</td>
+        <td>${r.visit_id ? `<a href="/visits/${escapeHtml(r.visit_id)}">${escapeHtml(r.visit_id.slice(0, 8))}</a>` : ''}</td>
+        <td>${r.visitor_id ? `<a href="/visitors/${escapeHtml(r.visitor_id)}" title="${escapeHtml(r.visitor_match)} match">${escapeHtml(r.visitor_id.slice(0, 8))}</a>` : ''}</td>
+        <td>${escapeHtml(r.origin)}</td>
+        <td>${escapeHtml(r.user_agent)}</td>
+        <td>${escapeHtml(r.platform)}</td>
+        <td>${escapeHtml(r.timezone)}</td>
+        <td>${flag(r.webdriver)}</td>
+        <td>${flag(r.headless)}</td>
+        <td>${flag(r.devtools_detected)}${r.devtools_method && r.devtools_method !== 'none' ? ` (${escapeHtml(r.devtools_method)})` : ''}</td>
+        <td>${r.canvas_hash ? `<a href="/fingerprints?canvasHash=${escapeHtml(r.canvas_hash)}"><code>${escapeHtml(r.canvas_hash.slice(0, 16))}</code></a>` : ''}${r.canvas_stable === 0 ? ' <span title="Two renders on the page differed">(noisy)</span>' : ''}</td>
+        <td>${r.audio_hash ? `<a href="/fingerprints?audioHash=${escapeHtml(r.audio_hash)}"><code>${escapeHtml(r.audio_hash.slice(0, 8))}</code></a>` : ''}</td>
+        <td>${r.font_hash ? `<a href="/fingerprints?fontHash=${escapeHtml(r.font_hash)}"><code>${escapeHtml(r.font_hash.slice(0, 8))}</code></a> (${r.font_count})` : ''}</td>
+        <td title="${escapeHtml(r.consistency ? JSON.parse(r.consistency).map(f => f.code).join(', ') : '')}">${r.mismatch_count === null ? '' : r.mismatch_count}</td>
+        <td title="${escapeHtml(r.network ? JSON.parse(r.network).findings.map(f => f.code).join(', ') : '')}">${r.webrtc_ips ? JSON.parse(r.webrtc_ips).map(ip => `<a href="/fingerprints?webrtcIp=${encodeURIComponent(ip)}"><code>${escapeHtml(ip)}</code></a>`).join(' ') : ''}${r.network_mismatch_count ? ` (${r.network_mismatch_count})` : ''}</td>
+        <td title="${escapeHtml(r.risk_rules ? JSON.parse(r.risk_rules).map(x => x.id).join(', ') : '')}">${r.risk_score === null ? '' : r.risk_score}</td>
+      </tr>
+    `).join('');
+    const nextQuery = new URLSearchParams({ ...req.query, cursor: nextCursor || '' }).toString();
+
+    res.send(`<!DOCTYPE html><html><head><meta charset="utf-8"><title>Fingerprints</title>
+<style>table{border-collapse:collapse;font-size:13px}td,th{border:1px solid #ccc;padding:4px 6px;text-align:left;vertical-align:top}</style>
+</head><body>
+<h1>Fingerprints</h1>
+<p>Sort: <a href="/fingerprints">newest first</a> | <a href="/fingerprints?sort=risk">highest risk first</a> | <a href="/canvas">Canvas hashes</a></p>
+${renderExportLinks('fingerprints', FORMATS.fingerprints, req.query)}
+<table>
+  <tr><th>#</th><th>Time</th><th>Visit</th><th>Visitor</th><th>Origin</th><th>User agent</th><th>Platform</th><th>Timezone</th><th>Webdriver</th><th>Headless UA</th><th>DevTools</th><th>Canvas hash</th><th>Audio</th><th>Fonts</th><th>Mismatches</th><th>WebRTC IPs</th><th>Risk</th></tr>
+  ${rowsHtml}
+</table>
+${nextCursor ? `<p><a href="/fingerprints?${escapeHtml(nextQuery)}">Older &raquo;</a></p>` : ''}
+</body></html>`);
+  });
+});
+
+// Canvas hashes by how many visits share them, and visitors whose hash changed between visits
+app.get('/canvas', requireAuth, (req, res) => {
+  const wantsHtml = req.accepts('html');
+  const { filters, errors } = parseCanvasQuery(req.query);
+  if (errors.length) {
+    if (!wantsHtml) return res.status(400).json({ error: errors.join('; ') });
+    return res.status(400).type('text/plain').send(errors.join('\n'));
   }
-  
-  function parseCookies(cookieString) {
-    if (!cookieString) return {};
-    const cookies = {};
-    cookieString.split(';').forEach(cookie => {
-      const [name, value] = cookie.trim().split('=');
-      if (name && value) {
-        cookies[name] = decodeURIComponent(value);
+
+  canvasReport(db, filters, (err, report) => {
+    if (err) return res.status(500).json({ error: err.message });
+    const { hashes, visitors } = formatCanvasReport(report);
+    if (!wantsHtml) return res.json({ hashes, visitors });
+
+    const hashLink = hash => `<a href="/fingerprints?canvasHash=${escapeHtml(hash)}"><code>${escapeHtml(hash.slice(0, 16))}</code></a>`;
+    const hashesHtml = hashes.map(h => `
+      <tr>
+        <td>${hashLink(h.hash)}</td>
+        <td>${h.image ? `<img src="${escapeHtml(h.image)}" alt="" height="40">` : ''}</td>
+        <td>${h.visits}</td>
+        <td>${h.visitors}</td>
+        <td>${h.fingerprints}</td>
+        <td>${h.unstableRenders || ''}</td>
+        <td>${escapeHtml(h.firstSeen)}</td>
+        <td>${escapeHtml(h.lastSeen)}</td>
+      </tr>
+    `).join('');
+    const visitorsHtml = visitors.map(v => `
+      <tr${v.changed ? ' style="background:#fff3cd"' : ''}>
+        <td><a href="/visitors/${escapeHtml(v.visitorId)}"><code>${escapeHtml(v.visitorId.slice(0, 12))}</code></a></td>
+        <td>${escapeHtml(v.ip)}</td>
+        <td>${escapeHtml(v.userAgent)}</td>
+        <td>${v.visits}</td>
+        <td>${v.hashes.map(hashLink).join('<br>')}</td>
+        <td>${v.unstableRenders || ''}</td>
+        <td>${escapeHtml(v.firstSeen)} &ndash; ${escapeHtml(v.lastSeen)}</td>
+      </tr>
+    `).join('');
+
+    res.send(`<!DOCTYPE html><html><head><meta charset="utf-8"><title>Canvas hashes</title>
+<style>table{border-collapse:collapse;font-size:13px}td,th{border:1px solid #ccc;padding:4px 6px;text-align:left;vertical-align:top}</style>
+</head><body>
+<h1>Canvas hashes</h1>
+<p>A hash shared by many visits is a common browser/GPU combination. Hashes seen only once, renders that
+differ within a page ("noisy") and visitors whose hash changes between visits point at canvas-noise
+extensions. Visitors are the ones listed at <a href="/visitors">/visitors</a>.</p>
+<h2>Hashes</h2>
+<table>
+  <tr><th>Hash</th><th>Image</th><th>Visits</th><th>Visitors</th><th>Fingerprints</th><th>Noisy</th><th>First seen</th><th>Last seen</th></tr>
+  ${hashesHtml}
+</table>
+<h2>Returning visitors</h2>
+<p>${filters.changedOnly ? '<a href="/canvas">Show all</a>' : '<a href="/canvas?changed=true">Only visitors whose hash changed</a>'}</p>
+<table>
+  <tr><th>Visitor</th><th>IP</th><th>User agent</th><th>Visits</th><th>Hashes</th><th>Noisy</th><th>Seen</th></tr>
+  ${visitorsHtml}
+</table>
+</body></html>`);
+  });
+});
+
+// Stored test image for a canvas hash
+app.get('/canvas/:hash/image', requireAuth, (req, res) => {
+  getCanvasImage(db, req.params.hash, (err, image) => {
+    if (err) return res.status(500).json({ error: err.message });
+    if (!image) return res.status(404).type('text/plain').send('No image stored for this hash');
+    res.type(image.type)
+      .set({ 'Cache-Control': 'private, max-age=86400', 'X-Content-Type-Options': 'nosniff' })
+      .send(image.data);
+  });
+});
+
+// Import HAR or NDJSON (the '/export/logs.ndjson' format) into `logs`, e.g.
+//   curl -X POST --data-binary @capture.har -H 'Content-Type: application/json' /import
+// Pass ?format=har|ndjson to skip detection. Bodies up to IMPORT_MAX_BYTES (50 MiB).
+app.post('/import', requireAuth, (req, res) => {
+  const format = req.query.format;
+  if (format !== undefined && format !== 'har' && format !== 'ndjson') {
+    return res.status(400).json({ error: 'format must be har or ndjson' });
+  }
+  const limit = importMaxBytes();
+  const chunks = [];
+  let size = 0;
+  let tooLarge = false;
+  req.on('data', chunk => {
+    size += chunk.length;
+    if (size > limit) tooLarge = true;
+    else chunks.push(chunk);
+  });
+  req.on('end', () => {
+    if (tooLarge) return res.status(413).json({ error: `Import is larger than ${limit} bytes` });
+    importLogs(db, redactor, Buffer.concat(chunks).toString('utf8'), format, (err, result) => {
+      if (err) return res.status(err.status || 500).json({ error: err.message });
+      res.json(result);
+    });
+  });
+});
+
+// One logged request with its replays; JSON or HTML with a replay form
+app.get('/logs/:id', requireAuth, (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id < 1) return res.status(400).type('text/plain').send('Invalid log ID');
+
+  getLog(db, id, (err, log) => {
+    if (err) return res.status(500).json({ error: err.message });
+    if (!log) return res.status(404).type('text/plain').send('Unknown log entry');
+    replayer.listReplays(id, (replayErr, replays) => {
+      if (replayErr) return res.status(500).json({ error: replayErr.message });
+
+      if (!req.accepts('html')) {
+        return res.json({ log: formatLogRow(log), replays: replays.map(formatReplayRow) });
       }
+
+      const pretty = json => escapeHtml(JSON.stringify(JSON.parse(json || '{}'), null, 2));
+      const replayForm = replayer.targets.length
+        ? `<form method="post" action="/logs/${id}/replay">
+    ${csrfInput(req)}
+    <select name="target">${replayer.targets.map(t => `<option>${escapeHtml(t)}</option>`).join('')}</select>
+    <button type="submit">Replay</button>
+  </form>`
+        : '<p>Replay is disabled; set REPLAY_TARGETS to enable it.</p>';
+      const replaysHtml = replays.map(r => `
+      <h3>[${escapeHtml(r.timestamp)}] ${escapeHtml(r.method)} ${escapeHtml(r.url)}</h3>
+      ${r.error ? `<p><strong style="color:#dc3545">Failed: ${escapeHtml(r.error)}</strong></p>` : ''}
+      ${renderOutcome({ status: r.status, duration_ms: r.duration_ms, response_bytes: r.response_bytes })}
+      ${r.response_headers ? `<h4>Response headers</h4><pre>${pretty(r.response_headers)}</pre>` : ''}
+      ${renderBody({
+        body: r.response_body,
+        body_encoding: r.response_body_encoding,
+        content_type: r.response_content_type,
+        body_size: r.response_bytes,
+        body_truncated: r.response_truncated
+      })}
+      <details><summary>Sent headers</summary><pre>${pretty(r.request_headers)}</pre></details>
+    `).join('') || '<p>Not replayed yet.</p>';
+
+      res.send(`<!DOCTYPE html><html><head><meta charset="utf-8"><title>Request #${id}</title>
+<style>
+  .columns{display:flex;gap:1em;align-items:flex-start}
+  .columns>section{flex:1;min-width:0}
+  pre{white-space:pre-wrap;overflow-x:auto;border:1px solid #ccc;padding:.5em;font-size:12px}
+</style>
+</head><body>
+<h1>Request #${id}</h1>
+${replayForm}
+<div class="columns">
+  <section>
+    <h2>Original</h2>
+    <h3>[${escapeHtml(log.timestamp)}] ${escapeHtml(log.method)} ${escapeHtml(log.url)}</h3>
+    ${renderOutcome(log)}
+    ${log.source ? `<p><small>Source: ${escapeHtml(log.source)}</small></p>` : ''}
+    ${log.visit_id ? `<p><a href="/visits/${escapeHtml(log.visit_id)}">Visit ${escapeHtml(log.visit_id)}</a></p>` : ''}
+    ${log.redacted ? `<p><small>Redacted: ${escapeHtml(JSON.parse(log.redacted).join(', '))}</small></p>` : ''}
+    <pre>${pretty(log.headers)}</pre>
+    ${renderBody(log)}
+  </section>
+  <section><h2>Replays</h2>${replaysHtml}</section>
+</div>
+</body></html>`);
     });
-    return cookies;
-  }
-  
-  // DevTools detection (multiple heuristics)
-  function detectBrowserDevTools() {
-    try {
-      let byProxy = false;
-      const trap = Object.create(new Proxy({}, { ownKeys() { byProxy = true; } }));
-      console.groupEnd(trap);
-      const widthGap = Math.abs((window.outerWidth || 0) - (window.innerWidth || 0));
-      const heightGap = Math.abs((window.outerHeight || 0) - (window.innerHeight || 0));
-      const byGap = widthGap > 160 || heightGap > 160;
-      let byTiming = false;
-      const start = performance.now();
-      debugger;
-      if (performance.now() - start > 50) byTiming = true;
-      return byProxy || byGap || byTiming;
-    } catch (_e) {
-      return false;
+  });
+});
+
+// Re-send a logged request to a REPLAY_TARGETS base URL (optional `target` field)
+app.post('/logs/:id/replay', requireAuth, (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id < 1) return res.status(400).json({ error: 'Invalid log ID' });
+  const target = req.body && typeof req.body.target === 'string' ? req.body.target : null;
+
+  getLog(db, id, (err, log) => {
+    if (err) return res.status(500).json({ error: err.message });
+    if (!log) return res.status(404).json({ error: 'Unknown log entry' });
+    replayer.replay(log, target, (replayErr, replay) => {
+      if (replayErr) return res.status(replayErr.status || 500).json({ error: replayErr.message });
+      if (req.accepts(['json', 'html']) === 'html') return res.redirect(303, `/logs/${id}`);
+      res.status(201).json(formatReplayRow(replay));
+    });
+  });
+});
+
+// Visitors, most recently seen first
+app.get('/visitors', requireAuth, (req, res) => {
+  const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1) return res.status(400).json({ error: 'limit must be a positive integer' });
+
+  listVisitors(db, Math.min(limit, 1000), (err, rows) => {
+    if (err) return res.status(500).json({ error: err.message });
+    if (!req.accepts('html')) {
+      return res.json({
+        visitors: rows.map(v => ({
+          id: v.id, firstSeen: v.first_seen, lastSeen: v.last_seen, visits: v.visits, drifted: v.drifted, cookies: v.cookies
+        }))
+      });
+    }
+
+    const rowsHtml = rows.map(v => `
+      <tr>
+        <td><a href="/visitors/${escapeHtml(v.id)}"><code>${escapeHtml(v.id.slice(0, 12))}</code></a></td>
+        <td>${v.visits}</td>
+        <td>${v.drifted || ''}</td>
+        <td>${v.cookies}</td>
+        <td>${escapeHtml(v.first_seen)}</td>
+        <td>${escapeHtml(v.last_seen)}</td>
+      </tr>
+    `).join('');
+    res.send(`<!DOCTYPE html><html><head><meta charset="utf-8"><title>Visitors</title>
+<style>table{border-collapse:collapse;font-size:13px}td,th{border:1px solid #ccc;padding:4px 6px;text-align:left;vertical-align:top}</style>
+</head><body>
+<h1>Visitors</h1>
+<table>
+  <tr><th>Visitor</th><th>Visits</th><th>Visits with drift</th><th>Cookies</th><th>First seen</th><th>Last seen</th></tr>
+  ${rowsHtml}
+</table>
+</body></html>`);
+  });
+});
+
+// Visitor history: every visit linked to the visitor and which signals drifted
+app.get('/visitors/:id', requireAuth, (req, res) => {
+  if (!isVisitorId(req.params.id)) return res.status(400).type('text/plain').send('Invalid visitor ID');
+
+  loadVisitor(db, req.params.id, (err, row) => {
+    if (err) return res.status(500).json({ error: err.message });
+    if (!row) return res.status(404).type('text/plain').send('Unknown visitor');
+    const visitor = formatVisitor(row);
+    if (!req.accepts('html')) return res.json(visitor);
+
+    const driftCounts = {};
+    for (const v of visitor.visits) {
+      for (const d of v.drift) driftCounts[d.signal] = (driftCounts[d.signal] || 0) + 1;
     }
+    const signalsHtml = identity.config.signals.map(s => `
+      <tr>
+        <td>${escapeHtml(s.id)}</td>
+        <td>${s.weight}</td>
+        <td>${visitor.signals[s.id] === undefined ? '<em>not reported</em>' : escapeHtml(visitor.signals[s.id])}</td>
+        <td>${driftCounts[s.id] || ''}</td>
+      </tr>
+    `).join('');
+    const visitsHtml = visitor.visits.map(v => `
+      <tr${v.drift.length ? ' style="background:#fff3cd"' : ''}>
+        <td>${escapeHtml(v.timestamp)}</td>
+        <td>${v.visitId ? `<a href="/visits/${escapeHtml(v.visitId)}">${escapeHtml(v.visitId.slice(0, 8))}</a>` : `#${v.fingerprintId}`}</td>
+        <td>${escapeHtml(v.ip)}</td>
+        <td>${escapeHtml(v.userAgent)}</td>
+        <td>${escapeHtml(v.match)}${v.score === null ? '' : ` (${Math.round(v.score * 100)}%)`}</td>
+        <td>${v.drift.map(d => `<strong>${escapeHtml(d.signal)}</strong>: ${escapeHtml(d.from)} &rarr; ${escapeHtml(d.to)}`).join('<br>')}</td>
+        <td>${v.riskScore === null ? '' : v.riskScore}</td>
+      </tr>
+    `).join('');
+
+    res.send(`<!DOCTYPE html><html><head><meta charset="utf-8"><title>Visitor ${visitor.id}</title>
+<style>table{border-collapse:collapse;font-size:13px;margin-bottom:1em}td,th{border:1px solid #ccc;padding:4px 6px;text-align:left;vertical-align:top}</style>
+</head><body>
+<h1>Visitor ${visitor.id}</h1>
+<p>First seen ${escapeHtml(visitor.firstSeen)}, last seen ${escapeHtml(visitor.lastSeen)};
+${visitor.visits.length} visit(s), ${visitor.cookies} cookie token(s).
+<a href="/fingerprints?visitor=${visitor.id}">Fingerprints</a></p>
+<h2>Current signals</h2>
+<table>
+  <tr><th>Signal</th><th>Weight</th><th>Latest value</th><th>Times drifted</th></tr>
+  ${signalsHtml}
+</table>
+<h2>Visits</h2>
+<table>
+  <tr><th>Time</th><th>Visit</th><th>IP</th><th>User agent</th><th>Matched by</th><th>Drifted signals</th><th>Risk</th></tr>
+  ${visitsHtml}
+</table>
+</body></html>`);
+  });
+});
+
+// The extension probe registry, fetched by the '/dom' page
+app.get('/dom/probes', (req, res) => {
+  res.json(formatProbes(extensionProbes));
+});
+
+// DOM injection report: visits of the '/dom' page that recorded injected elements
+// or extension probe results, and how often each probed extension was found
+app.get('/dom/events', requireAuth, (req, res) => {
+  const wantsHtml = req.accepts('html');
+  const { filters, errors } = parseDomEventQuery(req.query);
+  if (errors.length) {
+    if (!wantsHtml) return res.status(400).json({ error: errors.join('; ') });
+    return res.status(400).type('text/plain').send(errors.join('\n'));
   }
-  
-  // SharedWorker fingerprinting with Blob-based approach
-  let sharedWorkerFingerprint = {};
-  try {
-    // Check for SharedWorker support with proper constructor validation
-    const Wkr = window.frameElement ? window.frameElement.SharedWorker : SharedWorker;
-    if (!Wkr || Wkr.prototype.constructor.name !== "SharedWorker") {
-      sharedWorkerFingerprint = { 
-        supported: false, 
-        error: 'SharedWorker not available or invalid constructor' 
-      };
-    } else {
-      // Create fingerprinting JavaScript for the worker
-      const fingerprintingJS = \`
-        self.onconnect = function(e) {
-          const port = e.ports[0];
-          port.start();
-          
-          // Comprehensive fingerprinting from within the worker context
-          function collectFingerprint() {
-            try {
-              const fp = {
-                // Worker context information
-                workerContext: {
-                  type: 'SharedWorker',
-                  constructor: self.constructor.name,
-                  prototype: self.constructor.prototype ? Object.getOwnPropertyNames(self.constructor.prototype).length : 0,
-                  maxWorkers: navigator.hardwareConcurrency || 'unknown',
-                  userAgent: navigator.userAgent,
-                  platform: navigator.platform,
-                  languages: navigator.languages,
-                  language: navigator.language,
-                  cookieEnabled: navigator.cookieEnabled,
-                  onLine: navigator.onLine,
-                  doNotTrack: navigator.doNotTrack,
-                  maxTouchPoints: navigator.maxTouchPoints || 'unknown',
-                  msMaxTouchPoints: navigator.msMaxTouchPoints || 'unknown'
-                },
-                
-                // Enhanced User-Agent and Platform data
-                userAgentData: navigator.userAgentData ? {
-                  brands: navigator.userAgentData.brands,
-                  mobile: navigator.userAgentData.mobile,
-                  platform: navigator.userAgentData.platform,
-                  architecture: navigator.userAgentData.architecture,
-                  bitness: navigator.userAgentData.bitness,
-                  model: navigator.userAgentData.model,
-                  platformVersion: navigator.userAgentData.platformVersion,
-                  fullVersionList: navigator.userAgentData.fullVersionList,
-                  wow64: navigator.userAgentData.wow64
-                } : 'unsupported',
-                
-                // Additional platform and system information
-                platformDetails: {
-                  platform: navigator.platform,
-                  vendor: navigator.vendor,
-                  product: navigator.product,
-                  productSub: navigator.productSub,
-                  appName: navigator.appName,
-                  appVersion: navigator.appVersion,
-                  appCodeName: navigator.appCodeName
-                },
-                
-                // Enhanced language and locale information
-                localeInfo: {
-                  languages: navigator.languages,
-                  language: navigator.language,
-                  hasLanguages: Array.isArray(navigator.languages),
-                  languageCount: navigator.languages ? navigator.languages.length : 0,
-                  timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
-                  timezoneOffset: new Date().getTimezoneOffset(),
-                  dateFormat: new Intl.DateTimeFormat().formatToParts(new Date()).map(p => p.type),
-                  numberFormat: new Intl.NumberFormat().resolvedOptions(),
-                  collator: new Intl.Collator().resolvedOptions()
-                },
-                
-                // Hardware and performance information
-                hardwareInfo: {
-                  hardwareConcurrency: navigator.hardwareConcurrency || 'unknown',
-                  deviceMemory: navigator.deviceMemory || 'unknown',
-                  connection: navigator.connection ? {
-                    effectiveType: navigator.connection.effectiveType,
-                    downlink: navigator.connection.downlink,
-                    rtt: navigator.connection.rtt
-                  } : 'unsupported'
-                },
-                
-                // Worker-specific capabilities (only worker-available APIs)
-                workerCapabilities: {
-                  sharedWorker: true, // We're already in a SharedWorker
-                  worker: typeof Worker !== 'undefined',
-                  serviceWorker: 'serviceWorker' in navigator,
-                  worklet: false, // CSS not available in workers
-                  offscreenCanvas: typeof OffscreenCanvas !== 'undefined'
-                },
-                
-                // Media capabilities (only worker-available APIs)
-                mediaCapabilities: {
-                  mediaSession: 'mediaSession' in navigator,
-                  mediaDevices: 'mediaDevices' in navigator,
-                  permissions: 'permissions' in navigator,
-                  credentials: 'credentials' in navigator,
-                  storage: 'storage' in navigator,
-                  presentation: 'presentation' in navigator,
-                  wakeLock: 'wakeLock' in navigator,
-                  usb: 'usb' in navigator,
-                  bluetooth: 'bluetooth' in navigator,
-                  hid: 'hid' in navigator,
-                  serial: 'serial' in navigator
-                },
-                
-                // Performance information
-                performanceInfo: {
-                  memory: performance.memory ? {
-                    usedJSHeapSize: performance.memory.usedJSHeapSize,
-                    totalJSHeapSize: performance.memory.totalJSHeapSize,
-                    jsHeapSizeLimit: performance.memory.jsHeapSizeLimit
-                  } : 'unsupported',
-                  timing: performance.timing ? {
-                    navigationStart: performance.timing.navigationStart,
-                    loadEventEnd: performance.timing.loadEventEnd,
-                    domContentLoadedEventEnd: performance.timing.domContentLoadedEventEnd
-                  } : 'unsupported',
-                  navigation: performance.navigation ? {
-                    type: performance.navigation.type,
-                    redirectCount: performance.navigation.redirectCount
-                  } : 'unsupported'
-                },
-                
-                // Canvas fingerprinting (simplified for worker)
-                canvas: 'offscreen_supported'
-              };
-              
-              return fp;
-            } catch (e) {
-              return { error: 'Worker fingerprinting failed: ' + e.message };
-            }
+
+  const names = new Map(extensionProbes.map(p => [p.id, p.name]));
+  const extensionName = id => names.get(id) || id;
+  listDomEventVisits(db, filters, (err, rows) => {
+    if (err) return res.status(500).json({ error: err.message });
+    probeSummary(db, (err, summary) => {
+      if (err) return res.status(500).json({ error: err.message });
+      const visits = rows.map(formatDomEventVisit);
+      const extensions = summary.map(r => ({
+        id: r.probe_id,
+        name: extensionName(r.probe_id),
+        probed: r.probed,
+        detected: r.detected,
+        lastDetected: r.last_detected
+      }));
+      if (!wantsHtml) return res.json({ visits, extensions });
+
+      const extensionLink = id => `<a href="/dom/events?extension=${encodeURIComponent(id)}">${escapeHtml(extensionName(id))}</a>`;
+      const rowsHtml = visits.map(v => `
+        <tr>
+          <td><a href="/dom/events/${escapeHtml(v.visitId)}"><code>${escapeHtml(v.visitId.slice(0, 12))}</code></a></td>
+          <td>${v.events}${Object.keys(v.kinds).length ? `<br><small>${Object.entries(v.kinds).map(([kind, n]) => `<a href="/dom/events/${escapeHtml(v.visitId)}?kind=${kind}">${n} ${kind}</a>`).join(', ')}</small>` : ''}</td>
+          <td>${v.verdicts.map(escapeHtml).join('<br>')}${v.categories.length ? `<br><small>${v.categories.map(c => `<a href="/dom/events?category=${encodeURIComponent(c)}">${escapeHtml(c)}</a>`).join(', ')}</small>` : ''}</td>
+          <td>${v.extensions.map(extensionLink).join('<br>')}</td>
+          <td>${v.baitEvents}${v.traps ? `<br><strong>${v.traps} trap(s)</strong>` : ''}</td>
+          <td>${v.tags.map(tag => `<a href="/dom/events?tag=${encodeURIComponent(tag)}"><code>${escapeHtml(tag)}</code></a>`).join(' ')}</td>
+          <td>${escapeHtml(v.ip)}</td>
+          <td>${escapeHtml(v.userAgent)}</td>
+          <td>${escapeHtml(v.firstSeen)}</td>
+          <td>${escapeHtml(v.lastSeen)}</td>
+        </tr>
+      `).join('');
+      const extensionsHtml = extensions.map(e => `
+        <tr>
+          <td>${extensionLink(e.id)}</td>
+          <td>${e.detected}</td>
+          <td>${e.probed}</td>
+          <td>${escapeHtml(e.lastDetected || '')}</td>
+        </tr>
+      `).join('');
+      const filtered = filters.kind || filters.tag || filters.category || filters.extension || filters.trap;
+      res.send(`<!DOCTYPE html><html><head><meta charset="utf-8"><title>DOM events</title>
+<style>table{border-collapse:collapse;font-size:13px}td,th{border:1px solid #ccc;padding:4px 6px;text-align:left;vertical-align:top}</style>
+</head><body>
+<h1>DOM ${filters.kind ? `${escapeHtml(filters.kind)} ` : 'injection '}events${filters.category ? ` from ${escapeHtml(filters.category)}` : ''}${filters.tag ? ` with &lt;${escapeHtml(filters.tag.toLowerCase())}&gt;` : ''}${filters.extension ? ` with ${escapeHtml(extensionName(filters.extension))} installed` : ''}${filters.trap ? ' that touched a bait trap' : ''}</h1>
+<p>Elements injected into <a href="/dom">/dom</a>, the changes made to it, the extensions it detected and what happened to its bait forms, by visit.
+Kind: ${EVENT_KINDS.map(kind => `<a href="/dom/events?kind=${kind}">${kind}</a>`).join(' | ')} &middot; <a href="/dom/events?trap=any">Touched a trap</a>${filtered ? ' &middot; <a href="/dom/events">All visits</a>' : ''}</p>
+${extensions.length ? `<h2>Extension probes</h2>
+<table>
+  <tr><th>Extension</th><th>Visits detected</th><th>Visits probed</th><th>Last detected</th></tr>
+  ${extensionsHtml}
+</table>
+<h2>Visits</h2>` : ''}
+<table>
+  <tr><th>Visit</th><th>Events</th><th>Verdicts</th><th>Extensions</th><th>Bait events</th><th>Tags</th><th>IP</th><th>User agent</th><th>First seen</th><th>Last seen</th></tr>
+  ${rowsHtml}
+</table>
+</body></html>`);
+    });
+  });
+});
+
+// Every DOM event of one visit: its verdict, with the full node details folded away,
+// after the visit's extension probe results and bait events
+app.get('/dom/events/:visitId', requireAuth, (req, res) => {
+  const { visitId } = req.params;
+  if (!isVisitId(visitId)) return res.status(400).type('text/plain').send('Invalid visit ID');
+  const { filters, errors } = parseDomEventQuery({ kind: req.query.kind });
+  if (errors.length) return res.status(400).type('text/plain').send(errors.join('\n'));
+
+  loadDomEvents(db, visitId, filters.kind, (err, rows) => {
+    if (err) return res.status(500).json({ error: err.message });
+    loadProbeResults(db, visitId, (err, probeRows) => {
+      if (err) return res.status(500).json({ error: err.message });
+      loadBaitEvents(db, visitId, (err, baitRows) => {
+        if (err) return res.status(500).json({ error: err.message });
+        if (!rows.length && !probeRows.length && !baitRows.length) {
+          return res.status(404).type('text/plain').send('No DOM events for this visit');
+        }
+        const events = rows.map(formatDomEvent);
+        const extensions = formatProbeResults(extensionProbes, probeRows);
+        const baitEvents = baitRows.map(formatBaitEvent);
+        const bait = { targets: summarizeBait(baitEvents), events: baitEvents };
+        if (!req.accepts('html')) return res.json({ visitId, kind: filters.kind || null, events, extensions, bait });
+
+        const change = e => {
+          const { details } = e;
+          const shorten = value => (typeof value === 'string' && value.length > 200 ? `${value.slice(0, 200)}…` : value);
+          if (e.kind === 'attribute') {
+            return `<p><code>${escapeHtml(details.attribute)}</code>: ${details.oldValue === null ? '<em>unset</em>' : `<code>${escapeHtml(shorten(details.oldValue))}</code>`} &rarr; ${details.value === null ? '<em>removed</em>' : `<code>${escapeHtml(shorten(details.value))}</code>`}</p>`;
           }
-          
-          // Collect and send fingerprint immediately
-          try {
-            const fp = collectFingerprint();
-            port.postMessage({ type: 'fingerprint', data: fp });
-          } catch (error) {
-            port.postMessage({ type: 'error', error: error.message });
+          if (e.kind === 'text') {
+            return `<p><code>${escapeHtml(shorten(details.oldValue))}</code> &rarr; <code>${escapeHtml(shorten(details.value))}</code></p>`;
           }
+          if (e.kind === 'shadow') return `<p>${escapeHtml(details.mode)} shadow root attached</p>`;
+          return '';
         };
-      \`;
-      
-      // Create Blob-based SharedWorker
-      const worker = new Wkr(
-        URL.createObjectURL(
-          new Blob([fingerprintingJS], { type: "application/javascript" })
-        )
-      );
-      
-      sharedWorkerFingerprint = {
-        supported: true,
-        constructor: Wkr.name,
-        prototype: Wkr.prototype ? Object.getOwnPropertyNames(Wkr.prototype).length : 0,
-        maxWorkers: navigator.hardwareConcurrency || 'unknown'
-      };
-      
-      // Handle messages from the worker
-      worker.port.onmessage = function(e) {
-        if (e.data.type === 'fingerprint') {
-          sharedWorkerFingerprint.working = true;
-          sharedWorkerFingerprint.workerData = e.data.data;
-          console.log('SharedWorker fingerprint collected:', e.data.data);
-        } else if (e.data.type === 'error') {
-          sharedWorkerFingerprint.error = e.data.error;
-          console.error('SharedWorker error:', e.data.error);
-        }
-      };
-      
-      // Handle worker errors
-      worker.port.onerror = function(e) {
-        sharedWorkerFingerprint.error = 'Port error: ' + e.message;
-        console.error('SharedWorker port error:', e);
-      };
-      
-      worker.port.start();
-      
-      // Set a timeout to mark as failed if no response
-      setTimeout(() => {
-        if (!sharedWorkerFingerprint.working && !sharedWorkerFingerprint.error) {
-          sharedWorkerFingerprint.error = 'Timeout: No response from worker';
-          console.warn('SharedWorker timeout - no response received');
-        }
-      }, 5000);
-      
-      // Clean up the blob URL when done
-      setTimeout(() => {
-        URL.revokeObjectURL(worker.port.url);
-      }, 10000);
-    }
-  } catch (e) {
-    sharedWorkerFingerprint = { supported: false, error: e.message };
-  }
-  
-  const fp = {
-    origin: location.pathname,
-    userAgent: navigator.userAgent,
-    platform: navigator.platform,
-    languages: navigator.languages,
-    screen: { width: screen.width, height: screen.height, colorDepth: screen.colorDepth },
-    timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
-    webdriver: navigator.webdriver||false,
-    hasLanguages: Array.isArray(navigator.languages),
-    pluginsCount: navigator.plugins.length,
-    headlessUA: /HeadlessChrome/.test(navigator.userAgent),
-    canvas: getCanvasFingerprint(),
-    cookies: parseCookies(document.cookie),
-    rawCookies: document.cookie,
-    sharedWorker: sharedWorkerFingerprint,
-    // Additional SharedWorker-related properties
-    workerSupport: {
-      sharedWorker: typeof SharedWorker !== 'undefined',
-      worker: typeof Worker !== 'undefined',
-      serviceWorker: 'serviceWorker' in navigator,
-      worklet: 'worklet' in CSS
-    },
-    hardwareConcurrency: navigator.hardwareConcurrency || 'unknown',
-    deviceMemory: navigator.deviceMemory || 'unknown',
-    connection: navigator.connection ? {
-      effectiveType: navigator.connection.effectiveType,
-      downlink: navigator.connection.downlink,
-      rtt: navigator.connection.rtt
-    } : 'unsupported',
-    // Enhanced User-Agent and Platform data
-    userAgentData: navigator.userAgentData ? {
-      brands: navigator.userAgentData.brands,
-      mobile: navigator.userAgentData.mobile,
-      platform: navigator.userAgentData.platform,
-      architecture: navigator.userAgentData.architecture,
-      bitness: navigator.userAgentData.bitness,
-      model: navigator.userAgentData.model,
-      platformVersion: navigator.userAgentData.platformVersion,
-      fullVersionList: navigator.userAgentData.fullVersionList,
-      wow64: navigator.userAgentData.wow64
-    } : 'unsupported',
-    // Additional platform and system information
-    platformDetails: {
-      platform: navigator.platform,
-      vendor: navigator.vendor,
-      product: navigator.product,
-      productSub: navigator.productSub,
-      appName: navigator.appName,
-      appVersion: navigator.appVersion,
-      appCodeName: navigator.appCodeName,
-      cookieEnabled: navigator.cookieEnabled,
-      onLine: navigator.onLine,
-      doNotTrack: navigator.doNotTrack,
-      maxTouchPoints: navigator.maxTouchPoints || 'unknown',
-      msMaxTouchPoints: navigator.msMaxTouchPoints || 'unknown'
-    },
-    // Enhanced language and locale information
-    localeInfo: {
-      languages: navigator.languages,
-      language: navigator.language,
-      hasLanguages: Array.isArray(navigator.languages),
-      languageCount: navigator.languages ? navigator.languages.length : 0,
-      timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
-      timezoneOffset: new Date().getTimezoneOffset(),
-      dateFormat: new Intl.DateTimeFormat().formatToParts(new Date()).map(p => p.type),
-      numberFormat: new Intl.NumberFormat().resolvedOptions(),
-      collator: new Intl.Collator().resolvedOptions()
-    },
-    // Screen and display information
-    displayInfo: {
-      screen: { 
-        width: screen.width, 
-        height: screen.height, 
-        colorDepth: screen.colorDepth,
-        pixelDepth: screen.pixelDepth,
-        availWidth: screen.availWidth,
-        availHeight: screen.availHeight,
-        orientation: screen.orientation ? {
-          type: screen.orientation.type,
-          angle: screen.orientation.angle
-        } : 'unsupported'
-      },
-      window: {
-        innerWidth: window.innerWidth,
-        innerHeight: window.innerHeight,
-        outerWidth: window.outerWidth,
-        outerHeight: window.outerHeight,
-        devicePixelRatio: window.devicePixelRatio,
-        colorGamut: window.matchMedia('(color-gamut: srgb)').matches ? 'srgb' : 
-                    window.matchMedia('(color-gamut: p3)').matches ? 'p3' : 
-                    window.matchMedia('(color-gamut: rec2020)').matches ? 'rec2020' : 'unknown'
-      }
-    },
-    // Media capabilities and codecs
-    mediaCapabilities: {
-      mediaSession: 'mediaSession' in navigator,
-      mediaDevices: 'mediaDevices' in navigator,
-      permissions: 'permissions' in navigator,
-      credentials: 'credentials' in navigator,
-      storage: 'storage' in navigator,
-      presentation: 'presentation' in navigator,
-      wakeLock: 'wakeLock' in navigator,
-      usb: 'usb' in navigator,
-      bluetooth: 'bluetooth' in navigator,
-      hid: 'hid' in navigator,
-      serial: 'serial' in navigator
-    },
-    // Performance and memory information
-    performanceInfo: {
-      memory: performance.memory ? {
-        usedJSHeapSize: performance.memory.usedJSHeapSize,
-        totalJSHeapSize: performance.memory.totalJSHeapSize,
-        jsHeapSizeLimit: performance.memory.jsHeapSizeLimit
-      } : 'unsupported',
-      timing: performance.timing ? {
-        navigationStart: performance.timing.navigationStart,
-        loadEventEnd: performance.timing.loadEventEnd,
-        domContentLoadedEventEnd: performance.timing.domContentLoadedEventEnd
-      } : 'unsupported',
-      navigation: performance.navigation ? {
-        type: performance.navigation.type,
-        redirectCount: performance.navigation.redirectCount
-      } : 'unsupported'
-    },
-    // WebGL and graphics information
-    graphicsInfo: {
-      webgl: (() => {
-        try {
-          const canvas = document.createElement('canvas');
-          const gl = canvas.getContext('webgl') || canvas.getContext('experimental-webgl');
-          if (!gl) return 'unsupported';
-          
-          const debugInfo = gl.getExtension('WEBGL_debug_renderer_info');
-          return {
-            vendor: debugInfo ? gl.getParameter(debugInfo.UNMASKED_VENDOR_WEBGL) : 'unknown',
-            renderer: debugInfo ? gl.getParameter(debugInfo.UNMASKED_RENDERER_WEBGL) : 'unknown',
-            version: gl.getParameter(gl.VERSION),
-            shadingLanguageVersion: gl.getParameter(gl.SHADING_LANGUAGE_VERSION),
-            maxTextureSize: gl.getParameter(gl.MAX_TEXTURE_SIZE),
-            maxViewportDims: gl.getParameter(gl.MAX_VIEWPORT_DIMS)
-          };
-        } catch (e) {
-          return 'error: ' + e.message;
-        }
-      })(),
-      webgl2: (() => {
-        try {
-          const canvas = document.createElement('canvas');
-          const gl = canvas.getContext('webgl2');
-          if (!gl) return 'unsupported';
-          
-          return {
-            version: gl.getParameter(gl.VERSION),
-            shadingLanguageVersion: gl.getParameter(gl.SHADING_LANGUAGE_VERSION),
-            maxTextureSize: gl.getParameter(gl.MAX_TEXTURE_SIZE),
-            maxViewportDims: gl.getParameter(gl.MAX_VIEWPORT_DIMS)
-          };
-        } catch (e) {
-          return 'error: ' + e.message;
-        }
-      })()
+
+        const probesHtml = extensions.map(p => `
+          <tr>
+            <td><a href="/dom/events?extension=${encodeURIComponent(p.id)}">${escapeHtml(p.name)}</a></td>
+            <td><code>${escapeHtml(p.extensionId)}</code></td>
+            <td>${escapeHtml(p.browser)}</td>
+            <td>${p.status === 'detected' ? '<strong>detected</strong>' : escapeHtml(p.status)}</td>
+            <td>${p.durationMs === null ? '' : `${escapeHtml(p.durationMs)} ms`}</td>
+          </tr>
+        `).join('');
+        const eventsHtml = events.map(e => `
+          <h3>[${escapeHtml(e.pageTime || e.timestamp)}] ${escapeHtml(e.kind)} &lt;${escapeHtml(String(e.tag || '').toLowerCase())}&gt;${e.nodeId ? ` #${escapeHtml(e.nodeId)}` : ''}${e.className ? ` .${escapeHtml(e.className)}` : ''}</h3>
+          ${e.path ? `<p><small><code>${escapeHtml(e.path)}</code></small></p>` : ''}
+          ${change(e)}
+          <p class="verdict">${e.verdict.label
+            ? `<strong>${escapeHtml(e.verdict.label)}</strong> <small>(<a href="/dom/events?category=${encodeURIComponent(e.verdict.category)}">${escapeHtml(e.verdict.category)}</a>)</small>`
+            : '<strong>Unclassified</strong>'}</p>
+          ${e.verdict.matches.length ? `<ul>${e.verdict.matches.map(m => `<li>${escapeHtml(m.label)}: ${m.reasons.map(escapeHtml).join('; ')}</li>`).join('')}</ul>` : ''}
+          ${e.pageOffsetMs === null ? '' : `<p><small>${escapeHtml(e.pageOffsetMs)} ms after page load${e.truncated ? '; details truncated' : ''}${e.redacted.length ? `; redacted: ${escapeHtml(e.redacted.join(', '))}` : ''}</small></p>`}
+          <details><summary>Node details</summary><pre>${escapeHtml(JSON.stringify(e.details, null, 2))}</pre></details>
+        `).join('');
+        const flags = t => ['focused', 'filled', 'autofilled', 'clicked', 'submitted'].filter(flag => t[flag]);
+        const baitTargetsHtml = bait.targets.map(t => `
+          <tr${t.trap ? ' class="trap"' : ''}>
+            <td>${escapeHtml(t.scenario)}</td>
+            <td>${t.target === null ? '<em>form</em>' : `<code>${escapeHtml(t.target)}</code>`}${t.trap ? ' <strong>trap</strong>' : ''}</td>
+            <td>${flags(t).join(', ')}${t.untrusted ? ' <small>(untrusted events)</small>' : ''}</td>
+            <td>${t.firstMs === null ? '' : `${escapeHtml(t.firstMs)} ms`}</td>
+          </tr>
+        `).join('');
+        const baitEventsHtml = bait.events.map(e => `
+          <tr${e.trap ? ' class="trap"' : ''}>
+            <td>${e.pageOffsetMs === null ? '' : `${escapeHtml(e.pageOffsetMs)} ms`}</td>
+            <td>${e.sincePrevMs === null ? '' : `+${escapeHtml(e.sincePrevMs)} ms`}</td>
+            <td>${escapeHtml(e.kind)}</td>
+            <td>${escapeHtml(e.scenario)}${e.target === null ? '' : `/<code>${escapeHtml(e.target)}</code>`}</td>
+            <td>${e.valueLength === null ? '' : `${escapeHtml(e.valueLength)} chars`}</td>
+            <td>${escapeHtml(e.inputType || '')}${e.trusted === false ? ' <strong>untrusted</strong>' : ''}</td>
+          </tr>
+        `).join('');
+        const source = events[0] || { ip: null, userAgent: null };
+        res.send(`<!DOCTYPE html><html><head><meta charset="utf-8"><title>DOM events for visit ${visitId}</title>
+<style>pre{white-space:pre-wrap;overflow-x:auto;border:1px solid #ccc;padding:.5em;font-size:12px}
+table{border-collapse:collapse;font-size:13px}td,th{border:1px solid #ccc;padding:4px 6px;text-align:left}
+tr.trap{background:#fde2e2}</style>
+</head><body>
+<h1>DOM events for visit <a href="/visits/${visitId}">${visitId}</a></h1>
+<p>Kind: ${['all', ...EVENT_KINDS].map(kind => (kind === (filters.kind || 'all')
+  ? `<strong>${kind}</strong>`
+  : `<a href="/dom/events/${visitId}${kind === 'all' ? '' : `?kind=${kind}`}">${kind}</a>`)).join(' | ')}</p>
+<p>${events.length} event(s)${events.length ? ` from ${escapeHtml(source.ip || 'unknown IP')} &middot; ${escapeHtml(source.userAgent || '')}` : ''}</p>
+${extensions.length ? `<h2>Extension probes</h2>
+<table>
+  <tr><th>Extension</th><th>Extension ID</th><th>Browser</th><th>Result</th><th>Took</th></tr>
+  ${probesHtml}
+</table>` : ''}
+${bait.events.length ? `<h2>Bait</h2>
+<table>
+  <tr><th>Scenario</th><th>Target</th><th>What happened</th><th>First touched</th></tr>
+  ${baitTargetsHtml}
+</table>
+<details><summary>${bait.events.length} bait event(s)</summary>
+<table>
+  <tr><th>Page time</th><th>Since previous</th><th>Event</th><th>Target</th><th>Value</th><th>Input</th></tr>
+  ${baitEventsHtml}
+</table>
+</details>` : ''}
+${events.length || !filters.kind ? '' : '<p>No events of this kind.</p>'}
+${eventsHtml}
+</body></html>`);
+      });
+    });
+  });
+});
+
+// Visit detail: the page-load request headers next to the JS-reported fingerprint
+app.get('/visits/:id', requireAuth, (req, res) => {
+  const visitId = req.params.id;
+  if (!isVisitId(visitId)) return res.status(400).type('text/plain').send('Invalid visit ID');
+
+  loadVisit(db, visitId, (err, visit) => {
+    if (err) return res.status(500).json({ error: err.message });
+    if (!visit.requests.length && !visit.fingerprints.length && !visit.domEvents) {
+      return res.status(404).type('text/plain').send('Unknown visit');
     }
-  };
-  
-  // Wait a bit for SharedWorker to respond before sending fingerprint
-  setTimeout(() => {
-    const ws=new WebSocket((location.protocol==='https:'?'wss://':'ws://')+location.host);
-    function detectBrowserDevTools(){
-      let isDevToolsDetected=false;
-      let method='none';
-      
-      // Method 1: Console inspection via Proxy trap
-      const trap=Object.create(new Proxy({}, { ownKeys(){ isDevToolsDetected=true; method='proxy'; } }));
-      try{ console.groupEnd(trap); }catch(_e){}
-      
-      // Method 2: Size-based detection
-      if(!isDevToolsDetected){
-        const widthGap = Math.abs((window.outerWidth || 0) - (window.innerWidth || 0));
-        const heightGap = Math.abs((window.outerHeight || 0) - (window.innerHeight || 0));
-        if(widthGap > 160 || heightGap > 160){
-          isDevToolsDetected=true;
-          method='size';
-        }
-      }
-      
-      // Method 3: Debugger timing
-      if(!isDevToolsDetected){
-        const start = performance.now();
-        try{ debugger; }catch(_e){}
-        if(performance.now() - start > 50){
-          isDevToolsDetected=true;
-          method='timing';
-        }
-      }
-      
-      return { detected: isDevToolsDetected, method: method };
+
+    if (!req.accepts('html')) {
+      return res.json({
+        visitId,
+        requests: visit.requests.map(formatLogRow),
+        fingerprints: visit.fingerprints.map(formatFingerprintRow),
+        domEvents: visit.domEvents
+      });
     }
-    ws.onopen=()=>{
-      try{
-        fp.devtools = detectBrowserDevTools();
-        ws.send(JSON.stringify({type:'fingerprint',data:fp}));
-      }catch(_e){}
-    };
-  }, 1000);
-})();
-</script>
-    `;
 
-    res.send(`<!DOCTYPE html><html><head><meta charset="utf-8"><title>Logs</title></head><body>
-<h1>Logs (HTML + WS Fingerprint)</h1>
-${entriesHtml}
-${script}
+    const pretty = json => escapeHtml(JSON.stringify(JSON.parse(json || '{}'), null, 2));
+    const requestsHtml = visit.requests.map(r => `
+      <h3>[${escapeHtml(r.timestamp)}] ${escapeHtml(r.method)} ${escapeHtml(r.url)}</h3>
+      ${renderOutcome(r)}
+      <pre>${pretty(r.headers)}</pre>
+      ${renderBody(r)}
+    `).join('') || '<p>No HTTP request recorded for this visit.</p>';
+    const fingerprintsHtml = visit.fingerprints.map(f => `
+      <h3>[${escapeHtml(f.timestamp)}] fingerprint #${f.id} from ${escapeHtml(f.ws_ip || 'unknown IP')}</h3>
+      ${f.visitor_id ? `<p>Visitor <a href="/visitors/${escapeHtml(f.visitor_id)}">${escapeHtml(f.visitor_id)}</a> (${escapeHtml(f.visitor_match)} match)</p>` : ''}
+      <h4>Bot/automation risk</h4>
+      ${renderRisk(f.risk_score, f.risk_rules ? JSON.parse(f.risk_rules) : null)}
+      ${f.redacted ? `<p><small>Redacted: ${escapeHtml(JSON.parse(f.redacted).join(', '))}</small></p>` : ''}
+      <h4>Header vs. JS consistency (${escapeHtml(f.consistency_source === 'page' ? 'page-load headers' : 'WebSocket upgrade headers')})</h4>
+      ${renderFindings(f.consistency ? JSON.parse(f.consistency) : null)}
+      <h4>Network (WebSocket peer ${escapeHtml(f.ws_peer_ip || 'unknown')}${f.ws_rtt_ms !== null ? `, ${escapeHtml(f.ws_rtt_ms)} ms round trip` : ''})</h4>
+      ${renderNetwork(f.network ? JSON.parse(f.network) : null)}
+      <h4>WebSocket upgrade headers</h4>
+      <pre>${pretty(f.ws_headers)}</pre>
+      <h4>JS-reported fingerprint</h4>
+      <pre>${pretty(f.data)}</pre>
+    `).join('') || '<p>No fingerprint received for this visit.</p>';
+
+    res.send(`<!DOCTYPE html><html><head><meta charset="utf-8"><title>Visit ${visitId}</title>
+<style>
+  .columns{display:flex;gap:1em;align-items:flex-start}
+  .columns>section{flex:1;min-width:0}
+  pre{white-space:pre-wrap;overflow-x:auto;border:1px solid #ccc;padding:.5em;font-size:12px}
+</style>
+</head><body>
+<h1>Visit ${visitId}</h1>
+${visit.domEvents ? `<p><a href="/dom/events/${visitId}">${visit.domEvents} DOM injection event${visit.domEvents === 1 ? '' : 's'}</a></p>` : ''}
+<div class="columns">
+  <section><h2>HTTP request</h2>${requestsHtml}</section>
+  <section><h2>Fingerprint</h2>${fingerprintsHtml}</section>
+</div>
 </body></html>`);
   });
 });
 
 // HTML view at '/' with fingerprinting script
-app.get('/', (req, res) => {
-  db.all(`SELECT method,url,headers,body,timestamp FROM logs ORDER BY id DESC`, (err, rows) => {
+app.get('/', requireAuth, (req, res) => {
+  const { filters, errors } = parseLogQuery(req.query);
+  if (errors.length) return res.status(400).type('text/plain').send(errors.join('\n'));
+
+  queryLogs(db, filters, (err, { rows, nextCursor } = {}) => {
     if (err) return res.status(500).send('Error reading logs');
 
     const entriesHtml = rows.map(r => `
       <div class="log-entry">
-        <h2>[${r.timestamp}] ${r.method} ${r.url}</h2>
+        <h2>[${escapeHtml(r.timestamp)}] ${escapeHtml(r.method)} ${escapeHtml(r.url)} <small><a href="/logs/${r.id}">#${r.id}</a></small></h2>
+        ${renderOutcome(r)}
+        ${r.visit_id ? `<p><a href="/visits/${r.visit_id}">Visit ${r.visit_id}</a></p>` : ''}
+        ${r.redacted ? `<p><small>Redacted: ${escapeHtml(JSON.parse(r.redacted).join(', '))}</small></p>` : ''}
         <h3>Headers:</h3>
-        <pre>${JSON.stringify(JSON.parse(r.headers||'{}'),null,2)}</pre>
-        ${r.body ? `<h3>Body:</h3><pre>${JSON.stringify(JSON.parse(r.body),null,2)}</pre>` : ''}
+        <pre>${escapeHtml(JSON.stringify(JSON.parse(r.headers || '{}'), null, 2))}</pre>
+        ${renderBody(r)}
       </div>
     `).join('');
 
-    const script = `
-<script>
-(function(){
-  function getCanvasFingerprint(){
-    const canvas=document.createElement('canvas');
-    const ctx=canvas.getContext('2d');
-    ctx.textBaseline='top';ctx.font='16px Arial';
-    ctx.fillStyle='#f60';ctx.fillRect(125,1,62,20);
-    ctx.fillStyle='#069';ctx.fillText('FPJS',2,15);
-    ctx.fillStyle='rgba(102,204,0,0.7)';ctx.fillText('FPJS',4,17);
-    return canvas.toDataURL();
-  }
-  
-  function parseCookies(cookieString) {
-    if (!cookieString) return {};
-    const cookies = {};
-    cookieString.split(';').forEach(cookie => {
-      const [name, value] = cookie.trim().split('=');
-      if (name && value) {
-        cookies[name] = decodeURIComponent(value);
-      }
-    });
-    return cookies;
-  }
-  
-  // SharedWorker fingerprinting with Blob-based approach
-  let sharedWorkerFingerprint = {};
-  try {
-    // Check for SharedWorker support with proper constructor validation
-    const Wkr = window.frameElement ? window.frameElement.SharedWorker : SharedWorker;
-    if (!Wkr || Wkr.prototype.constructor.name !== "SharedWorker") {
-      sharedWorkerFingerprint = { 
-        supported: false, 
-        error: 'SharedWorker not available or invalid constructor' 
-      };
-    } else {
-      // Create fingerprinting JavaScript for the worker
-      const fingerprintingJS = \`
-        self.onconnect = function(e) {
-          const port = e.ports[0];
-          port.start();
-          
-          // Comprehensive fingerprinting from within the worker context
-          function collectFingerprint() {
-            try {
-              const fp = {
-                // Worker context information
-                workerContext: {
-                  type: 'SharedWorker',
-                  constructor: self.constructor.name,
-                  prototype: self.constructor.prototype ? Object.getOwnPropertyNames(self.constructor.prototype).length : 0,
-                  maxWorkers: navigator.hardwareConcurrency || 'unknown',
-                  userAgent: navigator.userAgent,
-                  platform: navigator.platform,
-                  languages: navigator.languages,
-                  language: navigator.language,
-                  cookieEnabled: navigator.cookieEnabled,
-                  onLine: navigator.onLine,
-                  doNotTrack: navigator.doNotTrack,
-                  maxTouchPoints: navigator.maxTouchPoints || 'unknown',
-                  msMaxTouchPoints: navigator.msMaxTouchPoints || 'unknown'
-                },
-                
-                // Enhanced User-Agent and Platform data
-                userAgentData: navigator.userAgentData ? {
-                  brands: navigator.userAgentData.brands,
-                  mobile: navigator.userAgentData.mobile,
-                  platform: navigator.userAgentData.platform,
-                  architecture: navigator.userAgentData.architecture,
-                  bitness: navigator.userAgentData.bitness,
-                  model: navigator.userAgentData.model,
-                  platformVersion: navigator.userAgentData.platformVersion,
-                  fullVersionList: navigator.userAgentData.fullVersionList,
-                  wow64: navigator.userAgentData.wow64
-                } : 'unsupported',
-                
-                // Additional platform and system information
-                platformDetails: {
-                  platform: navigator.platform,
-                  vendor: navigator.vendor,
-                  product: navigator.product,
-                  productSub: navigator.productSub,
-                  appName: navigator.appName,
-                  appVersion: navigator.appVersion,
-                  appCodeName: navigator.appCodeName
-                },
-                
-                // Enhanced language and locale information
-                localeInfo: {
-                  languages: navigator.languages,
-                  language: navigator.language,
-                  hasLanguages: Array.isArray(navigator.languages),
-                  languageCount: navigator.languages ? navigator.languages.length : 0,
-                  timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
-                  timezoneOffset: new Date().getTimezoneOffset(),
-                  dateFormat: new Intl.DateTimeFormat().formatToParts(new Date()).map(p => p.type),
-                  numberFormat: new Intl.NumberFormat().resolvedOptions(),
-                  collator: new Intl.Collator().resolvedOptions()
-                },
-                
-                // Hardware and performance information
-                hardwareInfo: {
-                  hardwareConcurrency: navigator.hardwareConcurrency || 'unknown',
-                  deviceMemory: navigator.deviceMemory || 'unknown',
-                  connection: navigator.connection ? {
-                    effectiveType: navigator.connection.effectiveType,
-                    downlink: navigator.connection.downlink,
-                    rtt: navigator.connection.rtt
-                  } : 'unsupported'
-                },
-                
-                // Worker-specific capabilities (only worker-available APIs)
-                workerCapabilities: {
-                  sharedWorker: true, // We're already in a SharedWorker
-                  worker: typeof Worker !== 'undefined',
-                  serviceWorker: 'serviceWorker' in navigator,
-                  worklet: false, // CSS not available in workers
-                  offscreenCanvas: typeof OffscreenCanvas !== 'undefined'
-                },
-                
-                // Media capabilities (only worker-available APIs)
-                mediaCapabilities: {
-                  mediaSession: 'mediaSession' in navigator,
-                  mediaDevices: 'mediaDevices' in navigator,
-                  permissions: 'permissions' in navigator,
-                  credentials: 'credentials' in navigator,
-                  storage: 'storage' in navigator,
-                  presentation: 'presentation' in navigator,
-                  wakeLock: 'wakeLock' in navigator,
-                  usb: 'usb' in navigator,
-                  bluetooth: 'bluetooth' in navigator,
-                  hid: 'hid' in navigator,
-                  serial: 'serial' in navigator
-                },
-                
-                // Performance information
-                performanceInfo: {
-                  memory: performance.memory ? {
-                    usedJSHeapSize: performance.memory.usedJSHeapSize,
-                    totalJSHeapSize: performance.memory.totalJSHeapSize,
-                    jsHeapSizeLimit: performance.memory.jsHeapSizeLimit
-                  } : 'unsupported',
-                  timing: performance.timing ? {
-                    navigationStart: performance.timing.navigationStart,
-                    loadEventEnd: performance.timing.loadEventEnd,
-                    domContentLoadedEventEnd: performance.timing.domContentLoadedEventEnd
-                  } : 'unsupported',
-                  navigation: performance.navigation ? {
-                    type: performance.navigation.type,
-                    redirectCount: performance.navigation.redirectCount
-                  } : 'unsupported'
-                },
-                
-                // Canvas fingerprinting (simplified for worker)
-                canvas: 'offscreen_supported'
-              };
-              
-              return fp;
-            } catch (e) {
-              return { error: 'Worker fingerprinting failed: ' + e.message };
-            }
-          }
-          
-          // Collect and send fingerprint immediately
-          try {
-            const fp = collectFingerprint();
-            port.postMessage({ type: 'fingerprint', data: fp });
-          } catch (error) {
-            port.postMessage({ type: 'error', error: error.message });
-          }
-        };
-      \`;
-      
-      // Create Blob-based SharedWorker
-      const worker = new Wkr(
-        URL.createObjectURL(
-          new Blob([fingerprintingJS], { type: "application/javascript" })
-        )
-      );
-      
-      sharedWorkerFingerprint = {
-        supported: true,
-        constructor: Wkr.name,
-        prototype: Wkr.prototype ? Object.getOwnPropertyNames(Wkr.prototype).length : 0,
-        maxWorkers: navigator.hardwareConcurrency || 'unknown'
-      };
-      
-      // Handle messages from the worker
-      worker.port.onmessage = function(e) {
-        if (e.data.type === 'fingerprint') {
-          sharedWorkerFingerprint.working = true;
-          sharedWorkerFingerprint.workerData = e.data.data;
-          console.log('SharedWorker fingerprint collected:', e.data.data);
-        } else if (e.data.type === 'error') {
-          sharedWorkerFingerprint.error = e.data.error;
-          console.error('SharedWorker error:', e.data.error);
-        }
-      };
-      
-      // Handle worker errors
-      worker.port.onerror = function(e) {
-        sharedWorkerFingerprint.error = 'Port error: ' + e.message;
-        console.error('SharedWorker port error:', e);
-      };
-      
-      worker.port.start();
-      
-      // Set a timeout to mark as failed if no response
-      setTimeout(() => {
-        if (!sharedWorkerFingerprint.working && !sharedWorkerFingerprint.error) {
-          sharedWorkerFingerprint.error = 'Timeout: No response from worker';
-          console.warn('SharedWorker timeout - no response received');
-        }
-      }, 5000);
-      
-      // Clean up the blob URL when done
-      setTimeout(() => {
-        URL.revokeObjectURL(worker.port.url);
-      }, 10000);
-    }
-  } catch (e) {
-    sharedWorkerFingerprint = { supported: false, error: e.message };
-  }
-  
-  const fp = {
-    origin: location.pathname,
-    userAgent: navigator.userAgent,
-    platform: navigator.platform,
-    languages: navigator.languages,
-    screen: { width: screen.width, height: screen.height, colorDepth: screen.colorDepth },
-    timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
-    webdriver: navigator.webdriver||false,
-    hasLanguages: Array.isArray(navigator.languages),
-    pluginsCount: navigator.plugins.length,
-    headlessUA: /HeadlessChrome/.test(navigator.userAgent),
-    canvas: getCanvasFingerprint(),
-    cookies: parseCookies(document.cookie),
-    rawCookies: document.cookie,
-    sharedWorker: sharedWorkerFingerprint,
-    // Additional SharedWorker-related properties
-    workerSupport: {
-      sharedWorker: typeof SharedWorker !== 'undefined',
-      worker: typeof Worker !== 'undefined',
-      serviceWorker: 'serviceWorker' in navigator,
-      worklet: 'worklet' in CSS
-    },
-    hardwareConcurrency: navigator.hardwareConcurrency || 'unknown',
-    deviceMemory: navigator.deviceMemory || 'unknown',
-    connection: navigator.connection ? {
-      effectiveType: navigator.connection.effectiveType,
-      downlink: navigator.connection.downlink,
-      rtt: navigator.connection.rtt
-    } : 'unsupported',
-    // Enhanced User-Agent and Platform data
-    userAgentData: navigator.userAgentData ? {
-      brands: navigator.userAgentData.brands,
-      mobile: navigator.userAgentData.mobile,
-      platform: navigator.userAgentData.platform,
-      architecture: navigator.userAgentData.architecture,
-      bitness: navigator.userAgentData.bitness,
-      model: navigator.userAgentData.model,
-      platformVersion: navigator.userAgentData.platformVersion,
-      fullVersionList: navigator.userAgentData.fullVersionList,
-      wow64: navigator.userAgentData.wow64
-    } : 'unsupported',
-    // Additional platform and system information
-    platformDetails: {
-      platform: navigator.platform,
-      vendor: navigator.vendor,
-      product: navigator.product,
-      productSub: navigator.productSub,
-      appName: navigator.appName,
-      appVersion: navigator.appVersion,
-      appCodeName: navigator.appCodeName,
-      cookieEnabled: navigator.cookieEnabled,
-      onLine: navigator.onLine,
-      doNotTrack: navigator.doNotTrack,
-      maxTouchPoints: navigator.maxTouchPoints || 'unknown',
-      msMaxTouchPoints: navigator.msMaxTouchPoints || 'unknown'
-    },
-    // Enhanced language and locale information
-    localeInfo: {
-      languages: navigator.languages,
-      language: navigator.language,
-      hasLanguages: Array.isArray(navigator.languages),
-      languageCount: navigator.languages ? navigator.languages.length : 0,
-      timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
-      timezoneOffset: new Date().getTimezoneOffset(),
-      dateFormat: new Intl.DateTimeFormat().formatToParts(new Date()).map(p => p.type),
-      numberFormat: new Intl.NumberFormat().resolvedOptions(),
-      collator: new Intl.Collator().resolvedOptions()
-    },
-    // Screen and display information
-    displayInfo: {
-      screen: { 
-        width: screen.width, 
-        height: screen.height, 
-        colorDepth: screen.colorDepth,
-        pixelDepth: screen.pixelDepth,
-        availWidth: screen.availWidth,
-        availHeight: screen.availHeight,
-        orientation: screen.orientation ? {
-          type: screen.orientation.type,
-          angle: screen.orientation.angle
-        } : 'unsupported'
-      },
-      window: {
-        innerWidth: window.innerWidth,
-        innerHeight: window.innerHeight,
-        outerWidth: window.outerWidth,
-        outerHeight: window.outerHeight,
-        devicePixelRatio: window.devicePixelRatio,
-        colorGamut: window.matchMedia('(color-gamut: srgb)').matches ? 'srgb' : 
-                    window.matchMedia('(color-gamut: p3)').matches ? 'p3' : 
-                    window.matchMedia('(color-gamut: rec2020)').matches ? 'rec2020' : 'unknown'
-      }
-    },
-    // Media capabilities and codecs
-    mediaCapabilities: {
-      mediaSession: 'mediaSession' in navigator,
-      mediaDevices: 'mediaDevices' in navigator,
-      permissions: 'permissions' in navigator,
-      credentials: 'credentials' in navigator,
-      storage: 'storage' in navigator,
-      presentation: 'presentation' in navigator,
-      wakeLock: 'wakeLock' in navigator,
-      usb: 'usb' in navigator,
-      bluetooth: 'bluetooth' in navigator,
-      hid: 'hid' in navigator,
-      serial: 'serial' in navigator
-    },
-    // Performance and memory information
-    performanceInfo: {
-      memory: performance.memory ? {
-        usedJSHeapSize: performance.memory.usedJSHeapSize,
-        totalJSHeapSize: performance.memory.totalJSHeapSize,
-        jsHeapSizeLimit: performance.memory.jsHeapSizeLimit
-      } : 'unsupported',
-      timing: performance.timing ? {
-        navigationStart: performance.timing.navigationStart,
-        loadEventEnd: performance.timing.loadEventEnd,
-        domContentLoadedEventEnd: performance.timing.domContentLoadedEventEnd
-      } : 'unsupported',
-      navigation: performance.navigation ? {
-        type: performance.navigation.type,
-        redirectCount: performance.navigation.redirectCount
-      } : 'unsupported'
-    },
-    // WebGL and graphics information
-    graphicsInfo: {
-      webgl: (() => {
-        try {
-          const canvas = document.createElement('canvas');
-          const gl = canvas.getContext('webgl') || canvas.getContext('experimental-webgl');
-          if (!gl) return 'unsupported';
-          
-          const debugInfo = gl.getExtension('WEBGL_debug_renderer_info');
-          return {
-            vendor: debugInfo ? gl.getParameter(debugInfo.UNMASKED_VENDOR_WEBGL) : 'unknown',
-            renderer: debugInfo ? gl.getParameter(debugInfo.UNMASKED_RENDERER_WEBGL) : 'unknown',
-            version: gl.getParameter(gl.VERSION),
-            shadingLanguageVersion: gl.getParameter(gl.SHADING_LANGUAGE_VERSION),
-            maxTextureSize: gl.getParameter(gl.MAX_TEXTURE_SIZE),
-            maxViewportDims: gl.getParameter(gl.MAX_VIEWPORT_DIMS)
-          };
-        } catch (e) {
-          return 'error: ' + e.message;
-        }
-      })(),
-      webgl2: (() => {
-        try {
-          const canvas = document.createElement('canvas');
-          const gl = canvas.getContext('webgl2');
-          if (!gl) return 'unsupported';
-          
-          return {
-            version: gl.getParameter(gl.VERSION),
-            shadingLanguageVersion: gl.getParameter(gl.SHADING_LANGUAGE_VERSION),
-            maxTextureSize: gl.getParameter(gl.MAX_TEXTURE_SIZE),
-            maxViewportDims: gl.getParameter(gl.MAX_VIEWPORT_DIMS)
-          };
-        } catch (e) {
-          return 'error: ' + e.message;
-        }
-      })()
-    }
-  };
-  
-  // Wait a bit for SharedWorker to respond before sending fingerprint
-  setTimeout(() => {
-    const ws=new WebSocket((location.protocol==='https:'?'wss://':'ws://')+location.host);
-    function detectBrowserDevTools(){
-      let isDevToolsDetected=false;
-      let method='none';
-      
-      // Method 1: Console inspection via Proxy trap
-      const trap=Object.create(new Proxy({}, { ownKeys(){ isDevToolsDetected=true; method='proxy'; } }));
-      try{ console.groupEnd(trap); }catch(_e){}
-      
-      // Method 2: Size-based detection
-      if(!isDevToolsDetected){
-        const widthGap = Math.abs((window.outerWidth || 0) - (window.innerWidth || 0));
-        const heightGap = Math.abs((window.outerHeight || 0) - (window.innerHeight || 0));
-        if(widthGap > 160 || heightGap > 160){
-          isDevToolsDetected=true;
-          method='size';
-        }
-      }
-      
-      // Method 3: Debugger timing
-      if(!isDevToolsDetected){
-        const start = performance.now();
-        try{ debugger; }catch(_e){}
-        if(performance.now() - start > 50){
-          isDevToolsDetected=true;
-          method='timing';
-        }
-      }
-      
-      return { detected: isDevToolsDetected, method: method };
-    }
-    ws.onopen=()=>{
-      try{
-        fp.devtools = detectBrowserDevTools();
-        ws.send(JSON.stringify({type:'fingerprint',data:fp}));
-      }catch(_e){}
-    };
-  }, 1000);
-})();
-</script>
-    `;
+    const script = collectorScriptTag(res.locals.visitId);
+
+    // Live updates only make sense on the newest page, and the live tail only
+    // filters on method, URL prefix and visit
+    const liveSupported = !filters.cursor && !filters.urlRegex && !filters.since && !filters.until &&
+      !filters.header && !filters.body && !filters.status && filters.minDuration === undefined &&
+      filters.minBytes === undefined && !filters.ip && !filters.honeypot;
+    const liveFilters = liveSupported
+      ? { kinds: ['log'], method: filters.method, path: filters.urlPrefix, visit: filters.visit }
+      : null;
 
     res.send(`<!DOCTYPE html>
 <html>
@@ -1084,6 +1054,20 @@ app.get('/', (req, res) => {
     .nav-link:hover {
       background-color: #0056b3;
     }
+    .log-filters, .pager {
+      color: #e0e0e0;
+    }
+    .log-filters a, .pager a {
+      color: #4a90e2;
+    }
+    .live-status {
+      color: #b0b0b0;
+      font-size: 13px;
+      margin-bottom: 15px;
+    }
+    .log-entry.live-new {
+      border-color: #28a745;
+    }
   </style>
 </head>
 <body>
@@ -1093,36 +1077,246 @@ app.get('/', (req, res) => {
     <a href="/objects" class="nav-link">🔍 Browser Objects Explorer</a>
     <a href="/dom" class="nav-link">🧬 DOM Injection Monitor</a>
     <a href="/logs" class="nav-link">📋 View Logs API</a>
+    <a href="/fingerprints" class="nav-link">🖐️ Fingerprints</a>
+    <a href="/canvas" class="nav-link">🎨 Canvas Hashes</a>
+    <a href="/visitors" class="nav-link">👤 Visitors</a>
+    <a href="/dom/events" class="nav-link">🧾 DOM Events</a>
+    ${auth.enabled ? `<form method="post" action="/logout" style="display: inline;">${csrfInput(req)}<button type="submit" class="nav-link" style="border: none; cursor: pointer; font: inherit;">🚪 Sign out</button></form>` : ''}
   </div>
   
-  <div class="log-entries">
+  ${renderFilterForm('/', req.query)}
+
+  <div id="liveStatus" class="live-status"></div>
+
+  <div class="log-entries" id="logEntries">
     ${entriesHtml}
   </div>
+
+  ${renderPager('/', req.query, nextCursor)}
   
   ${script}
+  <script>
+  // Live tail: prepend new requests as the server logs them
+  (function () {
+    const filters = ${JSON.stringify(liveFilters).replace(/</g, '\\u003c')};
+    const status = document.getElementById('liveStatus');
+    const list = document.getElementById('logEntries');
+    if (!filters) {
+      status.textContent = 'Live updates paused: showing an older page or a filter the live tail does not support.';
+      return;
+    }
+
+    function esc(value) {
+      return String(value === null || value === undefined ? '' : value).replace(/[&<>"']/g, c => (
+        { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]
+      ));
+    }
+
+    function outcome(entry) {
+      const parts = [];
+      if (entry.status !== null) parts.push('<strong>' + esc(entry.status) + '</strong>');
+      else if (entry.durationMs !== null) parts.push('<strong>no response</strong>');
+      if (entry.durationMs !== null) parts.push(esc(entry.durationMs) + ' ms');
+      if (entry.responseBytes !== null) parts.push(esc(entry.responseBytes) + ' B');
+      if (entry.ip) parts.push('from ' + esc(entry.ip));
+      if (entry.protocol) parts.push(esc(entry.protocol));
+      return parts.length ? '<p class="outcome">' + parts.join(' &middot; ') + '</p>' : '';
+    }
+
+    function render(entry) {
+      const div = document.createElement('div');
+      div.className = 'log-entry live-new';
+      const body = entry.bodyEncoding
+        ? '<h3>Body:</h3><p><small>' + esc(entry.contentType || 'no content type') +
+          (entry.bodyTruncated ? ' · <strong>[truncated]</strong>' : '') + '</small></p><pre>' +
+          esc(entry.bodyEncoding === 'json' ? JSON.stringify(entry.body, null, 2) : entry.body) + '</pre>'
+        : '';
+      div.innerHTML =
+        '<h2>[' + esc(entry.timestamp) + '] ' + esc(entry.method) + ' ' + esc(entry.url) + '</h2>' + outcome(entry) +
+        (entry.visitId ? '<p><a href="/visits/' + esc(entry.visitId) + '">Visit ' + esc(entry.visitId) + '</a></p>' : '') +
+        (entry.redacted && entry.redacted.length ? '<p><small>Redacted: ' + esc(entry.redacted.join(', ')) + '</small></p>' : '') +
+        '<h3>Headers:</h3><pre>' + esc(JSON.stringify(entry.headers, null, 2)) + '</pre>' + body;
+      return div;
+    }
+
+    function connect() {
+      const ws = new WebSocket((location.protocol === 'https:' ? 'wss://' : 'ws://') + location.host);
+      ws.onopen = () => ws.send(JSON.stringify({ type: 'subscribe', filters: filters }));
+      ws.onmessage = event => {
+        const msg = JSON.parse(event.data);
+        if (msg.type === 'subscribed') {
+          status.textContent = '● Live: new requests appear at the top';
+        } else if (msg.type === 'entry' && msg.kind === 'log') {
+          list.insertBefore(render(msg.entry), list.firstChild);
+        }
+      };
+      ws.onclose = () => {
+        status.textContent = 'Live updates disconnected, reconnecting…';
+        setTimeout(connect, 3000);
+      };
+    }
+    connect();
+  })();
+  </script>
 </body>
 </html>`);
   });
 });
 
-// WebSocket server for fingerprint messages
-const wss = new WebSocket.Server({ server });
-wss.on('connection', ws => {
+// Store a fingerprint with its visitor ID, header/JS consistency findings and risk score. Headers
+// come from the visit's page-load request when we have it, else from the WS upgrade. `requestCanvasImage(hash)`
+// is called when the canvas hash has no stored image yet.
+function recordFingerprint(data, meta, requestCanvasImage) {
+  const { canvas, image: canvasImage } = normalizeCanvas(data.canvas);
+  if (data.canvas !== undefined) data = { ...data, canvas };
+
+  const store = pageHeaders => identity.resolve(data, meta.wsHeaders, meta.timestamp, (identityErr, visitor) => {
+    if (identityErr) console.error('Visitor lookup error:', identityErr.message);
+    meta.visitor = visitor || null;
+    // This runs in a database callback, where a throw would end the process: a page that trips up
+    // an analyser is stored without findings instead
+    try {
+      meta.consistency = {
+        source: pageHeaders ? 'page' : 'websocket',
+        findings: analyzeConsistency(pageHeaders || meta.wsHeaders, data)
+      };
+      meta.network = analyzeNetwork(data, { ip: meta.wsIp, rttMs: meta.wsRttMs });
+      meta.risk = scoreFingerprint(riskRules, data, meta.consistency.findings, meta.network);
+    } catch (analysisErr) {
+      console.error('Fingerprint analysis error:', analysisErr.message);
+      meta.consistency = null;
+      meta.network = null;
+      meta.risk = null;
+    }
+
+    // Analysis sees the raw values; only the redacted copies are stored
+    const { headers: wsHeaders, redacted: headerRedactions } = redactor.redactHeaders(meta.wsHeaders);
+    const { value: safeData, redacted: dataRedactions } = redactor.redactJson(data, 'data');
+    meta.wsHeaders = wsHeaders;
+    meta.redacted = headerRedactions.concat(dataRedactions);
+
+    insertFingerprint(db, safeData, meta, function (err) {
+      if (err) return console.error('Fingerprint insert error:', err.message);
+      if (canvas) {
+        recordCanvasHash(db, canvas.hash, { timestamp: meta.timestamp, image: canvasImage }, (canvasErr, result) => {
+          if (canvasErr) return console.error('Canvas hash error:', canvasErr.message);
+          if (result.needsImage) requestCanvasImage(canvas.hash);
+        });
+      }
+      if (!liveFeed.size) return;
+      getFingerprint(db, this.lastID, (getErr, row) => {
+        if (!getErr && row) liveFeed.publish('fingerprint', formatFingerprintRow(row));
+      });
+    });
+  });
+  if (!meta.visitId) return store(null);
+  loadVisitHeaders(db, meta.visitId, (err, headers) => {
+    if (err) console.error('Visit lookup error:', err.message);
+    store(err ? null : headers);
+  });
+}
+
+// WebSocket server for fingerprint messages and live-tail subscriptions
+const wss = new WebSocket.Server({ server, maxPayload: MAX_MESSAGE_BYTES });
+// What each client IP may store from the WebSocket per window
+const submissionQuota = createQuota();
+wss.on('connection', (ws, req) => {
+  // Details of the upgrade request, stored with each submission on this socket
+  const wsIp = clientIp(req, trustedProxy);
+  const wsPeerIp = normalizeIp(req.socket.remoteAddress);
+  const wsHeaders = req.headers;
+  // Protocol-level round trips, compared with what the collector measures
+  const rtt = measureRtt(ws);
+  // Anyone may submit fingerprints; only signed-in viewers may tail the logs
+  const canSubscribe = auth.isAuthenticated(req);
+  // Canvas hashes we asked this page to send the image for
+  const canvasRequests = new Set();
+  const requestCanvasImage = hash => {
+    if (ws.readyState !== WebSocket.OPEN) return;
+    canvasRequests.add(hash);
+    ws.send(JSON.stringify({ type: 'canvas-image-request', hash }));
+  };
+  // The submissions this client may still store; the rest is dropped
+  const withinQuota = (items, sizeOf) => {
+    const wasExhausted = submissionQuota.exhausted(wsIp);
+    const kept = submissionQuota.take(wsIp, items, sizeOf);
+    if (!wasExhausted && submissionQuota.exhausted(wsIp)) console.warn(`Submission quota used up for ${wsIp}`);
+    return kept;
+  };
+
   ws.on('message', message => {
     try {
       const msg = JSON.parse(message);
-      if (msg.type === 'fingerprint') {
-        const { origin, ...data } = msg.data;
-        const ts = new Date().toISOString();
-        db.run(
-          `INSERT INTO logs(method,url,headers,body,timestamp) VALUES(?,?,?,?,?)`,
-          ['WS', origin, '{}', JSON.stringify(data), ts]
-        );
+      if (msg.type === 'fingerprint' && msg.data && typeof msg.data === 'object') {
+        if (!withinQuota([msg.data], () => message.length).length) return;
+        recordFingerprint(msg.data, {
+          timestamp: new Date().toISOString(),
+          visitId: isVisitId(msg.visitId) ? msg.visitId : null,
+          collectorVersion: typeof msg.version === 'string' ? msg.version.slice(0, 32) : null,
+          wsIp,
+          wsPeerIp,
+          wsRttMs: rtt.samples.length ? Math.min(...rtt.samples) : null,
+          wsHeaders
+        }, requestCanvasImage);
+      } else if (msg.type === 'dom-events') {
+        const batch = parseDomBatch(msg);
+        if (!batch) return;
+        batch.events = withinQuota(batch.events, e => JSON.stringify(e.details).length);
+        if (!batch.events.length) return;
+        insertDomEvents(db, batch, {
+          timestamp: new Date().toISOString(),
+          wsIp,
+          userAgent: wsHeaders['user-agent'],
+          redact: details => redactor.redactJson(details, 'details'),
+          classify: details => classifyNode(extensionSignatures, details)
+        }, err => {
+          if (err) console.error('DOM event insert error:', err.message);
+        });
+      } else if (msg.type === 'extension-probes') {
+        const batch = parseProbeResults(extensionProbes, msg);
+        if (!batch || !withinQuota([batch], () => message.length).length) return;
+        insertProbeResults(db, batch, {
+          timestamp: new Date().toISOString(),
+          wsIp,
+          userAgent: wsHeaders['user-agent']
+        }, err => {
+          if (err) console.error('Extension probe insert error:', err.message);
+        });
+      } else if (msg.type === 'bait-events') {
+        const batch = parseBaitBatch(baitScenarios, msg);
+        if (!batch) return;
+        batch.events = withinQuota(batch.events, e => JSON.stringify(e).length);
+        if (!batch.events.length) return;
+        insertBaitEvents(db, batch, {
+          timestamp: new Date().toISOString(),
+          wsIp,
+          userAgent: wsHeaders['user-agent']
+        }, err => {
+          if (err) console.error('Bait event insert error:', err.message);
+        });
+      } else if (msg.type === 'ping' && Number.isInteger(msg.seq)) {
+        ws.send(JSON.stringify({ type: 'pong', seq: msg.seq }));
+      } else if (msg.type === 'canvas-image' && canvasRequests.has(msg.hash)) {
+        canvasRequests.delete(msg.hash);
+        if (!withinQuota([msg.image], () => message.length).length) return;
+        storeCanvasImage(db, msg.hash, msg.image, err => {
+          if (err) console.error('Canvas image rejected:', err.message);
+        });
+      } else if (msg.type === 'subscribe') {
+        if (!canSubscribe) return ws.send(JSON.stringify({ type: 'error', error: 'Authentication required' }));
+        const filters = liveFeed.subscribe(ws, msg.filters);
+        ws.send(JSON.stringify({ type: 'subscribed', filters }));
+      } else if (msg.type === 'unsubscribe') {
+        liveFeed.unsubscribe(ws);
       }
     } catch (e) {
       console.error('WS parse error:', e);
     }
   });
+
+  // Oversized or malformed frames; ws closes the connection itself
+  ws.on('error', err => console.warn(`WebSocket error from ${wsIp}:`, err.message));
+  ws.on('close', () => liveFeed.unsubscribe(ws));
 });
 
 // Test iframe page route
@@ -1158,8 +1352,12 @@ app.get('/test-iframe', (req, res) => {
   res.send(html);
 });
 
-// DOM Injection Monitor route
+// DOM Injection Monitor route. Mutations are also batched over the
+// WebSocket and stored under the page's visit ID (lib/dom.js), as are the
+// results of the extension probes (lib/probes.js) and what happened to the
+// bait forms (lib/bait.js; '?bait=login,card' picks the scenarios).
 app.get('/dom', (req, res) => {
+  const bait = selectScenarios(baitScenarios, req.query);
   const html = `<!DOCTYPE html>
 <html>
 <head>
@@ -1199,20 +1397,145 @@ app.get('/dom', (req, res) => {
       max-height: 70vh;
       overflow-y: auto;
     }
+    .log-filters {
+      max-width: 960px;
+      margin: 0 auto 10px;
+      font-size: 13px;
+      color: #b0b0b0;
+    }
+    .log-filters label {
+      margin-right: 14px;
+      cursor: pointer;
+    }
+    .log .entry { margin-bottom: 12px; }
+    .log .entry-removed { color: #ff8a80; }
+    .log .entry-attribute { color: #ffd180; }
+    .log .entry-text { color: #80d8ff; }
+    .log .entry-shadow { color: #b388ff; }
+    .log .entry-bait { color: #a5d6a7; }
+    .log.hide-added .entry-added,
+    .log.hide-removed .entry-removed,
+    .log.hide-attribute .entry-attribute,
+    .log.hide-text .entry-text,
+    .log.hide-shadow .entry-shadow,
+    .log.hide-bait .entry-bait { display: none; }
+    .bait-box {
+      max-width: 960px;
+      margin: 20px auto;
+      padding: 20px;
+      background-color: #2d2d2d;
+      border-radius: 8px;
+      border: 1px solid #555;
+      display: flex;
+      flex-wrap: wrap;
+      gap: 30px;
+    }
+    .bait h3 { color: #ffffff; margin-top: 0; }
+    .bait-field { margin-bottom: 10px; }
+    .bait-field label { display: block; font-size: 13px; color: #b0b0b0; }
+    .bait-field input { padding: 6px; width: 220px; }
+    .bait a { color: #4a90e2; }
+    /* Chrome and Safari start this animation when they autofill a field */
+    @keyframes baitAutofill { from { opacity: 1; } to { opacity: 1; } }
+    input:-webkit-autofill { animation-name: baitAutofill; animation-duration: 1ms; }
   </style>
 </head>
 <body>
   <h1>🧬 DOM Injection Monitor</h1>
-  <p>This page observes DOM mutations and logs newly added elements to the console (and below).</p>
+  <p>This page observes DOM mutations (added and removed elements, attribute and text changes, shadow roots) and logs them to the console (and below), and reports them to the server.</p>
   
-  <!-- Chrome Extension Detection Result -->
+  <!-- Extension probe results (registry at /dom/probes) -->
   <div id="extensionResult" style="max-width: 960px; margin: 20px auto; padding: 20px; background-color: #2d2d2d; border-radius: 8px; border: 1px solid #555; box-shadow: 0 2px 4px rgba(0,0,0,0.3);">
-    <h2 style="color: #ffffff; margin-top: 0;">🔍 Chrome Extension Detection</h2>
+    <h2 style="color: #ffffff; margin-top: 0;">🔍 Extension Detection</h2>
     <div id="extensionStatus" style="color: #b0b0b0; font-size: 16px;">Checking...</div>
   </div>
   
+  ${bait.length ? `<!-- Bait forms and links (config/bait-scenarios.json) -->
+  <div id="bait" class="bait-box">${renderBait(bait)}
+  </div>` : ''}
+
+  <div id="domLogFilters" class="log-filters">Show:</div>
   <div id="domLog" class="log"></div>
   <script>
+    // Injected-node events go to the server in batches over the logger's WebSocket,
+    // along with the extension probe results
+    const domReporter = (function () {
+      const VISIT_ID = ${JSON.stringify(res.locals.visitId)};
+      const BATCH_SIZE = 50;
+      const FLUSH_MS = 1000;
+      const MAX_QUEUE = 1000;
+      // The server keeps only the start of long strings and refuses frames over ${MAX_MESSAGE_BYTES} bytes
+      const MAX_STRING = 64 * 1024;
+      const MAX_MESSAGE_CHARS = 256 * 1024;
+      const queue = [];
+      const messages = [];
+      let ws = null;
+      let timer = null;
+
+      function connect() {
+        ws = new WebSocket((location.protocol === 'https:' ? 'wss://' : 'ws://') + location.host);
+        ws.onopen = flush;
+        ws.onclose = () => { ws = null; };
+      }
+
+      function flush() {
+        clearTimeout(timer);
+        timer = null;
+        if (!queue.length && !messages.length) return;
+        if (!ws) connect();
+        if (ws.readyState !== WebSocket.OPEN) return;
+        while (messages.length) ws.send(JSON.stringify(messages.shift()));
+        while (queue.length) {
+          const events = [];
+          let size = 0;
+          while (queue.length && events.length < BATCH_SIZE) {
+            if (events.length && size + queue[0].size > MAX_MESSAGE_CHARS) break;
+            const entry = queue.shift();
+            size += entry.size;
+            events.push(entry.event);
+          }
+          ws.send(JSON.stringify({ type: 'dom-events', visitId: VISIT_ID, events: events }));
+        }
+      }
+
+      function clip(value) {
+        if (typeof value === 'string') return value.length > MAX_STRING ? value.slice(0, MAX_STRING) : value;
+        if (!value || typeof value !== 'object') return value;
+        const out = Array.isArray(value) ? [] : {};
+        for (const key of Object.keys(value)) out[key] = clip(value[key]);
+        return out;
+      }
+
+      function report(kind, details) {
+        if (queue.length >= MAX_QUEUE) return;
+        const event = {
+          kind: kind,
+          time: new Date().toISOString(),
+          offsetMs: Math.round(performance.now()),
+          details: clip(details)
+        };
+        let size = JSON.stringify(event).length;
+        if (size > MAX_MESSAGE_CHARS) {
+          event.details = { tag: details.tag, path: details.path, error: 'details too large' };
+          size = JSON.stringify(event).length;
+        }
+        queue.push({ event: event, size: size });
+        if (queue.length >= BATCH_SIZE) flush();
+        else if (!timer) timer = setTimeout(flush, FLUSH_MS);
+      }
+
+      function send(type, payload) {
+        messages.push(Object.assign({ type: type, visitId: VISIT_ID }, payload));
+        flush();
+      }
+
+      window.addEventListener('pagehide', flush);
+      return { report: report, send: send, flush: flush };
+    })();
+
+    // Elements this page adds itself, which the monitor must not report
+    const ownNodes = new WeakSet();
+
     function formatNodeDetails(node) {
       try {
         const info = {
@@ -1239,6 +1562,10 @@ app.get('/dom', (req, res) => {
           info.outerHTML = node.outerHTML;
         }
 
+        if (node.shadowRoot) {
+          info.shadowRoot = { mode: node.shadowRoot.mode, innerHTML: node.shadowRoot.innerHTML };
+        }
+
         if (node.parentElement) {
           info.parent = {
             tag: node.parentElement.nodeName,
@@ -1255,20 +1582,137 @@ app.get('/dom', (req, res) => {
       }
     }
 
+    // A CSS-like path from the document root, e.g. "html > body > div#app > ul:nth-child(2)".
+    // " >>> " steps from a shadow host into its shadow root.
+    function nodePath(node) {
+      const steps = [];
+      let current = node;
+      while (current) {
+        if (current.nodeType === Node.DOCUMENT_FRAGMENT_NODE && current.host) {
+          steps.unshift('>>>');
+          current = current.host;
+          continue;
+        }
+        if (current.nodeType !== Node.ELEMENT_NODE && current.nodeType !== Node.TEXT_NODE) break;
+        let step = current.nodeType === Node.TEXT_NODE ? '#text' : current.nodeName.toLowerCase();
+        if (current.id) {
+          step += '#' + current.id;
+        } else if (current.parentNode && current.parentNode.nodeType !== Node.DOCUMENT_NODE) {
+          const siblings = Array.prototype.filter.call(current.parentNode.childNodes, n => n.nodeType === current.nodeType);
+          if (siblings.length > 1) step += ':nth-child(' + (siblings.indexOf(current) + 1) + ')';
+        }
+        steps.unshift(step);
+        current = current.parentNode;
+      }
+      return steps.join(' > ').replace(/ > >>> > /g, ' >>> ');
+    }
+
+    // Whether a node is, or sits inside, something this page added itself
+    function isOwnNode(node) {
+      for (let n = node; n; n = n.parentNode || n.host) {
+        if (ownNodes.has(n)) return true;
+      }
+      return false;
+    }
+
+    const MUTATION_KINDS = ['added', 'removed', 'attribute', 'text', 'shadow'];
+    const LOG_KINDS = MUTATION_KINDS.concat(['bait']);
+    const OBSERVE_OPTIONS = {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeOldValue: true,
+      characterData: true,
+      characterDataOldValue: true
+    };
+
+    // Check boxes above the log that hide and show each kind of entry
+    function setupLogFilters() {
+      const filtersEl = document.getElementById('domLogFilters');
+      const logEl = document.getElementById('domLog');
+      ownNodes.add(filtersEl);
+      ownNodes.add(logEl);
+      LOG_KINDS.forEach(kind => {
+        const label = document.createElement('label');
+        const box = document.createElement('input');
+        box.type = 'checkbox';
+        box.checked = true;
+        box.addEventListener('change', () => logEl.classList.toggle('hide-' + kind, !box.checked));
+        const count = document.createElement('span');
+        count.id = 'domLogCount-' + kind;
+        count.textContent = '0';
+        label.appendChild(box);
+        label.appendChild(document.createTextNode(' ' + kind + ' ('));
+        label.appendChild(count);
+        label.appendChild(document.createTextNode(')'));
+        filtersEl.appendChild(label);
+      });
+    }
+
+    function appendLogEntry(kind, text) {
+      const logEl = document.getElementById('domLog');
+      if (!logEl) return;
+      const entry = document.createElement('div');
+      entry.className = 'entry entry-' + kind;
+      entry.textContent = '[' + new Date().toISOString() + '] ' + text;
+      logEl.appendChild(entry);
+      const count = document.getElementById('domLogCount-' + kind);
+      if (count) count.textContent = String(Number(count.textContent) + 1);
+    }
+
+    function logMutation(kind, node, details) {
+      console.log('[DOM Change] ' + kind + ':', node, details);
+      domReporter.report(kind, details);
+      appendLogEntry(kind, kind + ' ' + details.path + '\\n' + JSON.stringify(details, null, 2));
+    }
+
+    function targetDetails(target) {
+      return {
+        tag: target.nodeName,
+        id: target.id || null,
+        className: typeof target.className === 'string' ? target.className : null,
+        path: nodePath(target)
+      };
+    }
+
     function detectDomInjection(callback) {
       const observer = new MutationObserver(mutations => {
         for (const m of mutations) {
+          if (isOwnNode(m.target)) continue;
+          if (m.type === 'attributes') {
+            const details = targetDetails(m.target);
+            details.attribute = m.attributeName;
+            details.namespace = m.attributeNamespace;
+            details.oldValue = m.oldValue;
+            details.value = m.target.getAttribute(m.attributeName);
+            // Only the attribute that changed, for the server's signature matching
+            details.attributes = {};
+            if (details.value !== null) details.attributes[m.attributeName] = details.value;
+            logMutation('attribute', m.target, details);
+            continue;
+          }
+          if (m.type === 'characterData') {
+            const details = targetDetails(m.target.parentNode || m.target);
+            details.tag = '#text';
+            details.path = nodePath(m.target);
+            details.oldValue = m.oldValue;
+            details.value = m.target.data;
+            logMutation('text', m.target, details);
+            continue;
+          }
+          for (const node of m.removedNodes) {
+            if (node.nodeType !== Node.ELEMENT_NODE || ownNodes.has(node)) continue;
+            const details = formatNodeDetails(node);
+            // The node is detached: its path is where it was
+            details.path = nodePath(m.target) + ' > ' + node.nodeName.toLowerCase() + (node.id ? '#' + node.id : '');
+            details.parent = targetDetails(m.target);
+            logMutation('removed', node, details);
+          }
           for (const node of m.addedNodes) {
-            if (node.nodeType === Node.ELEMENT_NODE) {
+            if (node.nodeType === Node.ELEMENT_NODE && !ownNodes.has(node)) {
               const details = formatNodeDetails(node);
-              console.log("[DOM Change] New element added:", node, details);
-              const logEl = document.getElementById('domLog');
-              if (logEl) {
-                const time = new Date().toISOString();
-                logEl.textContent += "[" + time + "] " +
-                  JSON.stringify(details, null, 2) +
-                  " added\\n\\n";
-              }
+              details.path = nodePath(node);
+              logMutation('added', node, details);
               if (typeof callback === 'function') {
                 callback(node);
               }
@@ -1277,40 +1721,193 @@ app.get('/dom', (req, res) => {
         }
       });
 
-      observer.observe(document.documentElement, {
-        childList: true,
-        subtree: true
-      });
+      observer.observe(document.documentElement, OBSERVE_OPTIONS);
+
+      // Shadow roots, open or closed, are reported when attached and watched like the document.
+      // Roots attached before this script ran are only seen through their hosts.
+      const attachShadow = Element.prototype.attachShadow;
+      Element.prototype.attachShadow = function (init) {
+        const root = attachShadow.apply(this, arguments);
+        if (!isOwnNode(this)) {
+          const details = formatNodeDetails(this);
+          details.path = nodePath(this);
+          details.connected = this.isConnected;
+          details.mode = init && init.mode;
+          details.delegatesFocus = Boolean(init && init.delegatesFocus);
+          details.shadowRoot = { mode: details.mode, innerHTML: '' };
+          logMutation('shadow', this, details);
+          observer.observe(root, OBSERVE_OPTIONS);
+        }
+        return root;
+      };
 
       return observer;
     }
 
-    async function detectChromeExtensionExistencel_isClaudeEnabled() {
-      try {
-        await fetch("chrome-extension://fcoeoabgfenejglbffodgkkbkcdhcgfn/assets/agent-visual-indicator.js-Ct7LqXhp.js", {
-          method: 'HEAD'
-        });
-        return true;
-      } catch {
-        return false;
+    // Bait forms and links: what got focused, filled, autofilled or clicked, and the time
+    // between events. Only the length of a value is reported, never the value.
+    const baitReporter = (function () {
+      const FLUSH_MS = 1000;
+      const BATCH_SIZE = 50;
+      const MAX_EVENTS = 1000;
+      const queue = [];
+      const lengths = new WeakMap();
+      let recorded = 0;
+      let lastMs = null;
+      let timer = null;
+
+      function flush() {
+        clearTimeout(timer);
+        timer = null;
+        while (queue.length) domReporter.send('bait-events', { events: queue.splice(0, BATCH_SIZE) });
       }
+
+      function record(kind, el, extra) {
+        if (recorded >= MAX_EVENTS) return;
+        recorded++;
+        const now = performance.now();
+        const scenario = el.closest('[data-bait-scenario]');
+        const event = Object.assign({
+          kind: kind,
+          scenario: scenario && scenario.getAttribute('data-bait-scenario'),
+          target: el.getAttribute('data-bait-target'),
+          time: new Date().toISOString(),
+          offsetMs: Math.round(now),
+          sincePrevMs: lastMs === null ? null : Math.round(now - lastMs)
+        }, extra);
+        lastMs = now;
+        queue.push(event);
+        appendLogEntry('bait', kind + ' ' + event.scenario + (event.target ? '/' + event.target : '') +
+          (el.closest('[data-bait-trap]') ? ' (trap)' : '') +
+          (event.sincePrevMs === null ? '' : ' +' + event.sincePrevMs + ' ms'));
+        if (queue.length >= BATCH_SIZE) flush();
+        else if (!timer) timer = setTimeout(flush, FLUSH_MS);
+      }
+
+      const baitTarget = e => (e.target instanceof Element ? e.target.closest('[data-bait-target]') : null);
+      const valueOf = el => {
+        lengths.set(el, el.value.length);
+        return { valueLength: el.value.length };
+      };
+
+      function watch(root) {
+        root.addEventListener('focusin', e => {
+          const el = baitTarget(e);
+          if (el && el.tagName === 'INPUT') record('focus', el, { trusted: e.isTrusted });
+        }, true);
+        root.addEventListener('focusout', e => {
+          const el = baitTarget(e);
+          if (el && el.tagName === 'INPUT') record('blur', el, valueOf(el));
+        }, true);
+        root.addEventListener('input', e => {
+          const el = baitTarget(e);
+          if (el) record('input', el, Object.assign(valueOf(el), { inputType: e.inputType || null, trusted: e.isTrusted }));
+        }, true);
+        root.addEventListener('change', e => {
+          const el = baitTarget(e);
+          if (el) record('change', el, Object.assign(valueOf(el), { trusted: e.isTrusted }));
+        }, true);
+        root.addEventListener('animationstart', e => {
+          const el = baitTarget(e);
+          if (el && e.animationName === 'baitAutofill') record('autofill', el, valueOf(el));
+        }, true);
+        root.addEventListener('click', e => {
+          const el = baitTarget(e);
+          if (el && el.tagName === 'A') record('click', el, { trusted: e.isTrusted });
+        }, true);
+        root.addEventListener('submit', e => {
+          const form = e.target.closest('[data-bait-form]');
+          if (!form) return;
+          e.preventDefault();
+          // Values set from script fire no events; they show up as a changed length here
+          Array.prototype.forEach.call(form.querySelectorAll('[data-bait-target]'), el => {
+            if (el.value.length !== (lengths.get(el) || 0)) record('change', el, Object.assign(valueOf(el), { inputType: 'script' }));
+          });
+          record('submit', form, { trusted: e.isTrusted });
+          flush();
+        }, true);
+      }
+
+      window.addEventListener('pagehide', flush);
+      return { watch: watch, flush: flush };
+    })();
+
+    // Extension probes come from the server's registry; each fetches a web-accessible
+    // resource of one extension, which only loads when that extension is installed
+    const PROBE_TIMEOUT_MS = 3000;
+
+    function browserFamily() {
+      const ua = navigator.userAgent;
+      if (/Firefox\\//.test(ua)) return 'firefox';
+      if (window.chrome || /Chrom(e|ium)\\//.test(ua)) return 'chromium';
+      if (/Safari\\//.test(ua)) return 'safari';
+      return 'other';
     }
 
-    window.onload = async function () {
-      detectDomInjection();
-      
-      // Automatically check for Chrome extension and display result
-      const result = await detectChromeExtensionExistencel_isClaudeEnabled();
+    function probeExtension(probe) {
+      const started = performance.now();
+      const result = status => ({ id: probe.id, status: status, durationMs: Math.round(performance.now() - started) });
+      return Promise.race([
+        fetch(probe.url, { method: 'HEAD' }).then(() => result('detected'), () => result('not-detected')),
+        new Promise(resolve => setTimeout(() => resolve(result('timeout')), PROBE_TIMEOUT_MS))
+      ]);
+    }
+
+    const PROBE_LABELS = {
+      'detected': ['✅ Detected', '#28a745'],
+      'not-detected': ['❌ Not detected', '#dc3545'],
+      'timeout': ['⏱️ No answer', '#e67e22'],
+      'skipped': ['— Other browser', '#b0b0b0']
+    };
+
+    function renderProbeResults(statusEl, probes, results) {
+      const table = document.createElement('table');
+      table.style.cssText = 'width: 100%; border-collapse: collapse; font-size: 14px;';
+      const addRow = (cells, header) => {
+        const tr = table.insertRow();
+        cells.forEach(cell => {
+          const td = document.createElement(header ? 'th' : 'td');
+          td.style.cssText = 'text-align: left; padding: 6px; border-bottom: 1px solid #555;';
+          td.textContent = cell[0];
+          if (cell[1]) td.style.color = cell[1];
+          tr.appendChild(td);
+        });
+      };
+      addRow([['Extension'], ['Browser'], ['Extension ID'], ['Result']], true);
+      probes.forEach((probe, i) => {
+        const label = PROBE_LABELS[results[i].status];
+        addRow([[probe.name], [probe.browser], [probe.extensionId], label]);
+      });
+      ownNodes.add(table);
+      const found = results.filter(r => r.status === 'detected').length;
+      statusEl.textContent = found + ' of ' + probes.length + ' extension(s) detected (' + browserFamily() + ')';
+      statusEl.parentNode.appendChild(table);
+    }
+
+    async function runExtensionProbes() {
       const statusEl = document.getElementById('extensionStatus');
-      if (statusEl) {
-        if (result) {
-          statusEl.textContent = '✅ Extension DETECTED: Claude extension is enabled';
-          statusEl.style.color = '#28a745';
-        } else {
-          statusEl.textContent = '❌ Extension NOT DETECTED: Claude extension is not enabled';
-          statusEl.style.color = '#dc3545';
-        }
+      let probes;
+      try {
+        probes = (await (await fetch('/dom/probes')).json()).probes;
+      } catch (e) {
+        statusEl.textContent = 'Could not load the probe registry: ' + e.message;
+        return;
       }
+      const family = browserFamily();
+      const results = await Promise.all(probes.map(probe => (probe.browser === family
+        ? probeExtension(probe)
+        : Promise.resolve({ id: probe.id, status: 'skipped', durationMs: null }))));
+      renderProbeResults(statusEl, probes, results);
+      domReporter.send('extension-probes', { browser: family, results: results });
+    }
+
+    setupLogFilters();
+    baitReporter.watch(document);
+    // Watch from here on rather than from onload, so nothing injected early is missed
+    detectDomInjection();
+
+    window.onload = function () {
+      runExtensionProbes();
     };
   </script>
 </body>
@@ -2532,5 +3129,46 @@ app.get('/testest', (req, res) => {
   res.send(html);
 });
 
-// Start server
-server.listen(port, () => console.log(`Server running on http://localhost:${port}`));
\ No newline at end of file
+// Admin: database location and schema version
+app.get('/admin/status', requireAuth, (req, res) => {
+  schemaStatus(db, (err, schema) => {
+    if (err) return res.status(500).json({ error: err.message });
+    res.json({ dbPath, schema });
+  });
+});
+
+// Admin: retention policy, database size and pruning stats
+app.get('/admin/retention', requireAuth, (req, res) => {
+  retention.status((err, status) => {
+    if (err) return res.status(500).json({ error: err.message });
+    res.json(status);
+  });
+});
+
+// Admin: prune now instead of waiting for the next scheduled run
+app.post('/admin/retention/run', requireAuth, (req, res) => {
+  retention.run((err, result) => {
+    if (err) return res.status(err.status || 500).json({ error: err.message });
+    res.json(result);
+  });
+});
+
+// Honeypot: fake content for common probe targets (config/honeypot.json). Public,
+// and must stay the last handler so it only sees paths no real route serves.
+app.use(createHoneypot(honeypotConfig, (req, res) => ({
+  ip: clientIp(req, trustedProxy),
+  visitId: res.locals.visitId,
+  collector: collectorScriptTag(res.locals.visitId, { modules: ['*', 'network'] })
+})));
+
+// Bring the schema up to date, then start the server
+migrate(db, (err, result) => {
+  if (err) {
+    console.error('Database migration failed:', err.message);
+    process.exit(1);
+  }
+  if (result.applied.length) console.log(`Applied migrations: ${result.applied.join(', ')}`);
+  console.log(`Database schema version ${result.version}`);
+  server.listen(port, () => console.log(`Server running on http://localhost:${port}`));
+  retention.start();
+});
\ No newline at end of file
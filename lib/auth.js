@@ -0,0 +1,184 @@
+/**
+ * Viewer/API authentication
+ *
+ * Configured from the environment; with nothing set the viewer stays open
+ * (and a warning is printed at startup).
+ *
+ *   ADMIN_TOKEN          shared token, sent as "Authorization: Bearer <token>",
+ *                        an "X-Admin-Token" header, or entered on /login
+ *   BASIC_AUTH_USER      HTTP basic auth credentials, also accepted on /login
+ *   BASIC_AUTH_PASSWORD
+ *   SESSION_MAX_AGE      session lifetime in seconds (default 12 hours)
+ *
+ * A login starts a server-side session: the cookie holds a random ID that
+ * /logout revokes. Sessions live in memory, so they also end on restart.
+ * Each session has a CSRF token that POSTs made with the session cookie must
+ * send back, as a `_csrf` form field or an X-CSRF-Token header; clients that
+ * send their credentials with every request do not need one. Cross-site POSTs
+ * (Sec-Fetch-Site) are refused whatever the credentials.
+ *
+ * Only routes that opt in with requireAuth are protected; the instrumented
+ * test pages and the fingerprint endpoints stay public.
+ */
+
+const crypto = require('crypto');
+
+const SESSION_COOKIE = 'chatsite_session';
+const DEFAULT_SESSION_MAX_AGE = 12 * 60 * 60;
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+function safeEqual(a, b) {
+  const ha = crypto.createHash('sha256').update(String(a)).digest();
+  const hb = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  if (typeof header !== 'string') return cookies;
+  for (const part of header.split(';')) {
+    const eq = part.indexOf('=');
+    if (eq < 0) continue;
+    const name = part.slice(0, eq).trim();
+    try {
+      cookies[name] = decodeURIComponent(part.slice(eq + 1).trim());
+    } catch (_e) {
+      cookies[name] = part.slice(eq + 1).trim();
+    }
+  }
+  return cookies;
+}
+
+// Only allow same-site relative redirects after login
+function safeNext(value) {
+  return typeof value === 'string' && /^\/(?!\/)/.test(value) && !value.includes('\\') ? value : '/';
+}
+
+function createAuth(env = process.env) {
+  const token = env.ADMIN_TOKEN || null;
+  const basicUser = env.BASIC_AUTH_USER || null;
+  const basicPassword = env.BASIC_AUTH_PASSWORD || null;
+  const basicEnabled = Boolean(basicUser && basicPassword);
+  const enabled = Boolean(token) || basicEnabled;
+  const maxAge = Number(env.SESSION_MAX_AGE) > 0 ? Number(env.SESSION_MAX_AGE) : DEFAULT_SESSION_MAX_AGE;
+  // Session ID -> { expires, csrfToken }
+  const sessions = new Map();
+
+  function checkCredentials({ username, password, token: given }) {
+    if (token && given && safeEqual(given, token)) return true;
+    if (basicEnabled && username && password) {
+      // Evaluate both comparisons so timing does not reveal which one failed
+      const userOk = safeEqual(username, basicUser);
+      const passOk = safeEqual(password, basicPassword);
+      return userOk && passOk;
+    }
+    return false;
+  }
+
+  // The live session named by the request's cookie, if any
+  function sessionOf(req) {
+    const id = parseCookies((req.headers || {}).cookie)[SESSION_COOKIE];
+    const session = id ? sessions.get(id) : undefined;
+    if (!session) return null;
+    if (session.expires < Date.now()) {
+      sessions.delete(id);
+      return null;
+    }
+    return { id, ...session };
+  }
+
+  function headerCredentials(headers) {
+    const authorization = headers.authorization || '';
+    if (token) {
+      if (authorization.startsWith('Bearer ') && safeEqual(authorization.slice(7), token)) return true;
+      if (headers['x-admin-token'] && safeEqual(headers['x-admin-token'], token)) return true;
+    }
+    if (basicEnabled && authorization.startsWith('Basic ')) {
+      const decoded = Buffer.from(authorization.slice(6), 'base64').toString('utf8');
+      const sep = decoded.indexOf(':');
+      if (sep >= 0 && checkCredentials({ username: decoded.slice(0, sep), password: decoded.slice(sep + 1) })) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // Works on Express requests and raw WebSocket upgrade requests alike
+  function isAuthenticated(req) {
+    if (!enabled) return true;
+    return Boolean(sessionOf(req)) || headerCredentials(req.headers || {});
+  }
+
+  // The CSRF token to embed in forms, or null without a session
+  function csrfToken(req) {
+    const session = sessionOf(req);
+    return session ? session.csrfToken : null;
+  }
+
+  // Whether a state-changing request may go ahead: never from another site, and with the
+  // session's token when the session cookie is what authenticates it
+  function checkCsrf(req) {
+    if (SAFE_METHODS.includes(req.method)) return true;
+    const site = req.headers['sec-fetch-site'];
+    if (site && site !== 'same-origin' && site !== 'none') return false;
+    const session = sessionOf(req);
+    if (!session || headerCredentials(req.headers)) return true;
+    const given = (req.body && typeof req.body._csrf === 'string' && req.body._csrf) || req.headers['x-csrf-token'];
+    return typeof given === 'string' && safeEqual(given, session.csrfToken);
+  }
+
+  // Route middleware: browsers are sent to /login, API clients get a 401
+  function requireAuth(req, res, next) {
+    if (isAuthenticated(req)) {
+      if (!enabled || checkCsrf(req)) return next();
+      return res.status(403).json({ error: 'Invalid or missing CSRF token' });
+    }
+    if (req.method === 'GET' && req.accepts('html')) {
+      return res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+    }
+    if (basicEnabled) res.set('WWW-Authenticate', 'Basic realm="chatsite", charset="UTF-8"');
+    res.status(401).json({ error: 'Authentication required' });
+  }
+
+  // Start a session; returns its Set-Cookie value
+  function sessionCookie(req) {
+    const now = Date.now();
+    for (const [id, session] of sessions) {
+      if (session.expires < now) sessions.delete(id);
+    }
+    const id = crypto.randomBytes(32).toString('hex');
+    sessions.set(id, { expires: now + maxAge * 1000, csrfToken: crypto.randomBytes(32).toString('hex') });
+    const secure = req.secure || req.headers['x-forwarded-proto'] === 'https';
+    return `${SESSION_COOKIE}=${id}; Path=/; Max-Age=${maxAge}; HttpOnly; SameSite=Lax` + (secure ? '; Secure' : '');
+  }
+
+  // Revoke the request's session, so its cookie no longer works even if it was copied
+  function endSession(req) {
+    const session = sessionOf(req);
+    if (session) sessions.delete(session.id);
+  }
+
+  function clearCookie() {
+    return `${SESSION_COOKIE}=; Path=/; Max-Age=0; HttpOnly; SameSite=Lax`;
+  }
+
+  return {
+    enabled,
+    basicEnabled,
+    tokenEnabled: Boolean(token),
+    isAuthenticated,
+    requireAuth,
+    checkCredentials,
+    checkCsrf,
+    csrfToken,
+    sessionCookie,
+    endSession,
+    clearCookie
+  };
+}
+
+module.exports = {
+  createAuth,
+  parseCookies,
+  safeNext
+};
@@ -0,0 +1,262 @@
+/**
+ * Form and link bait
+ *
+ * The '/dom' page shows fake forms and links for form-filling agents and
+ * password managers to act on. Scenarios come from config/bait-scenarios.json
+ * (override the file with BAIT_SCENARIOS_PATH):
+ *
+ *   { "id": "login", "label": "Sign in", "type": "form",
+ *     "fields": [{ "name": "password", "type": "password", "label": "Password",
+ *                  "autocomplete": "current-password" },
+ *                { "name": "website", "label": "Website", "trap": true }] }
+ *   { "id": "links", "label": "Hidden links", "type": "links",
+ *     "links": [{ "id": "admin", "href": "/admin/", "text": "Admin panel", "trap": true }] }
+ *
+ * Traps are hidden from people (`hide`: "offscreen", the default, "transparent"
+ * or "collapsed"), so anything that touches one is reading the markup rather
+ * than the page. '/dom?bait=login,card' picks scenarios; by default every
+ * scenario without "enabled": false is shown.
+ *
+ * The page reports what happened to the bait over the fingerprint WebSocket:
+ *
+ *   { type: 'bait-events', visitId, events: [{ kind, scenario, target, time, offsetMs,
+ *     sincePrevMs, valueLength, inputType, trusted }] }
+ *
+ * `kind` is focus, blur, input, autofill, change, submit or click; `target` is
+ * the field name or link ID. Values never leave the page, only their length.
+ * Whether a target is a trap is taken from the config, not the page.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { escapeHtml } = require('./html');
+const { isVisitId } = require('./visits');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'bait-scenarios.json');
+const TYPES = ['form', 'links'];
+const HIDE_STYLES = {
+  offscreen: 'position:absolute;left:-10000px;top:auto;width:1px;height:1px;overflow:hidden;',
+  transparent: 'opacity:0;position:absolute;width:1px;height:1px;overflow:hidden;',
+  collapsed: 'height:0;overflow:hidden;'
+};
+const FIELD_TYPES = ['text', 'email', 'password', 'tel', 'number', 'url', 'search'];
+const EVENT_KINDS = ['focus', 'blur', 'input', 'autofill', 'change', 'submit', 'click'];
+const MAX_BATCH_EVENTS = 100;
+
+const NAME_RE = /^[\w-]+$/;
+
+// Read and validate a scenarios file. Throws with the offending entry on bad config.
+function loadBaitScenarios(file = process.env.BAIT_SCENARIOS_PATH || DEFAULT_CONFIG_PATH) {
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!config || !Array.isArray(config.scenarios)) throw new Error(`${file}: expected { "scenarios": [...] }`);
+  const seen = new Set();
+  return config.scenarios.map((scenario, i) => {
+    const where = `${file}: scenarios[${i}]`;
+    if (typeof scenario.id !== 'string' || !NAME_RE.test(scenario.id)) throw new Error(`${where}: id is required`);
+    if (seen.has(scenario.id)) throw new Error(`${where}: duplicate id ${scenario.id}`);
+    seen.add(scenario.id);
+    if (!TYPES.includes(scenario.type)) throw new Error(`${where}: type must be one of ${TYPES.join(', ')}`);
+    const key = scenario.type === 'form' ? 'fields' : 'links';
+    if (!Array.isArray(scenario[key]) || !scenario[key].length) {
+      throw new Error(`${where}: ${key} must be a non-empty array`);
+    }
+    const targets = new Set();
+    const items = scenario[key].map((item, j) => {
+      const at = `${where}.${key}[${j}]`;
+      const id = scenario.type === 'form' ? item.name : item.id;
+      if (typeof id !== 'string' || !NAME_RE.test(id)) {
+        throw new Error(`${at}: ${scenario.type === 'form' ? 'name' : 'id'} is required`);
+      }
+      if (targets.has(id)) throw new Error(`${at}: duplicate ${id}`);
+      targets.add(id);
+      if (item.hide !== undefined && !HIDE_STYLES[item.hide]) {
+        throw new Error(`${at}: hide must be one of ${Object.keys(HIDE_STYLES).join(', ')}`);
+      }
+      const hide = item.trap ? item.hide || 'offscreen' : null;
+      if (scenario.type === 'links') {
+        if (typeof item.href !== 'string' || !item.href) throw new Error(`${at}: href is required`);
+        return { id, href: item.href, text: item.text || id, trap: Boolean(item.trap), hide };
+      }
+      const type = item.type || 'text';
+      if (!FIELD_TYPES.includes(type)) throw new Error(`${at}: type must be one of ${FIELD_TYPES.join(', ')}`);
+      return {
+        name: id,
+        type,
+        label: item.label || id,
+        autocomplete: typeof item.autocomplete === 'string' ? item.autocomplete : null,
+        trap: Boolean(item.trap),
+        hide
+      };
+    });
+    return {
+      id: scenario.id,
+      label: scenario.label || scenario.id,
+      type: scenario.type,
+      enabled: scenario.enabled !== false,
+      [key]: items
+    };
+  });
+}
+
+// The scenarios a '/dom' request asks for: `?bait=a,b`, or every enabled one
+function selectScenarios(scenarios, query) {
+  if (typeof query.bait !== 'string') return scenarios.filter(s => s.enabled);
+  const wanted = query.bait.split(',').map(id => id.trim());
+  return scenarios.filter(s => wanted.includes(s.id));
+}
+
+// Markup for the selected scenarios. Traps are taken out of the tab order and the accessibility tree.
+function renderBait(scenarios) {
+  const hidden = item => (item.hide
+    ? ` style="${HIDE_STYLES[item.hide]}" aria-hidden="true" data-bait-trap="true"`
+    : '');
+  const untabbable = item => (item.trap ? ' tabindex="-1"' : '');
+  return scenarios.map(scenario => {
+    const id = escapeHtml(scenario.id);
+    if (scenario.type === 'links') {
+      const links = scenario.links.map(link => `
+        <a href="${escapeHtml(link.href)}" data-bait-target="${escapeHtml(link.id)}"${untabbable(link)}${hidden(link)}>
+          ${escapeHtml(link.text)}</a>`).join('');
+      return `
+    <section class="bait" data-bait-scenario="${id}">
+      <h3>${escapeHtml(scenario.label)}</h3>${links}
+    </section>`;
+    }
+    const fields = scenario.fields.map(field => {
+      const name = escapeHtml(field.name);
+      const autocomplete = field.autocomplete ? ` autocomplete="${escapeHtml(field.autocomplete)}"` : '';
+      return `
+        <div class="bait-field"${hidden(field)}>
+          <label for="bait-${id}-${name}">${escapeHtml(field.label)}</label>
+          <input id="bait-${id}-${name}" name="${name}" type="${field.type}"
+            data-bait-target="${name}"${autocomplete}${untabbable(field)}>
+        </div>`;
+    }).join('');
+    return `
+    <section class="bait" data-bait-scenario="${id}">
+      <h3>${escapeHtml(scenario.label)}</h3>
+      <form method="post" action="#" data-bait-form="${id}">${fields}
+        <button type="submit">${escapeHtml(scenario.label)}</button>
+      </form>
+    </section>`;
+  }).join('');
+}
+
+// Validate one events message against the scenarios. Returns { visitId, events } with
+// the events on known targets, or null when there is nothing to store.
+function parseBaitBatch(scenarios, msg) {
+  if (!isVisitId(msg.visitId) || !Array.isArray(msg.events)) return null;
+  const traps = new Map(scenarios.map(s => [s.id, new Map((s.fields || s.links).map(t => [t.name || t.id, t.trap]))]));
+  const number = value => (typeof value === 'number' && value >= 0 ? value : null);
+  const events = [];
+  for (const e of msg.events.slice(0, MAX_BATCH_EVENTS)) {
+    if (!e || !EVENT_KINDS.includes(e.kind) || !traps.has(e.scenario)) continue;
+    // submit is about the whole form
+    const targets = traps.get(e.scenario);
+    if (e.kind !== 'submit' && !targets.has(e.target)) continue;
+    events.push({
+      kind: e.kind,
+      scenario: e.scenario,
+      target: e.kind === 'submit' ? null : e.target,
+      trap: e.kind !== 'submit' && targets.get(e.target),
+      time: typeof e.time === 'string' ? e.time.slice(0, 32) : null,
+      offsetMs: number(e.offsetMs),
+      sincePrevMs: number(e.sincePrevMs),
+      valueLength: Number.isInteger(e.valueLength) ? number(e.valueLength) : null,
+      inputType: typeof e.inputType === 'string' ? e.inputType.slice(0, 64) : null,
+      trusted: typeof e.trusted === 'boolean' ? e.trusted : null
+    });
+  }
+  return events.length ? { visitId: msg.visitId, events } : null;
+}
+
+// Store a parsed batch. `meta`: { timestamp, wsIp, userAgent }
+function insertBaitEvents(db, batch, meta, callback) {
+  const rows = batch.events.map(e => [
+    batch.visitId,
+    e.kind,
+    e.scenario,
+    e.target,
+    e.trap ? 1 : 0,
+    e.valueLength,
+    e.inputType,
+    e.trusted === null ? null : Number(e.trusted),
+    e.time,
+    e.offsetMs,
+    e.sincePrevMs,
+    meta.wsIp || null,
+    typeof meta.userAgent === 'string' ? meta.userAgent.slice(0, 512) : null,
+    meta.timestamp
+  ]);
+  db.run(
+    `INSERT INTO bait_events(visit_id, kind, scenario, target, trap, value_length, input_type, trusted, page_time,
+       page_offset_ms, since_prev_ms, ws_ip, user_agent, timestamp)
+     VALUES ${rows.map(() => '(?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)').join(',')}`,
+    [].concat(...rows),
+    callback
+  );
+}
+
+// Every bait event of one visit, in the order they happened
+function loadBaitEvents(db, visitId, callback) {
+  db.all('SELECT * FROM bait_events WHERE visit_id = ? ORDER BY page_offset_ms, id', [visitId], callback);
+}
+
+// Shape a `bait_events` row for the JSON API
+function formatBaitEvent(r) {
+  return {
+    kind: r.kind,
+    scenario: r.scenario,
+    target: r.target,
+    trap: Boolean(r.trap),
+    valueLength: r.value_length,
+    inputType: r.input_type,
+    trusted: r.trusted === null ? null : Boolean(r.trusted),
+    pageTime: r.page_time,
+    pageOffsetMs: r.page_offset_ms,
+    sincePrevMs: r.since_prev_ms,
+    timestamp: r.timestamp
+  };
+}
+
+// Per scenario target: was it focused, filled, autofilled or clicked, and when it was first touched.
+// Submits are listed under a null target.
+function summarizeBait(events) {
+  const byTarget = new Map();
+  for (const e of events) {
+    const key = `${e.scenario}\u0000${e.target}`;
+    if (!byTarget.has(key)) {
+      byTarget.set(key, {
+        scenario: e.scenario,
+        target: e.target,
+        trap: e.trap,
+        focused: false,
+        filled: false,
+        autofilled: false,
+        clicked: false,
+        submitted: false,
+        untrusted: false,
+        firstMs: e.pageOffsetMs
+      });
+    }
+    const t = byTarget.get(key);
+    if (e.kind === 'focus') t.focused = true;
+    if ((e.kind === 'input' || e.kind === 'change') && e.valueLength > 0) t.filled = true;
+    if (e.kind === 'autofill') t.autofilled = true;
+    if (e.kind === 'click') t.clicked = true;
+    if (e.kind === 'submit') t.submitted = true;
+    if (e.trusted === false) t.untrusted = true;
+  }
+  return [...byTarget.values()];
+}
+
+module.exports = {
+  loadBaitScenarios,
+  selectScenarios,
+  renderBait,
+  parseBaitBatch,
+  insertBaitEvents,
+  loadBaitEvents,
+  formatBaitEvent,
+  summarizeBait
+};
@@ -0,0 +1,259 @@
+/**
+ * Raw request body capture
+ *
+ * Reads every request body, whatever its content type, keeping the first
+ * MAX_BODY_BYTES bytes (default 64 KiB) and counting the rest. Handlers still
+ * get a parsed `req.body` for JSON and URL-encoded requests; the logger stores
+ * the raw bytes:
+ *
+ *   json    JSON bodies, parsed and redacted (stored as JSON)
+ *   text    anything that decodes as UTF-8: forms, XML, plain text, multipart
+ *   base64  everything else
+ *
+ * URL-encoded and multipart fields are redacted like JSON fields before
+ * storage and parsed again for display. A body that looks like JSON, whatever
+ * its content type, is redacted as JSON; when it cannot be parsed (cut off at
+ * the limit, or not JSON after all) and body fields are redacted, it is not
+ * stored at all: the row keeps its size and content type and lists "body:*"
+ * as redacted.
+ */
+
+const { TextDecoder } = require('util');
+
+const DEFAULT_MAX_BODY_BYTES = 64 * 1024;
+const EMPTY = Buffer.alloc(0);
+
+function maxBodyBytes(env = process.env) {
+  const n = Number(env.MAX_BODY_BYTES);
+  return Number.isInteger(n) && n >= 0 ? n : DEFAULT_MAX_BODY_BYTES;
+}
+
+// "application/json; charset=utf-8" -> "application/json"
+function mediaType(contentType) {
+  return String(contentType || '').split(';')[0].trim().toLowerCase();
+}
+
+function isJsonType(type) {
+  return type === 'application/json' || type.endsWith('+json');
+}
+
+function boundaryOf(contentType) {
+  const match = /;\s*boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(String(contentType || ''));
+  return match ? match[1] || match[2] : null;
+}
+
+// Decode UTF-8, allowing a multi-byte character cut off by truncation.
+// Returns null for binary data.
+function decodeText(buffer, truncated) {
+  const decoder = new TextDecoder('utf-8', { fatal: true });
+  for (let cut = 0; cut <= (truncated ? 3 : 0) && cut < buffer.length; cut++) {
+    try {
+      const text = decoder.decode(buffer.slice(0, buffer.length - cut));
+      return text.includes('\u0000') ? null : text;
+    } catch (_e) {
+      // try again without the last byte
+    }
+  }
+  return buffer.length ? null : '';
+}
+
+// URL-encoded fields as an object; repeated names become arrays
+function parseForm(text) {
+  const fields = {};
+  for (const [name, value] of new URLSearchParams(text)) {
+    if (!Object.prototype.hasOwnProperty.call(fields, name)) fields[name] = value;
+    else fields[name] = [].concat(fields[name], value);
+  }
+  return fields;
+}
+
+function encodeForm(fields) {
+  const params = new URLSearchParams();
+  for (const [name, value] of Object.entries(fields)) {
+    for (const v of [].concat(value)) params.append(name, typeof v === 'string' ? v : JSON.stringify(v));
+  }
+  return params.toString();
+}
+
+// Split a multipart body into parts: { headers, name, filename, contentType, data }.
+// A body cut off by truncation yields its last part as far as it goes.
+function parseMultipart(buffer, boundary) {
+  const delimiter = Buffer.from(`--${boundary}`);
+  const parts = [];
+  let pos = buffer.indexOf(delimiter);
+  if (pos < 0) return { parts, closed: false };
+  let closed = false;
+  while (pos >= 0) {
+    let start = pos + delimiter.length;
+    if (buffer.slice(start, start + 2).toString() === '--') {
+      closed = true;
+      break;
+    }
+    if (buffer.slice(start, start + 2).toString() === '\r\n') start += 2;
+    const next = buffer.indexOf(Buffer.from(`\r\n--${boundary}`), start);
+    const end = next < 0 ? buffer.length : next;
+    const headerEnd = buffer.indexOf('\r\n\r\n', start);
+    const rawHeaders = buffer.slice(start, headerEnd < 0 || headerEnd > end ? end : headerEnd).toString('utf8');
+    const data = headerEnd < 0 || headerEnd > end ? EMPTY : buffer.slice(headerEnd + 4, end);
+    const headers = {};
+    for (const line of rawHeaders.split('\r\n')) {
+      const colon = line.indexOf(':');
+      if (colon > 0) headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+    }
+    const disposition = headers['content-disposition'] || '';
+    const name = /\bname="([^"]*)"/i.exec(disposition);
+    const filename = /\bfilename="([^"]*)"/i.exec(disposition);
+    parts.push({
+      rawHeaders,
+      headers,
+      name: name ? name[1] : null,
+      filename: filename ? filename[1] : null,
+      contentType: headers['content-type'] || null,
+      data
+    });
+    pos = next < 0 ? -1 : next + 2;
+  }
+  return { parts, closed };
+}
+
+function buildMultipart(parts, boundary, closed) {
+  const chunks = [];
+  for (const part of parts) {
+    chunks.push(Buffer.from(`--${boundary}\r\n${part.rawHeaders}\r\n\r\n`), part.data, Buffer.from('\r\n'));
+  }
+  if (closed) chunks.push(Buffer.from(`--${boundary}--\r\n`));
+  return Buffer.concat(chunks);
+}
+
+// Middleware: read the body into req.rawBody (up to `limit` bytes) and parse
+// JSON and URL-encoded bodies into req.body for route handlers. Requests for
+// which `skip(req)` is true are left for the route to read.
+function captureBody({ limit = maxBodyBytes(), skip = () => false } = {}) {
+  return (req, res, next) => {
+    if (skip(req)) return next();
+    const chunks = [];
+    let kept = 0;
+    let size = 0;
+    let done = false;
+    const finish = err => {
+      if (done) return;
+      done = true;
+      req.rawBody = Buffer.concat(chunks);
+      req.rawBodySize = size;
+      req.rawBodyTruncated = size > kept;
+      req._body = true; // stop body-parser from reading the stream again
+      req.body = {};
+      const type = mediaType(req.headers['content-type']);
+      const text = req.rawBodyTruncated ? null : decodeText(req.rawBody, false);
+      if (text) {
+        if (isJsonType(type)) {
+          try {
+            req.body = JSON.parse(text);
+          } catch (_e) {
+            // stored as text; handlers see an empty body
+          }
+        } else if (type === 'application/x-www-form-urlencoded') {
+          req.body = parseForm(text);
+        }
+      }
+      next(err);
+    };
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (kept < limit) {
+        const slice = chunk.length > limit - kept ? chunk.slice(0, limit - kept) : chunk;
+        chunks.push(slice);
+        kept += slice.length;
+      }
+    });
+    req.on('end', () => finish());
+    req.on('error', err => finish(err));
+    req.on('aborted', () => finish());
+  };
+}
+
+const noRedaction = { redactJson: value => ({ value, redacted: [] }) };
+
+// Redacted, storable form of a body: { body, encoding, contentType, size, truncated, redacted }.
+// `size` is the full length when `raw` was truncated; pass a null redactor to store as-is.
+function serializeRawBody(raw, { contentType = null, size = raw.length, truncated = false }, redactor) {
+  redactor = redactor || noRedaction;
+  const result = { body: '', encoding: null, contentType, size, truncated, redacted: [] };
+  if (!raw.length) return result;
+
+  const type = mediaType(contentType);
+  let text = decodeText(raw, truncated);
+
+  if (text !== null && (isJsonType(type) || /^\s*[[{]/.test(text))) {
+    let parsed;
+    try {
+      parsed = truncated ? undefined : JSON.parse(text);
+    } catch (_e) {
+      parsed = undefined;
+    }
+    if (parsed !== undefined) {
+      const { value, redacted } = redactor.redactJson(parsed);
+      return { ...result, body: JSON.stringify(value), encoding: 'json', redacted };
+    }
+    // The fields to redact cannot be found in it, so none of it is kept
+    if (redactor.redactsBodies) return { ...result, redacted: ['body:*'] };
+  }
+
+  if (text !== null && type === 'application/x-www-form-urlencoded') {
+    const { value, redacted } = redactor.redactJson(parseForm(text));
+    if (redacted.length) text = encodeForm(value);
+    return { ...result, body: text, encoding: 'text', redacted };
+  }
+
+  let bytes = raw;
+  const boundary = type.startsWith('multipart/') ? boundaryOf(contentType) : null;
+  if (boundary) {
+    const { parts, closed } = parseMultipart(raw, boundary);
+    const fields = {};
+    for (const part of parts) {
+      if (part.name !== null && part.filename === null) fields[part.name] = part.data.toString('utf8');
+    }
+    const { value, redacted } = redactor.redactJson(fields);
+    if (redacted.length) {
+      for (const part of parts) {
+        if (part.name !== null && part.filename === null && value[part.name] !== fields[part.name]) {
+          part.data = Buffer.from(String(value[part.name]));
+        }
+      }
+      bytes = buildMultipart(parts, boundary, closed);
+      text = decodeText(bytes, truncated);
+    }
+    result.redacted = redacted;
+  }
+
+  if (text !== null) return { ...result, body: text, encoding: 'text' };
+  return { ...result, body: bytes.toString('base64'), encoding: 'base64' };
+}
+
+// serializeRawBody for the body captured from `req`
+function serializeBody(req, redactor) {
+  return serializeRawBody(req.rawBody || EMPTY, {
+    contentType: req.headers['content-type'] || null,
+    size: req.rawBodySize || 0,
+    truncated: Boolean(req.rawBodyTruncated)
+  }, redactor);
+}
+
+// Stored body back to bytes (for multipart display and replay)
+function bodyBuffer(body, encoding) {
+  if (!body) return EMPTY;
+  return Buffer.from(body, encoding === 'base64' ? 'base64' : 'utf8');
+}
+
+module.exports = {
+  DEFAULT_MAX_BODY_BYTES,
+  maxBodyBytes,
+  captureBody,
+  serializeBody,
+  serializeRawBody,
+  parseForm,
+  parseMultipart,
+  boundaryOf,
+  mediaType,
+  bodyBuffer
+};
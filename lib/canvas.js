@@ -0,0 +1,172 @@
+/**
+ * Canvas fingerprint index
+ *
+ * The collector renders a fixed test image and sends the SHA-256 of its data
+ * URL, not the image itself, along with whether a second render came out the
+ * same (`stable`). Each hash gets a row in `canvas_hashes` with the first and
+ * last time it was seen. The first time a hash turns up the server asks the
+ * submitting page for the image over the same WebSocket, checks it against
+ * the hash and keeps it, so there is one stored image per hash.
+ *
+ * Canvas-noise extensions show up as hashes seen on a single visit, renders
+ * that differ within a page, and visitors (lib/identity.js) whose hash changes
+ * between visits.
+ */
+
+const crypto = require('crypto');
+
+const HASH_RE = /^[a-f0-9]{64}$/;
+const PNG_DATA_URL_RE = /^data:image\/png;base64,/;
+const MAX_IMAGE_BYTES = 256 * 1024;
+const DEFAULT_REPORT_LIMIT = 100;
+const MAX_REPORT_LIMIT = 1000;
+
+function hashCanvasImage(dataUrl) {
+  return crypto.createHash('sha256').update(dataUrl).digest('hex');
+}
+
+// Only PNG: the image is served from our own origin, and an SVG could carry script
+function isCanvasImage(value) {
+  return typeof value === 'string' && value.length <= MAX_IMAGE_BYTES && PNG_DATA_URL_RE.test(value);
+}
+
+// Normalise the payload's `canvas` field: { canvas: { hash, stable } | null, image }.
+// Collectors before 1.1 sent the data URL itself; it is hashed here and returned as `image`.
+function normalizeCanvas(value) {
+  if (typeof value === 'string' && value) {
+    return { canvas: { hash: hashCanvasImage(value) }, image: isCanvasImage(value) ? value : null };
+  }
+  if (!value || typeof value !== 'object' || typeof value.hash !== 'string' || !HASH_RE.test(value.hash)) {
+    return { canvas: null, image: null };
+  }
+  const canvas = { hash: value.hash };
+  if (typeof value.stable === 'boolean') canvas.stable = value.stable;
+  return { canvas, image: null };
+}
+
+// Note a sighting of `hash`, storing `image` if we have none yet.
+// Calls back with { needsImage } (true while no image is stored).
+function recordCanvasHash(db, hash, { timestamp, image = null }, callback) {
+  db.run(
+    `INSERT INTO canvas_hashes(hash, first_seen, last_seen, image, image_bytes) VALUES(?, ?, ?, ?, ?)
+     ON CONFLICT(hash) DO UPDATE SET
+       last_seen = MAX(COALESCE(last_seen, ''), excluded.last_seen),
+       image = COALESCE(image, excluded.image),
+       image_bytes = COALESCE(image_bytes, excluded.image_bytes)`,
+    [hash, timestamp, timestamp, image, image ? image.length : null],
+    err => {
+      if (err) return callback(err);
+      db.get('SELECT image IS NULL AS missing FROM canvas_hashes WHERE hash = ?', [hash], (selErr, row) => {
+        if (selErr) return callback(selErr);
+        callback(null, { needsImage: Boolean(row && row.missing) });
+      });
+    }
+  );
+}
+
+// Store the image a page sent for `hash`; rejects images that do not hash to it
+function storeCanvasImage(db, hash, image, callback) {
+  if (!isCanvasImage(image) || hashCanvasImage(image) !== hash) {
+    return callback(Object.assign(new Error('Canvas image is not a PNG matching its hash'), { status: 400 }));
+  }
+  db.run(
+    'UPDATE canvas_hashes SET image = ?, image_bytes = ? WHERE hash = ? AND image IS NULL',
+    [image, image.length, hash],
+    callback
+  );
+}
+
+// The stored image for a hash as { type, data }, or null. Images of other types
+// stored before only PNG was accepted are not served.
+function getCanvasImage(db, hash, callback) {
+  if (!HASH_RE.test(hash)) return callback(null, null);
+  db.get('SELECT image FROM canvas_hashes WHERE hash = ?', [hash], (err, row) => {
+    if (err || !row || !isCanvasImage(row.image)) return callback(err, null);
+    const data = Buffer.from(row.image.slice(row.image.indexOf(',') + 1), 'base64');
+    callback(null, { type: 'image/png', data });
+  });
+}
+
+// Validate '/canvas' query parameters. Returns { filters, errors }.
+function parseCanvasQuery(query) {
+  const errors = [];
+  const filters = { limit: DEFAULT_REPORT_LIMIT, changedOnly: false };
+  const limit = typeof query.limit === 'string' && query.limit.trim() ? Number(query.limit) : null;
+  if (limit !== null) {
+    if (!Number.isInteger(limit) || limit < 1) errors.push('limit must be a positive integer');
+    else filters.limit = Math.min(limit, MAX_REPORT_LIMIT);
+  }
+  if (query.changed !== undefined) {
+    if (query.changed === 'true' || query.changed === '1') filters.changedOnly = true;
+    else if (query.changed !== 'false' && query.changed !== '0') errors.push('changed must be true or false');
+  }
+  return { filters, errors };
+}
+
+// Hashes by how many visits share them, and visitors seen on more than one
+// visit with how many distinct hashes they produced: { hashes, visitors }
+function canvasReport(db, filters, callback) {
+  db.all(
+    `SELECT h.hash, h.first_seen, h.last_seen, h.image IS NOT NULL AS has_image, h.image_bytes,
+       COUNT(f.id) AS fingerprints, COUNT(DISTINCT f.visit_id) AS visits,
+       COUNT(DISTINCT f.visitor_id) AS visitors,
+       SUM(f.canvas_stable = 0) AS unstable
+     FROM canvas_hashes h LEFT JOIN fingerprints f ON f.canvas_hash = h.hash
+     GROUP BY h.hash ORDER BY visits DESC, fingerprints DESC, h.last_seen DESC LIMIT ?`,
+    [filters.limit],
+    (err, hashes) => {
+      if (err) return callback(err);
+      db.all(
+        `SELECT visitor_id, MAX(ws_ip) AS ws_ip, MAX(user_agent) AS user_agent, COUNT(DISTINCT visit_id) AS visits,
+           COUNT(DISTINCT canvas_hash) AS hash_count, json_group_array(DISTINCT canvas_hash) AS hashes,
+           SUM(canvas_stable = 0) AS unstable, MIN(timestamp) AS first_seen, MAX(timestamp) AS last_seen
+         FROM fingerprints WHERE canvas_hash IS NOT NULL AND visitor_id IS NOT NULL
+         GROUP BY visitor_id
+         HAVING visits > 1 ${filters.changedOnly ? 'AND hash_count > 1' : ''}
+         ORDER BY hash_count DESC, visits DESC, last_seen DESC LIMIT ?`,
+        [filters.limit],
+        (visitorErr, visitors) => {
+          if (visitorErr) return callback(visitorErr);
+          callback(null, { hashes, visitors });
+        }
+      );
+    }
+  );
+}
+
+// Shape a canvasReport() result for the JSON API
+function formatCanvasReport({ hashes, visitors }) {
+  return {
+    hashes: hashes.map(h => ({
+      hash: h.hash,
+      visits: h.visits,
+      visitors: h.visitors,
+      fingerprints: h.fingerprints,
+      unstableRenders: h.unstable || 0,
+      firstSeen: h.first_seen,
+      lastSeen: h.last_seen,
+      image: h.has_image ? `/canvas/${h.hash}/image` : null
+    })),
+    visitors: visitors.map(v => ({
+      visitorId: v.visitor_id,
+      ip: v.ws_ip,
+      userAgent: v.user_agent,
+      visits: v.visits,
+      hashes: JSON.parse(v.hashes),
+      changed: v.hash_count > 1,
+      unstableRenders: v.unstable || 0,
+      firstSeen: v.first_seen,
+      lastSeen: v.last_seen
+    }))
+  };
+}
+
+module.exports = {
+  normalizeCanvas,
+  recordCanvasHash,
+  storeCanvasImage,
+  getCanvasImage,
+  parseCanvasQuery,
+  canvasReport,
+  formatCanvasReport
+};
@@ -0,0 +1,29 @@
+/**
+ * Fingerprint collector asset
+ *
+ * The browser-side collector lives in public/fp.js and is served at '/fp.js'.
+ * Its version is read from the file so pages can cache-bust on upgrade and
+ * fingerprints can record which collector produced them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { escapeHtml } = require('./html');
+
+const COLLECTOR_PATH = path.join(__dirname, '..', 'public', 'fp.js');
+const COLLECTOR_VERSION = (/const VERSION = '([^']+)'/.exec(fs.readFileSync(COLLECTOR_PATH, 'utf8')) || [])[1] || 'unknown';
+
+// <script> tag for our own pages; `options` may set modules or endpoint
+function collectorScriptTag(visitId, options = {}) {
+  const attrs = [`src="/fp.js?v=${escapeHtml(COLLECTOR_VERSION)}"`];
+  if (visitId) attrs.push(`data-visit="${escapeHtml(visitId)}"`);
+  if (options.modules) attrs.push(`data-modules="${escapeHtml([].concat(options.modules).join(','))}"`);
+  if (options.endpoint) attrs.push(`data-endpoint="${escapeHtml(options.endpoint)}"`);
+  return `<script ${attrs.join(' ')}></script>`;
+}
+
+module.exports = {
+  COLLECTOR_PATH,
+  COLLECTOR_VERSION,
+  collectorScriptTag
+};
@@ -0,0 +1,176 @@
+/**
+ * Header vs. JS consistency analysis
+ *
+ * Compares what the browser sent in its HTTP headers (User-Agent,
+ * Accept-Language, Sec-CH-UA*) with what the page's JavaScript reported
+ * (navigator.userAgent, navigator.languages, userAgentData, platform).
+ * A real browser reports the same thing both ways; automation frameworks and
+ * UA spoofers often patch only one side.
+ *
+ * analyzeConsistency() returns a list of findings:
+ *   { code, severity: 'low' | 'medium' | 'high', message, header, js }
+ */
+
+// Parse a structured-header brand list such as
+//   "Chromium";v="124", "Google Chrome";v="124", "Not-A.Brand";v="99"
+function parseSecChUa(value) {
+  if (typeof value !== 'string') return null;
+  const brands = [];
+  const re = /"([^"]*)"\s*;\s*v\s*=\s*"([^"]*)"/g;
+  let m;
+  while ((m = re.exec(value))) brands.push({ brand: m[1], version: m[2] });
+  return brands;
+}
+
+// Structured-header string ("Windows") or boolean (?1 / ?0)
+function parseShString(value) {
+  if (typeof value !== 'string') return null;
+  return value.trim().replace(/^"(.*)"$/, '$1');
+}
+
+function parseShBoolean(value) {
+  if (value === '?1') return true;
+  if (value === '?0') return false;
+  return null;
+}
+
+// Accept-Language tags ordered by quality, e.g. 'en-US,en;q=0.9' -> ['en-us', 'en']
+function parseAcceptLanguage(value) {
+  if (typeof value !== 'string' || !value.trim()) return [];
+  return value
+    .split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params.map(p => p.trim()).find(p => p.startsWith('q='));
+      return { tag: tag.trim().toLowerCase(), q: q ? Number(q.slice(2)) : 1, index };
+    })
+    .filter(l => l.tag && l.tag !== '*' && !Number.isNaN(l.q))
+    .sort((a, b) => b.q - a.q || a.index - b.index)
+    .map(l => l.tag);
+}
+
+// Rough OS family from a User-Agent string or navigator.platform value
+function osFamily(value) {
+  if (typeof value !== 'string' || !value) return null;
+  if (/iPhone|iPad|iPod/i.test(value)) return 'ios';
+  if (/Android/i.test(value)) return 'android';
+  if (/CrOS/i.test(value)) return 'chromeos';
+  if (/Win/i.test(value)) return 'windows';
+  if (/Mac/i.test(value)) return 'mac';
+  if (/Linux|X11/i.test(value)) return 'linux';
+  return null;
+}
+
+// Client-hint platform names as reported by userAgentData / Sec-CH-UA-Platform
+const CH_PLATFORM_FAMILIES = {
+  windows: 'windows',
+  macos: 'mac',
+  linux: 'linux',
+  'chrome os': 'chromeos',
+  chromeos: 'chromeos',
+  android: 'android',
+  ios: 'ios'
+};
+
+function brandKey(b) {
+  const version = typeof b.version === 'string' || typeof b.version === 'number' ? String(b.version) : '';
+  return `${b.brand}/${version.split('.')[0]}`;
+}
+
+// userAgentData.brands as sent by the page, keeping only well-formed { brand, version } entries.
+// Null when the page sent no brands array.
+function jsBrands(uaData) {
+  if (!uaData || !Array.isArray(uaData.brands)) return null;
+  return uaData.brands.filter(b => b && typeof b === 'object' && typeof b.brand === 'string');
+}
+
+function analyzeConsistency(headers, data) {
+  const findings = [];
+  if (!headers || !data) return findings;
+  const add = (code, severity, message, header, js) => findings.push({ code, severity, message, header, js });
+
+  // User-Agent header vs navigator.userAgent
+  const uaHeader = headers['user-agent'];
+  if (typeof data.userAgent === 'string' && typeof uaHeader === 'string' && uaHeader !== data.userAgent) {
+    add('ua_mismatch', 'high', 'User-Agent header differs from navigator.userAgent', uaHeader, data.userAgent);
+  }
+
+  // OS claimed by the UA vs navigator.platform
+  const uaOs = osFamily(uaHeader || data.userAgent);
+  const platformOs = osFamily(data.platform);
+  if (uaOs && platformOs && uaOs !== platformOs && !(uaOs === 'android' && platformOs === 'linux')) {
+    add('ua_platform_mismatch', 'high', `User-Agent claims ${uaOs} but navigator.platform is ${data.platform}`,
+      uaHeader || null, data.platform);
+  }
+
+  // Sec-CH-UA* vs navigator.userAgentData
+  const uaData = data.userAgentData && typeof data.userAgentData === 'object' ? data.userAgentData : null;
+  const headerBrands = parseSecChUa(headers['sec-ch-ua']);
+  const brands = jsBrands(uaData);
+  if (brands) {
+    if (headerBrands) {
+      const headerSet = new Set(headerBrands.map(brandKey));
+      const jsSet = new Set(brands.map(brandKey));
+      const same = headerSet.size === jsSet.size && [...headerSet].every(k => jsSet.has(k));
+      if (!same) {
+        add('client_hints_brands_mismatch', 'high', 'Sec-CH-UA brands differ from userAgentData.brands',
+          headers['sec-ch-ua'], uaData.brands);
+      }
+    } else {
+      add('client_hints_missing', 'low', 'userAgentData is available but no Sec-CH-UA header was sent',
+        null, uaData.brands);
+    }
+
+    const headerMobile = parseShBoolean(headers['sec-ch-ua-mobile']);
+    if (headerMobile !== null && typeof uaData.mobile === 'boolean' && headerMobile !== uaData.mobile) {
+      add('client_hints_mobile_mismatch', 'medium', 'Sec-CH-UA-Mobile differs from userAgentData.mobile',
+        headers['sec-ch-ua-mobile'], uaData.mobile);
+    }
+
+    const headerPlatform = parseShString(headers['sec-ch-ua-platform']);
+    if (headerPlatform && typeof uaData.platform === 'string' && headerPlatform !== uaData.platform) {
+      add('client_hints_platform_mismatch', 'high', 'Sec-CH-UA-Platform differs from userAgentData.platform',
+        headers['sec-ch-ua-platform'], uaData.platform);
+    }
+    const chPlatform = typeof uaData.platform === 'string' ? uaData.platform.toLowerCase() : null;
+    const chOs = Object.prototype.hasOwnProperty.call(CH_PLATFORM_FAMILIES, chPlatform)
+      ? CH_PLATFORM_FAMILIES[chPlatform]
+      : null;
+    if (chOs && uaOs && chOs !== uaOs) {
+      add('client_hints_ua_os_mismatch', 'high', `userAgentData.platform is ${uaData.platform} but User-Agent claims ${uaOs}`,
+        uaHeader || null, uaData.platform);
+    }
+  } else if (headerBrands && headerBrands.length) {
+    add('user_agent_data_missing', 'medium', 'Sec-CH-UA header was sent but navigator.userAgentData is unavailable',
+      headers['sec-ch-ua'], data.userAgentData || null);
+  }
+
+  // Accept-Language vs navigator.languages
+  const headerLanguages = parseAcceptLanguage(headers['accept-language']);
+  const jsLanguages = Array.isArray(data.languages)
+    ? data.languages.map(l => (typeof l === 'string' ? l.toLowerCase() : ''))
+    : null;
+  if (jsLanguages && headerLanguages.length) {
+    if (!jsLanguages.length) {
+      add('languages_empty', 'high', 'navigator.languages is empty but Accept-Language was sent',
+        headers['accept-language'], data.languages);
+    } else if (headerLanguages[0] !== jsLanguages[0]) {
+      add('accept_language_mismatch', 'medium', 'Preferred Accept-Language differs from navigator.languages[0]',
+        headers['accept-language'], data.languages);
+    } else if (headerLanguages.join(',') !== jsLanguages.join(',')) {
+      add('accept_language_order', 'low', 'Accept-Language list differs from navigator.languages',
+        headers['accept-language'], data.languages);
+    }
+  } else if (jsLanguages && jsLanguages.length && !headers['accept-language']) {
+    add('accept_language_missing', 'medium', 'No Accept-Language header but navigator.languages is set',
+      null, data.languages);
+  }
+
+  return findings;
+}
+
+module.exports = {
+  analyzeConsistency,
+  parseSecChUa,
+  parseAcceptLanguage
+};
@@ -0,0 +1,234 @@
+/**
+ * DOM injection events
+ *
+ * The '/dom' page watches its own document with a MutationObserver and sends
+ * what changed, in batches, over the fingerprint WebSocket:
+ *
+ *   { type: 'dom-events', visitId, events: [{ kind, time, offsetMs, details }] }
+ *
+ * `kind` is one of
+ *
+ *   added      an element was inserted; `details` is the page's formatNodeDetails()
+ *              output (tag, id, class, attributes, text, outerHTML, parent, open shadow root)
+ *   removed    an element was taken out; the same details, as it was
+ *   attribute  an attribute changed: `attribute`, `oldValue` and `value` (null when removed)
+ *   text       a text node was edited: `oldValue` and `value`
+ *   shadow     Element.attachShadow() was called: `mode` and the host's details
+ *
+ * and `details.path` locates the node from the document root, e.g.
+ * "html > body > div#app > ul:nth-child(2)"; " >>> " steps into a shadow root.
+ * Each event becomes a `dom_events` row under the
+ * page's visit ID with the WebSocket's IP and user agent, so what a browser
+ * agent or extension injected outlives the tab. Rows carry the verdict of
+ * lib/signatures.js: which extension or agent the element most likely came from.
+ * The visit list also covers extension probes (lib/probes.js) and form bait (lib/bait.js).
+ */
+
+const { isVisitId } = require('./visits');
+
+const EVENT_KINDS = ['added', 'removed', 'attribute', 'text', 'shadow'];
+const MAX_BATCH_EVENTS = 100;
+// Details beyond this are stored with outerHTML and textContent cut down
+const MAX_DETAILS_BYTES = 256 * 1024;
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+const DOM_EVENT_COLUMNS = 'id,visit_id,kind,tag,node_id,class_name,details,details_bytes,truncated,page_time,' +
+  'page_offset_ms,ws_ip,user_agent,redacted,verdict,category,signatures,node_path,timestamp';
+
+const text = (value, max) => (typeof value === 'string' ? value.slice(0, max) : null);
+
+// Serialise `details`, shortening the bulky fields if the whole is too large
+function serializeDetails(details) {
+  let json = JSON.stringify(details);
+  if (json.length <= MAX_DETAILS_BYTES) return { json, truncated: false };
+  const copy = { ...details };
+  for (const key of ['outerHTML', 'textContent', 'oldValue', 'value']) {
+    if (typeof copy[key] === 'string') copy[key] = copy[key].slice(0, MAX_DETAILS_BYTES / 4);
+  }
+  json = JSON.stringify(copy);
+  if (json.length > MAX_DETAILS_BYTES) {
+    json = JSON.stringify({ tag: text(details.tag, 64), error: 'details too large' });
+  }
+  return { json, truncated: true };
+}
+
+// Validate one batch message. Returns { visitId, events } with the usable
+// events, or null when there is nothing to store.
+function parseDomBatch(msg) {
+  if (!isVisitId(msg.visitId) || !Array.isArray(msg.events)) return null;
+  const events = msg.events.slice(0, MAX_BATCH_EVENTS).filter(e => (
+    e && typeof e === 'object' && EVENT_KINDS.includes(e.kind) && e.details && typeof e.details === 'object'
+  ));
+  return events.length ? { visitId: msg.visitId, events } : null;
+}
+
+// Store a parsed batch. `meta`: { timestamp, wsIp, userAgent, redact(details) -> { value, redacted },
+// classify(details) -> { label, category, matches } }
+function insertDomEvents(db, batch, meta, callback) {
+  const rows = batch.events.map(event => {
+    const { value: details, redacted } = meta.redact(event.details);
+    const { json, truncated } = serializeDetails(details);
+    const verdict = meta.classify(details);
+    return [
+      batch.visitId,
+      event.kind,
+      text(details.tag, 64),
+      text(details.id, 256),
+      text(details.className, 512),
+      json,
+      json.length,
+      truncated ? 1 : 0,
+      text(event.time, 32),
+      typeof event.offsetMs === 'number' ? event.offsetMs : null,
+      meta.wsIp || null,
+      text(meta.userAgent, 512),
+      redacted.length ? JSON.stringify(redacted) : null,
+      verdict.label,
+      verdict.category,
+      verdict.matches.length ? JSON.stringify(verdict.matches) : null,
+      text(details.path, 2048),
+      meta.timestamp
+    ];
+  });
+  const placeholders = `(${rows[0].map(() => '?').join(',')})`;
+  db.run(
+    `INSERT INTO dom_events(${DOM_EVENT_COLUMNS.replace(/^id,/, '')}) VALUES ${rows.map(() => placeholders).join(',')}`,
+    [].concat(...rows),
+    err => callback(err || null, err ? 0 : rows.length)
+  );
+}
+
+// Validate '/dom/events' query parameters. Returns { filters, errors }.
+function parseDomEventQuery(query) {
+  const errors = [];
+  const filters = { limit: DEFAULT_LIMIT };
+  const limit = typeof query.limit === 'string' && query.limit.trim() ? Number(query.limit) : null;
+  if (limit !== null) {
+    if (!Number.isInteger(limit) || limit < 1) errors.push('limit must be a positive integer');
+    else filters.limit = Math.min(limit, MAX_LIMIT);
+  }
+  if (typeof query.kind === 'string' && query.kind.trim()) {
+    if (EVENT_KINDS.includes(query.kind.trim())) filters.kind = query.kind.trim();
+    else errors.push(`kind must be one of ${EVENT_KINDS.join(', ')}`);
+  }
+  if (typeof query.tag === 'string' && query.tag.trim()) filters.tag = query.tag.trim().toUpperCase();
+  if (typeof query.category === 'string' && query.category.trim()) filters.category = query.category.trim();
+  if (typeof query.extension === 'string' && query.extension.trim()) filters.extension = query.extension.trim();
+  if (query.trap !== undefined && query.trap !== '') {
+    if (query.trap === 'any') filters.trap = true;
+    else errors.push('trap must be "any"');
+  }
+  return { filters, errors };
+}
+
+// Visits with DOM events, extension probe results or bait events, most recent first: event counts
+// by kind, time span, the tags injected, the verdicts, the extensions found and the bait touched
+function listDomEventVisits(db, filters, callback) {
+  const clauses = [];
+  const params = [];
+  const filterSql = {
+    kind: 'SELECT visit_id FROM dom_events WHERE kind = ?',
+    tag: 'SELECT visit_id FROM dom_events WHERE tag = ?',
+    category: 'SELECT visit_id FROM dom_events WHERE category = ?',
+    extension: "SELECT visit_id FROM extension_probes WHERE probe_id = ? AND status = 'detected'"
+  };
+  for (const [key, sql] of Object.entries(filterSql)) {
+    if (filters[key]) {
+      clauses.push(`v.visit_id IN (${sql})`);
+      params.push(filters[key]);
+    }
+  }
+  if (filters.trap) clauses.push('v.visit_id IN (SELECT visit_id FROM bait_events WHERE trap = 1)');
+  db.all(
+    `WITH v AS (
+       SELECT visit_id, MIN(timestamp) AS first_seen, MAX(timestamp) AS last_seen, MAX(ws_ip) AS ws_ip,
+         MAX(user_agent) AS user_agent
+       FROM (SELECT visit_id, timestamp, ws_ip, user_agent FROM dom_events
+             UNION ALL SELECT visit_id, timestamp, ws_ip, user_agent FROM extension_probes
+             UNION ALL SELECT visit_id, timestamp, ws_ip, user_agent FROM bait_events)
+       GROUP BY visit_id
+     )
+     SELECT v.*,
+       (SELECT COUNT(*) FROM dom_events d WHERE d.visit_id = v.visit_id) AS events,
+       (SELECT json_group_object(kind, n) FROM (SELECT kind, COUNT(*) AS n FROM dom_events d
+        WHERE d.visit_id = v.visit_id GROUP BY kind)) AS kinds,
+       (SELECT json_group_array(DISTINCT tag) FROM dom_events d WHERE d.visit_id = v.visit_id) AS tags,
+       (SELECT json_group_array(DISTINCT verdict) FROM dom_events d WHERE d.visit_id = v.visit_id) AS verdicts,
+       (SELECT json_group_array(DISTINCT category) FROM dom_events d WHERE d.visit_id = v.visit_id) AS categories,
+       (SELECT json_group_array(DISTINCT probe_id) FROM extension_probes p
+        WHERE p.visit_id = v.visit_id AND p.status = 'detected') AS extensions,
+       (SELECT COUNT(*) FROM bait_events b WHERE b.visit_id = v.visit_id) AS bait_events,
+       (SELECT COUNT(DISTINCT scenario || '/' || target) FROM bait_events b
+        WHERE b.visit_id = v.visit_id AND b.trap = 1) AS traps
+     FROM v ${clauses.length ? `WHERE ${clauses.join(' AND ')}` : ''}
+     ORDER BY v.last_seen DESC LIMIT ?`,
+    [...params, filters.limit],
+    callback
+  );
+}
+
+// Every event recorded for one visit, in the order they happened; `kind` narrows them to one kind
+function loadDomEvents(db, visitId, kind, callback) {
+  db.all(
+    `SELECT ${DOM_EVENT_COLUMNS} FROM dom_events WHERE visit_id = ?${kind ? ' AND kind = ?' : ''} ORDER BY id`,
+    kind ? [visitId, kind] : [visitId],
+    callback
+  );
+}
+
+// Shape a listDomEventVisits() row for the JSON API
+function formatDomEventVisit(v) {
+  return {
+    visitId: v.visit_id,
+    events: v.events,
+    kinds: JSON.parse(v.kinds),
+    tags: JSON.parse(v.tags).filter(Boolean),
+    verdicts: JSON.parse(v.verdicts).filter(Boolean),
+    categories: JSON.parse(v.categories).filter(Boolean),
+    extensions: JSON.parse(v.extensions).filter(Boolean),
+    baitEvents: v.bait_events,
+    traps: v.traps,
+    ip: v.ws_ip,
+    userAgent: v.user_agent,
+    firstSeen: v.first_seen,
+    lastSeen: v.last_seen
+  };
+}
+
+// Shape a `dom_events` row for the JSON API
+function formatDomEvent(r) {
+  return {
+    id: r.id,
+    visitId: r.visit_id,
+    kind: r.kind,
+    tag: r.tag,
+    nodeId: r.node_id,
+    className: r.class_name,
+    path: r.node_path,
+    details: JSON.parse(r.details || '{}'),
+    truncated: Boolean(r.truncated),
+    pageTime: r.page_time,
+    pageOffsetMs: r.page_offset_ms,
+    ip: r.ws_ip,
+    userAgent: r.user_agent,
+    redacted: r.redacted ? JSON.parse(r.redacted) : [],
+    verdict: {
+      label: r.verdict,
+      category: r.category,
+      matches: r.signatures ? JSON.parse(r.signatures) : []
+    },
+    timestamp: r.timestamp
+  };
+}
+
+module.exports = {
+  EVENT_KINDS,
+  parseDomBatch,
+  insertDomEvents,
+  parseDomEventQuery,
+  listDomEventVisits,
+  loadDomEvents,
+  formatDomEventVisit,
+  formatDomEvent
+};
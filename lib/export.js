@@ -0,0 +1,255 @@
+/**
+ * Log and fingerprint export
+ *
+ * Streams matching rows, oldest first, straight from SQLite to the response
+ * one row at a time (Statement#get), so exports never hold the table in
+ * memory and pause while the client catches up.
+ *
+ *   ndjson  one JSON object per line, shaped like the JSON API
+ *   csv     scalar columns; log headers flattened to one "header:<name>"
+ *           column each. Cells that a spreadsheet would run as a formula are
+ *           prefixed with a quote, since most values come from the client.
+ *   har     HAR 1.2 (logs only), loadable in browser devtools
+ *
+ * Filters are the same as '/logs' and '/fingerprints'; pagination is ignored.
+ */
+
+const http = require('http');
+const pkg = require('../package.json');
+const { LOG_COLUMNS, buildLogWhere, formatLogRow } = require('./query');
+const { buildFingerprintWhere, formatFingerprintRow } = require('./fingerprints');
+
+const FORMATS = {
+  logs: ['ndjson', 'csv', 'har'],
+  fingerprints: ['ndjson', 'csv']
+};
+
+const CONTENT_TYPES = {
+  ndjson: 'application/x-ndjson; charset=utf-8',
+  csv: 'text/csv; charset=utf-8',
+  har: 'application/json; charset=utf-8'
+};
+
+const HAR_CREATOR = { name: pkg.name, version: pkg.version };
+
+const LOG_CSV_COLUMNS = ['id', 'timestamp', 'method', 'url', 'status', 'duration_ms', 'response_bytes', 'ip',
+  'protocol', 'visit_id', 'content_type', 'body_size', 'body_truncated', 'body_encoding', 'body',
+  'honeypot_rules', 'redacted'];
+
+// JSON arrays written to CSV as space-separated lists
+const LIST_COLUMNS = ['honeypot_rules', 'redacted'];
+
+const FINGERPRINT_CSV_COLUMNS = ['id', 'timestamp', 'visit_id', 'visitor_id', 'origin', 'user_agent', 'platform',
+  'timezone', 'webdriver', 'headless', 'devtools_detected', 'devtools_method', 'canvas_hash', 'canvas_stable',
+  'audio_hash', 'font_hash', 'font_count', 'mismatch_count', 'risk_score', 'risk_rules', 'collector_version', 'ws_ip',
+  'ws_peer_ip', 'ws_rtt_ms', 'webrtc_ips', 'network_mismatch_count'];
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = typeof value === 'string' ? value : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const csvLine = cells => cells.map(csvCell).join(',') + '\r\n';
+
+function whereSql(clauses) {
+  return clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+}
+
+// Prepare `sql` and write `render(row)` for each row until the statement is
+// exhausted or the client goes away. Calls back once the statement is finalized.
+function streamStatement(db, sql, params, res, render, done) {
+  let closed = false;
+  let waiting = false;
+  let finished = false;
+  const finish = err => {
+    if (finished) return;
+    finished = true;
+    stmt.finalize(() => done(err));
+  };
+  const step = () => {
+    if (closed) return finish(null);
+    stmt.get((err, row) => {
+      if (err) return finish(err);
+      if (!row) return finish(null);
+      const chunk = render(row);
+      if (chunk && !res.write(chunk)) {
+        waiting = true;
+        return res.once('drain', () => {
+          if (!waiting) return;
+          waiting = false;
+          step();
+        });
+      }
+      step();
+    });
+  };
+  res.once('close', () => {
+    closed = true;
+    if (waiting) {
+      waiting = false;
+      finish(null);
+    }
+  });
+  const stmt = db.prepare(sql, params, err => (err ? finish(err) : step()));
+}
+
+// Absolute URL for HAR entries, from the logged Host header
+function requestUrl(row, headers) {
+  const tls = row.tls ? JSON.parse(row.tls) : null;
+  const proto = tls ? 'https' : 'http';
+  return `${proto}://${headers.host || 'localhost'}${row.url}`;
+}
+
+function harHeaders(headers) {
+  const list = [];
+  for (const [name, value] of Object.entries(headers || {})) {
+    for (const v of [].concat(value)) list.push({ name, value: String(v) });
+  }
+  return list;
+}
+
+function queryString(url) {
+  try {
+    return [...new URL(url).searchParams].map(([name, value]) => ({ name, value }));
+  } catch (_e) {
+    return []; // unparseable Host header
+  }
+}
+
+function harEntry(row) {
+  const entry = formatLogRow(row);
+  const url = requestUrl(row, entry.headers);
+  const httpVersion = entry.protocol || 'HTTP/1.1';
+  const request = {
+    method: entry.method,
+    url,
+    httpVersion,
+    cookies: [],
+    headers: harHeaders(entry.headers),
+    queryString: queryString(url),
+    headersSize: -1,
+    bodySize: entry.bodySize === null ? -1 : entry.bodySize
+  };
+  if (row.body) {
+    request.postData = {
+      mimeType: entry.contentType || '',
+      text: row.body
+    };
+    const notes = [];
+    if (entry.bodyEncoding === 'base64') notes.push('base64');
+    if (entry.bodyTruncated) notes.push('truncated');
+    if (notes.length) request.postData.comment = notes.join(', ');
+  }
+  const duration = entry.durationMs || 0;
+  return {
+    startedDateTime: entry.timestamp,
+    time: duration,
+    request,
+    response: {
+      status: entry.status || 0,
+      statusText: (entry.status && http.STATUS_CODES[entry.status]) || '',
+      httpVersion,
+      cookies: [],
+      headers: [],
+      content: { size: entry.responseBytes || 0, mimeType: '' },
+      redirectURL: '',
+      headersSize: -1,
+      bodySize: entry.responseBytes === null ? -1 : entry.responseBytes
+    },
+    cache: {},
+    timings: { send: 0, wait: duration, receive: 0 },
+    _id: entry.id,
+    _clientIp: entry.ip,
+    _visitId: entry.visitId,
+    _honeypotRules: entry.honeypotRules,
+    _redacted: entry.redacted
+  };
+}
+
+// Distinct header names across the matching rows, for the CSV columns
+function logHeaderNames(db, where, params, callback) {
+  db.all(
+    `SELECT DISTINCT j.key AS name FROM (SELECT headers FROM logs ${where}) AS l, json_each(l.headers) AS j
+     ORDER BY name`,
+    params,
+    (err, rows) => (err ? callback(err) : callback(null, rows.map(r => r.name)))
+  );
+}
+
+function exportLogs(db, filters, format, res, done) {
+  const { clauses, params } = buildLogWhere(filters);
+  const where = whereSql(clauses);
+  const sql = `SELECT ${LOG_COLUMNS} FROM logs ${where} ORDER BY id`;
+  const matches = row => !filters.urlRegex || filters.urlRegex.test(row.url || '');
+
+  if (format === 'ndjson') {
+    const render = row => (matches(row) ? JSON.stringify(formatLogRow(row)) + '\n' : null);
+    return streamStatement(db, sql, params, res, render, done);
+  }
+
+  if (format === 'har') {
+    let first = true;
+    res.write(`{"log":{"version":"1.2","creator":${JSON.stringify(HAR_CREATOR)},"pages":[],"entries":[`);
+    return streamStatement(db, sql, params, res, row => {
+      if (!matches(row)) return null;
+      const chunk = (first ? '\n' : ',\n') + JSON.stringify(harEntry(row));
+      first = false;
+      return chunk;
+    }, err => {
+      res.write('\n]}}\n');
+      done(err);
+    });
+  }
+
+  logHeaderNames(db, where, params, (err, headerNames) => {
+    if (err) return done(err);
+    res.write(csvLine([...LOG_CSV_COLUMNS, ...headerNames.map(name => `header:${name}`)]));
+    streamStatement(db, sql, params, res, row => {
+      if (!matches(row)) return null;
+      const headers = JSON.parse(row.headers || '{}');
+      return csvLine([
+        ...LOG_CSV_COLUMNS.map(column => (LIST_COLUMNS.includes(column) && row[column]
+          ? JSON.parse(row[column]).join(' ')
+          : row[column])),
+        ...headerNames.map(name => (headers[name] === undefined ? null : [].concat(headers[name]).join(', ')))
+      ]);
+    }, done);
+  });
+}
+
+function exportFingerprints(db, filters, format, res, done) {
+  const { clauses, params } = buildFingerprintWhere(filters);
+  const sql = `SELECT * FROM fingerprints ${whereSql(clauses)} ORDER BY id`;
+
+  if (format === 'ndjson') {
+    return streamStatement(db, sql, params, res, row => JSON.stringify(formatFingerprintRow(row)) + '\n', done);
+  }
+
+  res.write(csvLine(FINGERPRINT_CSV_COLUMNS));
+  streamStatement(db, sql, params, res, row => csvLine(FINGERPRINT_CSV_COLUMNS.map(column => {
+    if (column === 'risk_rules' && row.risk_rules) return JSON.parse(row.risk_rules).map(r => r.id).join(' ');
+    if (column === 'webrtc_ips' && row.webrtc_ips) return JSON.parse(row.webrtc_ips).join(' ');
+    return row[column];
+  })), done);
+}
+
+// Set download headers and stream the export. `done(err)` runs after the
+// response has ended; by then errors can only be logged.
+function sendExport(db, kind, format, filters, res, done = () => {}) {
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  res.set('Content-Type', CONTENT_TYPES[format]);
+  res.set('Content-Disposition', `attachment; filename="${kind}-${stamp}.${format}"`);
+  res.set('Cache-Control', 'no-store');
+  const run = kind === 'logs' ? exportLogs : exportFingerprints;
+  run(db, filters, format, res, err => {
+    res.end();
+    done(err);
+  });
+}
+
+module.exports = {
+  FORMATS,
+  sendExport
+};
@@ -0,0 +1,281 @@
+/**
+ * Fingerprint store
+ *
+ * Fingerprints submitted over the WebSocket live in their own `fingerprints`
+ * table rather than as fake 'WS' rows in `logs`. The signals we query on are
+ * pulled out into indexed columns; the full payload is kept as JSON next to
+ * them. Each row records the payload schema version it was stored with so the
+ * column mapping can evolve without guessing at old rows. The table itself is
+ * created by lib/migrations.js.
+ */
+
+const FINGERPRINT_SCHEMA_VERSION = 1;
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+const FINGERPRINT_COLUMNS = `id,schema_version,visit_id,origin,user_agent,platform,timezone,webdriver,headless,
+  canvas_hash,canvas_stable,devtools_detected,devtools_method,ws_ip,ws_headers,consistency_source,consistency,
+  mismatch_count,risk_score,risk_rules,collector_version,redacted,visitor_id,visitor_match,visitor_score,
+  visitor_signals,visitor_drift,audio_hash,font_hash,font_count,ws_peer_ip,ws_rtt_ms,webrtc_ips,network,
+  network_mismatch_count,data,timestamp`;
+
+const HASH_RE = /^[a-f0-9]{64}$/;
+
+// `hash` of an audio/fonts module result, if it looks like a SHA-256
+function moduleHash(value) {
+  return value && typeof value === 'object' && typeof value.hash === 'string' && HASH_RE.test(value.hash)
+    ? value.hash
+    : null;
+}
+
+function toFlag(value) {
+  if (value === undefined || value === null) return null;
+  return value ? 1 : 0;
+}
+
+// Map a client payload onto the indexed columns. `canvas` is already
+// normalised to { hash, stable } by lib/canvas.js.
+function extractColumns(data) {
+  const canvas = data.canvas && typeof data.canvas === 'object' ? data.canvas : null;
+  const devtools = data.devtools && typeof data.devtools === 'object' ? data.devtools : null;
+  return {
+    origin: typeof data.origin === 'string' ? data.origin : null,
+    user_agent: typeof data.userAgent === 'string' ? data.userAgent : null,
+    platform: typeof data.platform === 'string' ? data.platform : null,
+    timezone: typeof data.timezone === 'string' ? data.timezone : null,
+    webdriver: toFlag(data.webdriver),
+    headless: toFlag(data.headlessUA),
+    canvas_hash: canvas ? canvas.hash : null,
+    canvas_stable: canvas ? toFlag(canvas.stable) : null,
+    devtools_detected: devtools ? toFlag(devtools.detected) : toFlag(data.devtools),
+    devtools_method: devtools && typeof devtools.method === 'string' ? devtools.method : null,
+    audio_hash: moduleHash(data.audio),
+    font_hash: moduleHash(data.fonts),
+    font_count: moduleHash(data.fonts) && Number.isInteger(data.fonts.count) ? data.fonts.count : null
+  };
+}
+
+// `meta` carries what the server knows about the submission:
+// { timestamp, visitId, collectorVersion, wsIp, wsPeerIp, wsRttMs, wsHeaders, consistency: { source, findings },
+//   network (lib/network.js analysis), risk: { score, rules }, redacted: [field, ...],
+//   visitor: { id, match, score, signals, drift } }
+function insertFingerprint(db, data, meta, callback) {
+  const consistency = meta.consistency || null;
+  const risk = meta.risk || null;
+  const visitor = meta.visitor || null;
+  const network = meta.network || null;
+  const row = {
+    schema_version: FINGERPRINT_SCHEMA_VERSION,
+    visit_id: meta.visitId || null,
+    ...extractColumns(data),
+    ws_ip: meta.wsIp || null,
+    ws_headers: meta.wsHeaders ? JSON.stringify(meta.wsHeaders) : null,
+    ws_peer_ip: meta.wsPeerIp || null,
+    ws_rtt_ms: typeof meta.wsRttMs === 'number' ? meta.wsRttMs : null,
+    webrtc_ips: network && network.publicIps.length ? JSON.stringify(network.publicIps) : null,
+    network: network ? JSON.stringify(network) : null,
+    network_mismatch_count: network ? network.findings.length : null,
+    consistency_source: consistency ? consistency.source : null,
+    consistency: consistency ? JSON.stringify(consistency.findings) : null,
+    mismatch_count: consistency ? consistency.findings.length : null,
+    risk_score: risk ? risk.score : null,
+    risk_rules: risk ? JSON.stringify(risk.rules) : null,
+    collector_version: meta.collectorVersion || null,
+    redacted: meta.redacted && meta.redacted.length ? JSON.stringify(meta.redacted) : null,
+    visitor_id: visitor ? visitor.id : null,
+    visitor_match: visitor ? visitor.match : null,
+    visitor_score: visitor ? visitor.score : null,
+    visitor_signals: visitor ? JSON.stringify(visitor.signals) : null,
+    visitor_drift: visitor && visitor.drift.length ? JSON.stringify(visitor.drift) : null,
+    data: JSON.stringify(data),
+    timestamp: meta.timestamp
+  };
+  const columns = Object.keys(row);
+  db.run(
+    `INSERT INTO fingerprints(${columns.join(',')}) VALUES(${columns.map(() => '?').join(',')})`,
+    Object.values(row),
+    callback
+  );
+}
+
+function getFingerprint(db, id, callback) {
+  db.get(`SELECT ${FINGERPRINT_COLUMNS} FROM fingerprints WHERE id = ?`, [id], callback);
+}
+
+function parseFlag(value, name, errors) {
+  if (value === 'true' || value === '1') return 1;
+  if (value === 'false' || value === '0') return 0;
+  errors.push(`${name} must be true or false`);
+  return null;
+}
+
+// Validate '/fingerprints' query parameters. Returns { filters, errors }.
+function parseFingerprintQuery(query) {
+  const errors = [];
+  const filters = { limit: DEFAULT_LIMIT, cursor: null };
+  const get = key => {
+    const value = Array.isArray(query[key]) ? query[key][0] : query[key];
+    return typeof value === 'string' && value.trim() !== '' ? value.trim() : null;
+  };
+
+  for (const key of ['userAgent', 'platform', 'timezone', 'canvasHash', 'audioHash', 'fontHash', 'origin', 'visit',
+    'visitor', 'peerIp', 'webrtcIp']) {
+    const value = get(key);
+    if (value) filters[key] = value;
+  }
+  for (const key of ['webdriver', 'headless', 'devtools', 'mismatch', 'networkMismatch']) {
+    const value = get(key);
+    if (value) filters[key] = parseFlag(value, key, errors);
+  }
+
+  const limit = get('limit');
+  if (limit) {
+    const n = Number(limit);
+    if (!Number.isInteger(n) || n < 1) errors.push('limit must be a positive integer');
+    else filters.limit = Math.min(n, MAX_LIMIT);
+  }
+  const minRisk = get('minRisk');
+  if (minRisk) {
+    const n = Number(minRisk);
+    if (!Number.isInteger(n) || n < 0 || n > 100) errors.push('minRisk must be an integer from 0 to 100');
+    else filters.minRisk = n;
+  }
+
+  const sort = get('sort') || 'newest';
+  if (sort !== 'newest' && sort !== 'risk') errors.push('sort must be newest or risk');
+  else filters.sort = sort;
+
+  // Newest-first pages use the row id as cursor; risk-sorted pages use "<score>.<id>"
+  const cursor = get('cursor');
+  if (cursor) {
+    if (filters.sort === 'risk') {
+      const m = /^(-?\d+)\.(\d+)$/.exec(cursor);
+      if (!m) errors.push('cursor must be <score>.<id> when sort=risk');
+      else filters.cursor = { score: Number(m[1]), id: Number(m[2]) };
+    } else {
+      const n = Number(cursor);
+      if (!Number.isInteger(n) || n < 1) errors.push('cursor must be a positive integer');
+      else filters.cursor = n;
+    }
+  }
+
+  return { filters, errors };
+}
+
+// SQL conditions for the filters (pagination aside): { clauses, params }
+function buildFingerprintWhere(filters) {
+  const clauses = [];
+  const params = [];
+  if (filters.userAgent) {
+    clauses.push('instr(user_agent, ?) > 0');
+    params.push(filters.userAgent);
+  }
+  const exact = { platform: 'platform', timezone: 'timezone', canvasHash: 'canvas_hash', audioHash: 'audio_hash',
+    fontHash: 'font_hash', origin: 'origin', visit: 'visit_id', visitor: 'visitor_id', peerIp: 'ws_peer_ip',
+    webdriver: 'webdriver', headless: 'headless', devtools: 'devtools_detected' };
+  for (const [key, column] of Object.entries(exact)) {
+    if (filters[key] !== undefined && filters[key] !== null) {
+      clauses.push(`${column} = ?`);
+      params.push(filters[key]);
+    }
+  }
+  if (filters.mismatch !== undefined && filters.mismatch !== null) {
+    clauses.push(filters.mismatch ? 'mismatch_count > 0' : 'mismatch_count = 0');
+  }
+  if (filters.networkMismatch !== undefined && filters.networkMismatch !== null) {
+    clauses.push(filters.networkMismatch ? 'network_mismatch_count > 0' : 'network_mismatch_count = 0');
+  }
+  if (filters.webrtcIp) {
+    clauses.push('EXISTS (SELECT 1 FROM json_each(webrtc_ips) WHERE value = ?)');
+    params.push(filters.webrtcIp);
+  }
+  if (filters.minRisk !== undefined) {
+    clauses.push('risk_score >= ?');
+    params.push(filters.minRisk);
+  }
+  return { clauses, params };
+}
+
+function queryFingerprints(db, filters, callback) {
+  const { clauses, params } = buildFingerprintWhere(filters);
+
+  // Unscored rows sort below every scored one
+  const riskSort = filters.sort === 'risk';
+  if (filters.cursor) {
+    if (riskSort) {
+      clauses.push('(COALESCE(risk_score, -1) < ? OR (COALESCE(risk_score, -1) = ? AND id < ?))');
+      params.push(filters.cursor.score, filters.cursor.score, filters.cursor.id);
+    } else {
+      clauses.push('id < ?');
+      params.push(filters.cursor);
+    }
+  }
+  const where = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+  const order = riskSort ? 'COALESCE(risk_score, -1) DESC, id DESC' : 'id DESC';
+  db.all(
+    `SELECT ${FINGERPRINT_COLUMNS} FROM fingerprints ${where} ORDER BY ${order} LIMIT ?`,
+    [...params, filters.limit + 1],
+    (err, rows) => {
+      if (err) return callback(err);
+      const hasMore = rows.length > filters.limit;
+      const page = hasMore ? rows.slice(0, filters.limit) : rows;
+      const last = page[page.length - 1];
+      let nextCursor = null;
+      if (hasMore) nextCursor = riskSort ? `${last.risk_score === null ? -1 : last.risk_score}.${last.id}` : last.id;
+      callback(null, { rows: page, nextCursor });
+    }
+  );
+}
+
+const fromFlag = value => (value === null || value === undefined ? null : Boolean(value));
+
+// Shape a `fingerprints` row for the JSON API
+function formatFingerprintRow(r) {
+  return {
+    id: r.id,
+    schemaVersion: r.schema_version,
+    collectorVersion: r.collector_version,
+    visitId: r.visit_id,
+    origin: r.origin,
+    userAgent: r.user_agent,
+    platform: r.platform,
+    timezone: r.timezone,
+    webdriver: fromFlag(r.webdriver),
+    headless: fromFlag(r.headless),
+    canvasHash: r.canvas_hash,
+    canvasStable: fromFlag(r.canvas_stable),
+    audioHash: r.audio_hash,
+    fontHash: r.font_hash,
+    fontCount: r.font_count,
+    devtools: { detected: fromFlag(r.devtools_detected), method: r.devtools_method },
+    wsIp: r.ws_ip,
+    wsHeaders: r.ws_headers ? JSON.parse(r.ws_headers) : null,
+    wsPeerIp: r.ws_peer_ip,
+    wsRttMs: r.ws_rtt_ms,
+    network: r.network ? JSON.parse(r.network) : null,
+    consistency: r.consistency
+      ? { source: r.consistency_source, findings: JSON.parse(r.consistency) }
+      : null,
+    risk: r.risk_rules ? { score: r.risk_score, rules: JSON.parse(r.risk_rules) } : null,
+    redacted: r.redacted ? JSON.parse(r.redacted) : [],
+    visitor: r.visitor_id ? {
+      id: r.visitor_id,
+      match: r.visitor_match,
+      score: r.visitor_score,
+      drift: r.visitor_drift ? JSON.parse(r.visitor_drift) : []
+    } : null,
+    data: JSON.parse(r.data || '{}'),
+    timestamp: r.timestamp
+  };
+}
+
+module.exports = {
+  FINGERPRINT_SCHEMA_VERSION,
+  insertFingerprint,
+  getFingerprint,
+  parseFingerprintQuery,
+  buildFingerprintWhere,
+  queryFingerprints,
+  formatFingerprintRow
+};
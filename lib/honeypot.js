@@ -0,0 +1,115 @@
+/**
+ * Honeypot responder
+ *
+ * Catch-all for paths no other route handles. Rules come from
+ * config/honeypot.json (override the file with HONEYPOT_CONFIG_PATH):
+ *
+ *   { "id": "wp-login", "description": "...", "methods": ["GET", "POST"],
+ *     "path": "/wp-login.php",          (or "pathPrefix" / "pathRegex")
+ *     "status": 200, "headers": { "Content-Type": "text/html" },
+ *     "body": "..." or "bodyFile": "honeypot/wp-login.html" }
+ *
+ * Every matching rule is tagged on the request's log row; the first one with
+ * a status answers the request. Rules without a status only tag. With no
+ * answering rule the request falls through to the normal 404.
+ *
+ * Bodies are templates: {{method}}, {{path}}, {{url}}, {{host}}, {{ip}},
+ * {{visitId}}, {{now}} (ISO time), {{date}} (HTTP date), {{randomHex}} and
+ * {{collector}} (the fingerprint script tag). Values are HTML-escaped unless
+ * the rule sets a non-HTML, non-XML Content-Type.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { escapeHtml } = require('./html');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'honeypot.json');
+const MATCHERS = ['path', 'pathPrefix', 'pathRegex'];
+
+// Read and validate a rules file. Throws with the offending rule on bad config.
+function loadHoneypotRules(file = process.env.HONEYPOT_CONFIG_PATH || DEFAULT_CONFIG_PATH) {
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!config || !Array.isArray(config.rules)) throw new Error(`${file}: expected { "rules": [...] }`);
+  const seen = new Set();
+  const rules = config.rules.map((rule, i) => {
+    const where = `${file}: rules[${i}]`;
+    if (typeof rule.id !== 'string' || !rule.id) throw new Error(`${where}: id is required`);
+    if (seen.has(rule.id)) throw new Error(`${where}: duplicate id ${rule.id}`);
+    seen.add(rule.id);
+    const matchers = MATCHERS.filter(key => typeof rule[key] === 'string');
+    if (matchers.length !== 1) throw new Error(`${where}: needs exactly one of ${MATCHERS.join(', ')}`);
+    if (rule.status !== undefined && !(Number.isInteger(rule.status) && rule.status >= 100 && rule.status <= 599)) {
+      throw new Error(`${where}: status must be an HTTP status code`);
+    }
+    if (rule.body !== undefined && rule.bodyFile !== undefined) throw new Error(`${where}: use body or bodyFile, not both`);
+    const body = rule.bodyFile !== undefined
+      ? fs.readFileSync(path.resolve(path.dirname(file), rule.bodyFile), 'utf8')
+      : rule.body;
+    return {
+      id: rule.id,
+      description: rule.description || rule.id,
+      methods: rule.methods ? [].concat(rule.methods).map(m => String(m).toUpperCase()) : null,
+      path: rule.path,
+      pathPrefix: rule.pathPrefix,
+      pathRegex: rule.pathRegex !== undefined ? new RegExp(rule.pathRegex, 'i') : undefined,
+      status: rule.status,
+      headers: rule.headers || {},
+      body: body === undefined ? '' : String(body)
+    };
+  });
+  return { headers: config.headers || {}, rules };
+}
+
+function ruleMatches(rule, method, pathname) {
+  if (rule.methods && !rule.methods.includes(method)) return false;
+  if (rule.path !== undefined) return pathname === rule.path;
+  if (rule.pathPrefix !== undefined) return pathname.startsWith(rule.pathPrefix);
+  return rule.pathRegex.test(pathname);
+}
+
+function render(template, values, escape) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (_m, name) => {
+    if (name === 'collector') return values.collector || '';
+    const value = values[name] === undefined ? '' : String(values[name]);
+    return escape ? escapeHtml(value) : value;
+  });
+}
+
+// `context(req, res)` supplies extra template values ({ ip, visitId, collector })
+function createHoneypot(config, context = () => ({})) {
+  return (req, res, next) => {
+    const method = req.method === 'HEAD' ? 'GET' : req.method;
+    const matched = config.rules.filter(rule => ruleMatches(rule, method, req.path));
+    if (!matched.length) return next();
+    res.locals.honeypotRules = matched.map(rule => rule.id);
+
+    const rule = matched.find(r => r.status !== undefined);
+    if (!rule) return next();
+
+    const headers = { ...config.headers, ...rule.headers };
+    const type = Object.entries(headers).find(([name]) => name.toLowerCase() === 'content-type');
+    // Express sends text/html when no type is set
+    const escape = !type || /html|xml/i.test(type[1]);
+    const now = new Date();
+    const values = {
+      method: req.method,
+      path: req.path,
+      url: req.originalUrl,
+      host: req.headers.host || '',
+      now: now.toISOString(),
+      date: now.toUTCString(),
+      randomHex: crypto.randomBytes(16).toString('hex'),
+      ...context(req, res)
+    };
+
+    res.removeHeader('X-Powered-By');
+    res.status(rule.status).set(headers);
+    res.send(render(rule.body, values, escape));
+  };
+}
+
+module.exports = {
+  loadHoneypotRules,
+  createHoneypot
+};
@@ -0,0 +1,196 @@
+/**
+ * Small HTML helpers shared by the server-rendered views.
+ */
+
+const { filterQueryString } = require('./query');
+const { parseForm, parseMultipart, boundaryOf, mediaType, bodyBuffer } = require('./body');
+
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function queryValue(query, key) {
+  const value = Array.isArray(query[key]) ? query[key][0] : query[key];
+  return typeof value === 'string' ? value : '';
+}
+
+// Filter controls for the log views; submits back to `action` with GET
+function renderFilterForm(action, query) {
+  const field = (name, label, placeholder) => `
+    <label style="display:inline-block;margin:0 .75em .5em 0;">${label}<br>
+      <input name="${name}" value="${escapeHtml(queryValue(query, name))}" placeholder="${escapeHtml(placeholder)}" style="padding:4px;">
+    </label>`;
+  return `
+  <form method="get" action="${escapeHtml(action)}" class="log-filters" style="margin-bottom:1em;padding:.5em;border:1px solid #888;border-radius:4px;">
+    ${field('method', 'Method', 'GET,POST')}
+    ${field('urlPrefix', 'URL prefix', '/api/')}
+    ${field('urlRegex', 'URL regex', '\\.php$')}
+    ${field('since', 'Since', '2025-01-01T00:00:00Z')}
+    ${field('until', 'Until', '2025-01-02T00:00:00Z')}
+    ${field('header', 'Header name', 'user-agent')}
+    ${field('headerValue', 'Header value contains', 'curl')}
+    ${field('body', 'Body contains', 'password')}
+    ${field('status', 'Status', '404,5xx')}
+    ${field('minDuration', 'Slower than (ms)', '500')}
+    ${field('minBytes', 'Response bytes &ge;', '10000')}
+    ${field('ip', 'Client IP', '203.0.113.7')}
+    ${field('honeypot', 'Honeypot rule', 'any')}
+    ${field('limit', 'Page size', '50')}
+    <div>
+      <button type="submit">Filter</button>
+      <a href="${escapeHtml(action)}">Reset</a>
+    </div>
+  </form>`;
+}
+
+// "Newest" / "Older" links preserving the active filters
+function renderPager(action, query, nextCursor) {
+  const links = [];
+  if (queryValue(query, 'cursor')) {
+    links.push(`<a href="${escapeHtml(action + filterQueryString(query, { cursor: null }))}">&laquo; Newest</a>`);
+  }
+  if (nextCursor) {
+    links.push(`<a href="${escapeHtml(action + filterQueryString(query, { cursor: nextCursor }))}">Older &raquo;</a>`);
+  }
+  return links.length ? `<nav class="pager" style="margin:1em 0;">${links.join(' | ')}</nav>` : '';
+}
+
+function formatBytes(n) {
+  if (n < 1024) return `${n} B`;
+  if (n < 1024 * 1024) return `${(n / 1024).toFixed(1)} kB`;
+  return `${(n / 1024 / 1024).toFixed(1)} MB`;
+}
+
+// One-line response summary for a `logs` row: status, duration, size, client and connection
+function renderOutcome(r) {
+  const parts = [];
+  if (r.status !== null && r.status !== undefined) {
+    const color = r.status >= 500 ? '#dc3545' : r.status >= 400 ? '#e67e22' : r.status >= 300 ? '#17a2b8' : '#28a745';
+    parts.push(`<strong style="color:${color}">${escapeHtml(r.status)}</strong>`);
+  } else if (r.duration_ms !== null && r.duration_ms !== undefined) {
+    parts.push('<strong>no response</strong>');
+  }
+  if (r.duration_ms !== null && r.duration_ms !== undefined) parts.push(`${escapeHtml(r.duration_ms)} ms`);
+  if (r.response_bytes !== null && r.response_bytes !== undefined) parts.push(formatBytes(r.response_bytes));
+  if (r.ip) parts.push(`from ${escapeHtml(r.ip)}`);
+  if (r.protocol) parts.push(escapeHtml(r.protocol));
+  if (r.tls) {
+    const tls = typeof r.tls === 'string' ? JSON.parse(r.tls) : r.tls;
+    parts.push(tls.terminatedBy
+      ? `TLS (at ${escapeHtml(tls.terminatedBy)})`
+      : escapeHtml([tls.version, tls.cipher].filter(Boolean).join(' ')));
+  }
+  if (r.honeypot_rules) parts.push(`honeypot: <code>${escapeHtml(JSON.parse(r.honeypot_rules).join(', '))}</code>`);
+  return parts.length ? `<p class="outcome">${parts.join(' &middot; ')}</p>` : '';
+}
+
+// Captured request body of a `logs` row, parsed for display where the content type allows
+function renderBody(r, preAttrs = '') {
+  if (!r.body) return '';
+  const pre = text => `<pre${preAttrs}>${escapeHtml(text)}</pre>`;
+  const type = mediaType(r.content_type);
+  const boundary = type.startsWith('multipart/') ? boundaryOf(r.content_type) : null;
+  const meta = [r.content_type ? escapeHtml(r.content_type) : 'no content type'];
+  if (r.body_size !== null && r.body_size !== undefined) meta.push(formatBytes(r.body_size));
+  if (r.body_truncated) {
+    meta.push(`<strong>[truncated: first ${formatBytes(bodyBuffer(r.body, r.body_encoding).length)} stored]</strong>`);
+  }
+
+  let content;
+  if (!r.body_encoding || r.body_encoding === 'json') {
+    content = pre(JSON.stringify(JSON.parse(r.body), null, 2));
+  } else if (type === 'application/x-www-form-urlencoded' && r.body_encoding === 'text') {
+    content = pre(JSON.stringify(parseForm(r.body), null, 2)) +
+      `<details><summary>Raw</summary>${pre(r.body)}</details>`;
+  } else if (boundary) {
+    const { parts } = parseMultipart(bodyBuffer(r.body, r.body_encoding), boundary);
+    content = `<ul>${parts.map(p => {
+      const label = [p.name !== null ? `<code>${escapeHtml(p.name)}</code>` : '(unnamed)'];
+      if (p.filename !== null) label.push(`file "${escapeHtml(p.filename)}"`);
+      label.push(`${escapeHtml(p.contentType || 'text/plain')}, ${formatBytes(p.data.length)}`);
+      const text = p.data.toString('utf8');
+      const printable = !text.includes('\ufffd') && !text.includes('\u0000');
+      return `<li>${label.join(' ')}${printable ? pre(text) : ' (binary)'}</li>`;
+    }).join('')}</ul>` + `<details><summary>Raw</summary>${pre(r.body)}</details>`;
+  } else if (r.body_encoding === 'base64') {
+    content = `<p>Binary body, base64:</p>${pre(r.body)}`;
+  } else {
+    content = pre(r.body);
+  }
+  return `<h3>Body:</h3><p><small>${meta.join(' &middot; ')}</small></p>${content}`;
+}
+
+// Download links for '/export/<kind>.<format>' carrying the active filters
+function renderExportLinks(kind, formats, query) {
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(query)) {
+    if (!['cursor', 'limit', 'sort'].includes(key) && typeof value === 'string' && value !== '') params.set(key, value);
+  }
+  const qs = params.toString() ? `?${params}` : '';
+  const links = formats.map(f => `<a href="${escapeHtml(`/export/${kind}.${f}${qs}`)}">${f.toUpperCase()}</a>`);
+  return `<p class="export">Export all matching: ${links.join(' | ')}</p>`;
+}
+
+const SEVERITY_COLORS = { high: '#dc3545', medium: '#e67e22', low: '#6c757d' };
+
+// Header vs. JS consistency findings as a list
+function renderFindings(findings) {
+  if (!findings) return '<p>Not analysed.</p>';
+  if (!findings.length) return '<p>No mismatches between headers and JS.</p>';
+  const value = v => escapeHtml(typeof v === 'string' ? v : JSON.stringify(v));
+  return `<ul class="findings">${findings.map(f => `
+    <li>
+      <strong style="color:${SEVERITY_COLORS[f.severity] || 'inherit'}">[${escapeHtml(f.severity)}] ${escapeHtml(f.code)}</strong>:
+      ${escapeHtml(f.message)}
+      <br><small>header: <code>${value(f.header)}</code> &middot; js: <code>${value(f.js)}</code></small>
+    </li>`).join('')}
+  </ul>`;
+}
+
+// lib/network.js analysis: addresses WebRTC exposed, round trips and findings
+function renderNetwork(network) {
+  if (!network) return '<p>No network signals (the collector\'s network module did not run).</p>';
+  const value = v => escapeHtml(typeof v === 'string' ? v : JSON.stringify(v));
+  const list = items => (items.length ? items.map(i => `<code>${escapeHtml(i)}</code>`).join(', ') : 'none');
+  const findings = network.findings.length
+    ? `<ul class="findings">${network.findings.map(f => `
+    <li>
+      <strong style="color:${SEVERITY_COLORS[f.severity] || 'inherit'}">[${escapeHtml(f.severity)}] ${escapeHtml(f.code)}</strong>:
+      ${escapeHtml(f.message)}
+      <br><small>server: <code>${value(f.server)}</code> &middot; client: <code>${value(f.client)}</code></small>
+    </li>`).join('')}
+  </ul>`
+    : '<p>Nothing suspicious.</p>';
+  return `<p>WebRTC public: ${list(network.publicIps)} &middot; local: ${list(network.localIps)} &middot;
+    mDNS names: ${escapeHtml(network.mdnsCount)}<br>
+    Round trip: server ${network.rttMs === null ? 'n/a' : `${escapeHtml(network.rttMs)} ms`},
+    collector ${network.clientRttMs === null ? 'n/a' : `${escapeHtml(network.clientRttMs)} ms`}</p>
+  ${findings}`;
+}
+
+// Risk score with the rules that fired
+function renderRisk(score, rules) {
+  if (score === null || score === undefined) return '<p>Not scored.</p>';
+  const color = score >= 70 ? SEVERITY_COLORS.high : score >= 30 ? SEVERITY_COLORS.medium : SEVERITY_COLORS.low;
+  const list = rules && rules.length
+    ? `<ul>${rules.map(r => `<li>+${escapeHtml(r.weight)} <code>${escapeHtml(r.id)}</code>: ${escapeHtml(r.description)}</li>`).join('')}</ul>`
+    : '<p>No rules fired.</p>';
+  return `<p><strong style="color:${color}">Risk score ${escapeHtml(score)}/100</strong></p>${list}`;
+}
+
+module.exports = {
+  escapeHtml,
+  renderFilterForm,
+  renderPager,
+  renderOutcome,
+  renderBody,
+  renderExportLinks,
+  renderFindings,
+  renderNetwork,
+  renderRisk
+};
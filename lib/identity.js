@@ -0,0 +1,324 @@
+/**
+ * Visitor identity
+ *
+ * Links fingerprint submissions from the same browser to one visitor ID.
+ * Signals and weights come from config/identity.json (override the file with
+ * IDENTITY_CONFIG_PATH):
+ *
+ *   cookie   { name, maxAgeDays }: a random first-party token set on every
+ *            response that lacks it and read back from the WebSocket upgrade
+ *   match    { minScore, minWeight }: thresholds for fuzzy matches
+ *   signals  [{ id, path | paths, weight }]: dotted paths into the payload;
+ *            with `paths` the values are joined into one signal
+ *
+ * A submission is matched, in order: by a cookie token seen before
+ * ("cookie"), by signals ("exact" when all shared signals agree, "fuzzy" when
+ * the agreeing ones carry at least minScore of the shared weight and
+ * minWeight in total), or it starts a new visitor ("new"). Each visitor's
+ * latest signal values are indexed in `visitor_signals`; the signals that
+ * changed since the previous visit are recorded on the fingerprint as drift.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { parseCookies } = require('./auth');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'identity.json');
+const ID_RE = /^[a-f0-9]{32}$/;
+const MAX_CANDIDATES = 20;
+const MAX_VALUE_LENGTH = 512;
+const DAY_SECONDS = 24 * 60 * 60;
+// Placeholder values the collector reports instead of a real reading
+const NO_VALUE = ['', 'unknown', 'unsupported'];
+
+function loadIdentityConfig(file = process.env.IDENTITY_CONFIG_PATH || DEFAULT_CONFIG_PATH) {
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const cookie = config.cookie || {};
+  if (typeof cookie.name !== 'string' || !/^[\w-]+$/.test(cookie.name)) {
+    throw new Error(`${file}: cookie.name is required`);
+  }
+  const match = config.match || {};
+  if (!(match.minScore > 0 && match.minScore <= 1)) throw new Error(`${file}: match.minScore must be in (0, 1]`);
+  if (!Array.isArray(config.signals) || !config.signals.length) {
+    throw new Error(`${file}: signals must be a non-empty array`);
+  }
+  const seen = new Set();
+  const signals = config.signals.map((signal, i) => {
+    const where = `${file}: signals[${i}]`;
+    if (typeof signal.id !== 'string' || !/^\w+$/.test(signal.id)) throw new Error(`${where}: id is required`);
+    if (seen.has(signal.id)) throw new Error(`${where}: duplicate id ${signal.id}`);
+    seen.add(signal.id);
+    const paths = signal.paths || (signal.path ? [signal.path] : []);
+    if (!Array.isArray(paths) || !paths.length || !paths.every(p => typeof p === 'string')) {
+      throw new Error(`${where}: needs path or paths`);
+    }
+    if (!(signal.weight > 0)) throw new Error(`${where}: weight must be positive`);
+    return { id: signal.id, paths, weight: signal.weight };
+  });
+  return {
+    cookie: { name: cookie.name, maxAgeDays: cookie.maxAgeDays > 0 ? cookie.maxAgeDays : 365 },
+    match: { minScore: match.minScore, minWeight: match.minWeight > 0 ? match.minWeight : 0 },
+    signals
+  };
+}
+
+function getPath(obj, dotted) {
+  return dotted.split('.').reduce(
+    (value, key) => (value !== null && typeof value === 'object' ? value[key] : undefined),
+    obj
+  );
+}
+
+function readValue(value) {
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  if (typeof value !== 'string' || NO_VALUE.includes(value) || value.startsWith('error:')) return null;
+  return value.slice(0, MAX_VALUE_LENGTH);
+}
+
+// The configured signals present in a payload: { id: value }
+function extractSignals(config, data) {
+  const signals = {};
+  for (const signal of config.signals) {
+    const parts = signal.paths.map(p => readValue(getPath(data, p)));
+    if (parts.every(v => v === null)) continue;
+    signals[signal.id] = parts.map(v => (v === null ? '' : v)).join(' / ');
+  }
+  return signals;
+}
+
+// Compare two signal sets: { score, matchedWeight, sharedWeight, drift: [{ signal, from, to }] }
+function compareSignals(config, current, previous) {
+  let matchedWeight = 0;
+  let sharedWeight = 0;
+  const drift = [];
+  for (const signal of config.signals) {
+    const a = current[signal.id];
+    const b = previous[signal.id];
+    if (a === undefined || b === undefined) continue;
+    sharedWeight += signal.weight;
+    if (a === b) matchedWeight += signal.weight;
+    else drift.push({ signal: signal.id, from: b, to: a });
+  }
+  return { score: sharedWeight ? matchedWeight / sharedWeight : null, matchedWeight, sharedWeight, drift };
+}
+
+function createIdentity(db, config) {
+  const weights = Object.fromEntries(config.signals.map(s => [s.id, s.weight]));
+
+  // Resolutions run one at a time so two submissions cannot both create the same visitor
+  const queue = [];
+  let busy = false;
+  function enqueue(task) {
+    queue.push(task);
+    if (!busy) drain();
+  }
+  function drain() {
+    const task = queue.shift();
+    busy = Boolean(task);
+    if (task) task(() => setImmediate(drain));
+  }
+
+  function runAll(statements, done) {
+    const next = i => {
+      if (i >= statements.length) return done(null);
+      db.run(statements[i][0], statements[i][1], err => (err ? done(err) : next(i + 1)));
+    };
+    next(0);
+  }
+
+  function loadSignals(visitorIds, callback) {
+    db.all(
+      `SELECT visitor_id, signal, value FROM visitor_signals
+       WHERE visitor_id IN (${visitorIds.map(() => '?').join(',')})`,
+      visitorIds,
+      (err, rows) => {
+        if (err) return callback(err);
+        const byVisitor = Object.fromEntries(visitorIds.map(id => [id, {}]));
+        for (const r of rows) byVisitor[r.visitor_id][r.signal] = r.value;
+        callback(null, byVisitor);
+      }
+    );
+  }
+
+  function visitorForToken(token, callback) {
+    if (!token) return callback(null, null);
+    db.get('SELECT visitor_id FROM visitor_cookies WHERE token = ?', [token], (err, row) => {
+      callback(err, row ? row.visitor_id : null);
+    });
+  }
+
+  // Best fuzzy match among the visitors sharing the most signal weight, or null
+  function bestMatch(signals, callback) {
+    const entries = Object.entries(signals);
+    if (!entries.length) return callback(null, null);
+    const weightCase = entries.map(() => 'WHEN ? THEN ?').join(' ');
+    db.all(
+      `SELECT visitor_id, SUM(CASE signal ${weightCase} ELSE 0 END) AS matched FROM visitor_signals
+       WHERE ${entries.map(() => '(signal = ? AND value = ?)').join(' OR ')}
+       GROUP BY visitor_id ORDER BY matched DESC LIMIT ${MAX_CANDIDATES}`,
+      [...entries.flatMap(([id]) => [id, weights[id]]), ...entries.flat()],
+      (err, rows) => {
+        if (err || !rows.length) return callback(err, null);
+        loadSignals(rows.map(r => r.visitor_id), (loadErr, byVisitor) => {
+          if (loadErr) return callback(loadErr);
+          let best = null;
+          for (const [visitorId, previous] of Object.entries(byVisitor)) {
+            const result = compareSignals(config, signals, previous);
+            if (result.score === null || result.score < config.match.minScore) continue;
+            if (result.matchedWeight < config.match.minWeight) continue;
+            const better = !best || result.score > best.score ||
+              (result.score === best.score && result.matchedWeight > best.matchedWeight);
+            if (better) best = { visitorId, ...result };
+          }
+          callback(null, best);
+        });
+      }
+    );
+  }
+
+  // Record a sighting of `visitorId` with the submission's signals and cookie token
+  function save(visitorId, signals, token, timestamp, done) {
+    const statements = [
+      [`INSERT INTO visitors(id, first_seen, last_seen) VALUES(?, ?, ?)
+        ON CONFLICT(id) DO UPDATE SET last_seen = MAX(last_seen, excluded.last_seen)`,
+      [visitorId, timestamp, timestamp]]
+    ];
+    for (const [signal, value] of Object.entries(signals)) {
+      statements.push([`INSERT INTO visitor_signals(visitor_id, signal, value, updated_at) VALUES(?, ?, ?, ?)
+        ON CONFLICT(visitor_id, signal) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at`,
+      [visitorId, signal, value, timestamp]]);
+    }
+    if (token) {
+      statements.push([`INSERT INTO visitor_cookies(token, visitor_id, first_seen, last_seen) VALUES(?, ?, ?, ?)
+        ON CONFLICT(token) DO UPDATE SET last_seen = excluded.last_seen`, [token, visitorId, timestamp, timestamp]]);
+    }
+    runAll(statements, done);
+  }
+
+  // Work out which visitor a fingerprint belongs to. `headers` are the raw
+  // WebSocket upgrade headers (for the cookie). Calls back with
+  // { id, match, score, signals, drift }.
+  function resolve(data, headers, timestamp, callback) {
+    const signals = extractSignals(config, data);
+    const cookie = parseCookies((headers || {}).cookie)[config.cookie.name];
+    const token = ID_RE.test(cookie || '') ? cookie : null;
+
+    enqueue(release => {
+      const finish = (err, result) => {
+        release();
+        callback(err, result);
+      };
+      const settle = (visitorId, match, previous) => {
+        const { score, drift } = compareSignals(config, signals, previous);
+        save(visitorId, signals, token, timestamp, err => {
+          if (err) return finish(err);
+          finish(null, { id: visitorId, match, score: match === 'new' ? null : score, signals, drift });
+        });
+      };
+
+      visitorForToken(token, (err, cookieVisitor) => {
+        if (err) return finish(err);
+        if (cookieVisitor) {
+          return loadSignals([cookieVisitor], (loadErr, byVisitor) => {
+            if (loadErr) return finish(loadErr);
+            settle(cookieVisitor, 'cookie', byVisitor[cookieVisitor]);
+          });
+        }
+        bestMatch(signals, (matchErr, best) => {
+          if (matchErr) return finish(matchErr);
+          if (!best) return settle(crypto.randomBytes(16).toString('hex'), 'new', {});
+          loadSignals([best.visitorId], (loadErr, byVisitor) => {
+            if (loadErr) return finish(loadErr);
+            settle(best.visitorId, best.drift.length ? 'fuzzy' : 'exact', byVisitor[best.visitorId]);
+          });
+        });
+      });
+    });
+  }
+
+  // Middleware: give browsers without one a visitor cookie token
+  function cookieMiddleware(req, res, next) {
+    if (!ID_RE.test(parseCookies(req.headers.cookie)[config.cookie.name] || '')) {
+      const secure = req.secure || req.headers['x-forwarded-proto'] === 'https';
+      const maxAge = Math.round(config.cookie.maxAgeDays * DAY_SECONDS);
+      res.append('Set-Cookie', `${config.cookie.name}=${crypto.randomBytes(16).toString('hex')}; Path=/; ` +
+        `Max-Age=${maxAge}; HttpOnly; SameSite=Lax${secure ? '; Secure' : ''}`);
+    }
+    next();
+  }
+
+  return { config, resolve, cookieMiddleware };
+}
+
+function isVisitorId(value) {
+  return typeof value === 'string' && ID_RE.test(value);
+}
+
+// Visitors, most recently seen first, with their visit counts
+function listVisitors(db, limit, callback) {
+  db.all(
+    `SELECT v.id, v.first_seen, v.last_seen,
+       (SELECT COUNT(DISTINCT COALESCE(f.visit_id, f.id)) FROM fingerprints f WHERE f.visitor_id = v.id) AS visits,
+       (SELECT COUNT(*) FROM fingerprints f WHERE f.visitor_id = v.id AND f.visitor_drift IS NOT NULL) AS drifted,
+       (SELECT COUNT(*) FROM visitor_cookies c WHERE c.visitor_id = v.id) AS cookies
+     FROM visitors v ORDER BY v.last_seen DESC LIMIT ?`,
+    [limit],
+    callback
+  );
+}
+
+// One visitor with current signals and every fingerprint linked to it, oldest first
+function loadVisitor(db, visitorId, callback) {
+  db.get('SELECT id, first_seen, last_seen FROM visitors WHERE id = ?', [visitorId], (err, visitor) => {
+    if (err || !visitor) return callback(err, null);
+    const signalSql = 'SELECT signal, value FROM visitor_signals WHERE visitor_id = ? ORDER BY signal';
+    db.all(signalSql, [visitorId], (sigErr, signals) => {
+      if (sigErr) return callback(sigErr);
+      db.all(
+        `SELECT id, visit_id, timestamp, ws_ip, user_agent, visitor_match, visitor_score, visitor_signals,
+           visitor_drift, risk_score FROM fingerprints WHERE visitor_id = ? ORDER BY id`,
+        [visitorId],
+        (fpErr, fingerprints) => {
+          if (fpErr) return callback(fpErr);
+          db.get('SELECT COUNT(*) AS n FROM visitor_cookies WHERE visitor_id = ?', [visitorId], (cErr, cookies) => {
+            if (cErr) return callback(cErr);
+            callback(null, { ...visitor, cookies: cookies.n, signals, fingerprints });
+          });
+        }
+      );
+    });
+  });
+}
+
+// Shape a loadVisitor() result for the JSON API
+function formatVisitor(v) {
+  return {
+    id: v.id,
+    firstSeen: v.first_seen,
+    lastSeen: v.last_seen,
+    cookies: v.cookies,
+    signals: Object.fromEntries(v.signals.map(s => [s.signal, s.value])),
+    visits: v.fingerprints.map(f => ({
+      fingerprintId: f.id,
+      visitId: f.visit_id,
+      timestamp: f.timestamp,
+      ip: f.ws_ip,
+      userAgent: f.user_agent,
+      match: f.visitor_match,
+      score: f.visitor_score,
+      signals: f.visitor_signals ? JSON.parse(f.visitor_signals) : {},
+      drift: f.visitor_drift ? JSON.parse(f.visitor_drift) : [],
+      riskScore: f.risk_score
+    }))
+  };
+}
+
+module.exports = {
+  loadIdentityConfig,
+  createIdentity,
+  isVisitorId,
+  listVisitors,
+  loadVisitor,
+  formatVisitor
+};
@@ -0,0 +1,257 @@
+/**
+ * Log import
+ *
+ * Loads requests captured elsewhere into `logs`: HAR 1.2 files (e.g. saved
+ * from browser devtools) or NDJSON in the '/export/logs.ndjson' format.
+ * Headers and bodies go through the same redaction as live traffic, and rows
+ * are tagged with `source` = "import:har" / "import:ndjson". Visit IDs are
+ * not carried over, since fingerprints are not imported with them.
+ *
+ * Entries are type-checked before anything is written; the ones that fail are
+ * skipped and listed in the response. The rest are inserted in one
+ * transaction, so an import lands whole or not at all. Requests logged while
+ * it runs share that transaction.
+ */
+
+const { serializeRawBody } = require('./body');
+
+const INSERT_BATCH = 50;
+const MAX_REPORTED_ERRORS = 20;
+// Databases with an import in progress: one transaction at a time per connection
+const running = new WeakSet();
+const DEFAULT_IMPORT_MAX_BYTES = 50 * 1024 * 1024;
+
+const COLUMNS = ['method', 'url', 'headers', 'body', 'timestamp', 'redacted', 'ip', 'status', 'duration_ms',
+  'response_bytes', 'protocol', 'content_type', 'body_encoding', 'body_size', 'body_truncated', 'honeypot_rules',
+  'source'];
+
+function importMaxBytes(env = process.env) {
+  const n = Number(env.IMPORT_MAX_BYTES);
+  return Number.isInteger(n) && n > 0 ? n : DEFAULT_IMPORT_MAX_BYTES;
+}
+
+// Optional fields must have the right type when present: an entry with a wrong one is skipped
+function optionalString(value, name) {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== 'string') throw new Error(`${name} must be a string`);
+  return value;
+}
+
+// HAR uses -1 for unknown sizes and times
+function optionalNumber(value, name) {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== 'number' || !Number.isFinite(value)) throw new Error(`${name} must be a number`);
+  return value >= 0 ? value : null;
+}
+
+function optionalObject(value, name) {
+  if (value === undefined || value === null) return {};
+  if (typeof value !== 'object' || Array.isArray(value)) throw new Error(`${name} must be an object`);
+  return value;
+}
+
+function optionalRules(value, name) {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value) || !value.every(r => typeof r === 'string')) {
+    throw new Error(`${name} must be an array of rule IDs`);
+  }
+  return value;
+}
+
+// Split an absolute or relative URL into the stored path and the host it names
+function splitUrl(url) {
+  if (url.startsWith('/')) return { path: url, host: null };
+  const parsed = new URL(url);
+  return { path: parsed.pathname + parsed.search, host: parsed.host };
+}
+
+// Missing timestamps become the import time; unreadable ones reject the entry
+function timestampOf(value, name) {
+  if (optionalString(value, name) === null) return new Date().toISOString();
+  const ms = Date.parse(value);
+  if (Number.isNaN(ms)) throw new Error(`${name} must be an ISO 8601 timestamp`);
+  return new Date(ms).toISOString();
+}
+
+function statusOf(value, name) {
+  const status = optionalNumber(value, name);
+  if (status === null || status === 0) return null; // HAR: 0 when there was no response
+  if (!Number.isInteger(status) || status < 100 || status > 999) throw new Error(`${name} must be an HTTP status`);
+  return status;
+}
+
+// HAR entry -> request fields
+function fromHar(entry) {
+  const request = optionalObject(optionalObject(entry, 'entry').request, 'request');
+  if (typeof request.method !== 'string' || typeof request.url !== 'string') {
+    throw new Error('entry needs request.method and request.url');
+  }
+  if (request.headers !== undefined && !Array.isArray(request.headers)) {
+    throw new Error('request.headers must be an array');
+  }
+  const headers = {};
+  (request.headers || []).forEach((h, i) => {
+    if (!h || typeof h.name !== 'string' || typeof h.value !== 'string') {
+      throw new Error(`request.headers[${i}] needs a string name and value`);
+    }
+    if (h.name.startsWith(':')) return; // skip HTTP/2 pseudo-headers
+    const name = h.name.toLowerCase();
+    headers[name] = headers[name] === undefined ? h.value : `${headers[name]}, ${h.value}`;
+  });
+  const post = optionalObject(request.postData, 'request.postData');
+  const text = optionalString(post.text, 'request.postData.text');
+  const comment = optionalString(post.comment, 'request.postData.comment') || '';
+  const response = optionalObject(entry.response, 'response');
+  const bodySize = optionalNumber(response.bodySize, 'response.bodySize');
+  const content = optionalObject(response.content, 'response.content');
+  const contentSize = optionalNumber(content.size, 'response.content.size');
+  return {
+    method: request.method,
+    url: request.url,
+    headers,
+    raw: text === null ? Buffer.alloc(0) : Buffer.from(text, /\bbase64\b/.test(comment) ? 'base64' : 'utf8'),
+    contentType: optionalString(post.mimeType, 'request.postData.mimeType') || headers['content-type'] || null,
+    truncated: /\btruncated\b/.test(comment),
+    timestamp: timestampOf(entry.startedDateTime, 'startedDateTime'),
+    status: statusOf(response.status, 'response.status'),
+    durationMs: optionalNumber(entry.time, 'time'),
+    responseBytes: bodySize !== null ? bodySize : contentSize,
+    protocol: optionalString(request.httpVersion, 'request.httpVersion'),
+    ip: optionalString(entry._clientIp, '_clientIp'),
+    honeypotRules: optionalRules(entry._honeypotRules, '_honeypotRules')
+  };
+}
+
+// '/export/logs.ndjson' line -> request fields
+function fromNdjson(obj) {
+  obj = optionalObject(obj, 'line');
+  if (typeof obj.method !== 'string' || typeof obj.url !== 'string') throw new Error('line needs method and url');
+  const headers = {};
+  for (const [name, value] of Object.entries(optionalObject(obj.headers, 'headers'))) {
+    const values = [].concat(value);
+    if (!values.every(v => typeof v === 'string')) throw new Error(`headers.${name} must be a string or strings`);
+    headers[name.toLowerCase()] = values.join(', ');
+  }
+  const objectBody = obj.body && typeof obj.body === 'object' && Object.keys(obj.body).length > 0;
+  let raw = Buffer.alloc(0);
+  if (obj.bodyEncoding === 'base64' || obj.bodyEncoding === 'text') {
+    const body = optionalString(obj.body, 'body') || '';
+    raw = Buffer.from(body, obj.bodyEncoding === 'base64' ? 'base64' : 'utf8');
+  } else if (obj.bodyEncoding === 'json' || objectBody) {
+    raw = Buffer.from(JSON.stringify(obj.body));
+  } else if (typeof obj.body === 'string') {
+    raw = Buffer.from(obj.body);
+  }
+  if (obj.bodyTruncated !== undefined && typeof obj.bodyTruncated !== 'boolean') {
+    throw new Error('bodyTruncated must be a boolean');
+  }
+  return {
+    method: obj.method,
+    url: obj.url,
+    headers,
+    raw,
+    contentType: optionalString(obj.contentType, 'contentType') || headers['content-type'] || null,
+    truncated: Boolean(obj.bodyTruncated),
+    timestamp: timestampOf(obj.timestamp, 'timestamp'),
+    status: statusOf(obj.status, 'status'),
+    durationMs: optionalNumber(obj.durationMs, 'durationMs'),
+    responseBytes: optionalNumber(obj.responseBytes, 'responseBytes'),
+    protocol: optionalString(obj.protocol, 'protocol'),
+    ip: optionalString(obj.ip, 'ip'),
+    honeypotRules: optionalRules(obj.honeypotRules, 'honeypotRules')
+  };
+}
+
+// Request fields -> redacted `logs` column values, in COLUMNS order
+function toRow(fields, source, redactor) {
+  if (!/^[A-Za-z]+$/.test(fields.method)) throw new Error(`invalid method ${JSON.stringify(fields.method)}`);
+  const { path, host } = splitUrl(fields.url);
+  const headers = { ...fields.headers };
+  if (host && !headers.host) headers.host = host;
+  const { headers: safeHeaders, redacted: headerRedactions } = redactor.redactHeaders(headers);
+  const body = serializeRawBody(fields.raw, {
+    contentType: fields.contentType,
+    size: fields.raw.length,
+    truncated: fields.truncated
+  }, redactor);
+  const redacted = headerRedactions.concat(body.redacted);
+  const rules = fields.honeypotRules;
+  return [
+    fields.method.toUpperCase(), path, JSON.stringify(safeHeaders), body.body, fields.timestamp,
+    redacted.length ? JSON.stringify(redacted) : null, fields.ip, fields.status, fields.durationMs,
+    fields.responseBytes, fields.protocol, body.contentType, body.encoding, body.size, body.truncated ? 1 : 0,
+    rules.length ? JSON.stringify(rules) : null, source
+  ];
+}
+
+// HAR if the payload is a HAR document, NDJSON otherwise
+function parsePayload(text, format) {
+  if (format !== 'ndjson') {
+    let doc = null;
+    try {
+      doc = JSON.parse(text);
+    } catch (e) {
+      if (format === 'har') throw new Error(`Invalid HAR: ${e.message}`);
+    }
+    if (doc && doc.log && Array.isArray(doc.log.entries)) {
+      return { source: 'import:har', items: doc.log.entries.map((entry, i) => ({ where: `entries[${i}]`, entry })) };
+    }
+    if (format === 'har') throw new Error('Invalid HAR: expected { "log": { "entries": [...] } }');
+  }
+  const items = [];
+  text.split(/\r?\n/).forEach((line, i) => {
+    if (line.trim()) items.push({ where: `line ${i + 1}`, line });
+  });
+  return { source: 'import:ndjson', items };
+}
+
+// Import a HAR or NDJSON payload. Calls back with { format, imported, skipped, errors }.
+function importLogs(db, redactor, text, format, callback) {
+  let parsed;
+  try {
+    parsed = parsePayload(text, format);
+  } catch (e) {
+    return callback(Object.assign(e, { status: 400 }));
+  }
+  const { source, items } = parsed;
+  const rows = [];
+  const errors = [];
+  let skipped = 0;
+  for (const item of items) {
+    try {
+      const fields = item.line !== undefined ? fromNdjson(JSON.parse(item.line)) : fromHar(item.entry);
+      rows.push(toRow(fields, source, redactor));
+    } catch (e) {
+      skipped++;
+      if (errors.length < MAX_REPORTED_ERRORS) errors.push(`${item.where}: ${e.message}`);
+    }
+  }
+
+  const result = { format: source.slice('import:'.length), imported: rows.length, skipped, errors };
+  if (!rows.length) return callback(null, result);
+  if (running.has(db)) return callback(Object.assign(new Error('Another import is running'), { status: 409 }));
+
+  // Every valid entry is checked before the first write, and all of them go in one transaction
+  running.add(db);
+  const done = err => {
+    running.delete(db);
+    callback(err, err ? undefined : result);
+  };
+  const fail = err => db.run('ROLLBACK', () => done(err));
+  const placeholders = `(${COLUMNS.map(() => '?').join(',')})`;
+  const insert = start => {
+    if (start >= rows.length) return db.run('COMMIT', err => (err ? fail(err) : done(null)));
+    const batch = rows.slice(start, start + INSERT_BATCH);
+    db.run(
+      `INSERT INTO logs(${COLUMNS.join(',')}) VALUES ${batch.map(() => placeholders).join(',')}`,
+      [].concat(...batch),
+      err => (err ? fail(err) : insert(start + INSERT_BATCH))
+    );
+  };
+  db.run('BEGIN', err => (err ? done(err) : insert(0)));
+}
+
+module.exports = {
+  importMaxBytes,
+  importLogs
+};
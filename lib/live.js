@@ -0,0 +1,85 @@
+/**
+ * Live tail
+ *
+ * Clients on the WebSocket server can subscribe to new log and fingerprint
+ * entries as they are inserted:
+ *
+ *   -> { type: 'subscribe', filters: { kinds: ['log', 'fingerprint'], method: 'GET,POST',
+ *                                      path: '/api', visit: '<visit ID>' } }
+ *   <- { type: 'subscribed', filters }
+ *   <- { type: 'entry', kind: 'log' | 'fingerprint', entry }
+ *   -> { type: 'unsubscribe' }
+ *
+ * All filters are optional. `path` is a URL prefix (the origin path for
+ * fingerprints); `method` only applies to log entries.
+ */
+
+const WebSocket = require('ws');
+
+const KINDS = ['log', 'fingerprint'];
+
+// Normalise client-supplied filters; unknown keys are dropped
+function parseSubscription(raw) {
+  const input = raw && typeof raw === 'object' ? raw : {};
+  const filters = { kinds: KINDS.slice() };
+  if (input.kinds !== undefined) {
+    const kinds = [].concat(input.kinds).map(String).filter(k => KINDS.includes(k));
+    if (kinds.length) filters.kinds = kinds;
+  }
+  if (input.method) {
+    const methods = [].concat(input.method).join(',').split(',').map(m => m.trim().toUpperCase()).filter(Boolean);
+    if (methods.length) filters.method = methods;
+  }
+  if (typeof input.path === 'string' && input.path) filters.path = input.path;
+  if (typeof input.visit === 'string' && input.visit) filters.visit = input.visit;
+  return filters;
+}
+
+function matches(filters, kind, entry) {
+  if (!filters.kinds.includes(kind)) return false;
+  if (filters.visit && entry.visitId !== filters.visit) return false;
+  if (kind === 'log') {
+    if (filters.method && !filters.method.includes(entry.method)) return false;
+    if (filters.path && !String(entry.url || '').startsWith(filters.path)) return false;
+  } else if (filters.path && !String(entry.origin || '').startsWith(filters.path)) {
+    return false;
+  }
+  return true;
+}
+
+function createLiveFeed() {
+  const subscribers = new Map();
+
+  return {
+    subscribe(ws, rawFilters) {
+      const filters = parseSubscription(rawFilters);
+      subscribers.set(ws, filters);
+      return filters;
+    },
+
+    unsubscribe(ws) {
+      subscribers.delete(ws);
+    },
+
+    publish(kind, entry) {
+      if (!subscribers.size) return;
+      const message = JSON.stringify({ type: 'entry', kind, entry });
+      for (const [ws, filters] of subscribers) {
+        if (ws.readyState !== WebSocket.OPEN) {
+          subscribers.delete(ws);
+          continue;
+        }
+        if (matches(filters, kind, entry)) ws.send(message);
+      }
+    },
+
+    get size() {
+      return subscribers.size;
+    }
+  };
+}
+
+module.exports = {
+  createLiveFeed,
+  parseSubscription
+};
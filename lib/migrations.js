@@ -0,0 +1,479 @@
+/**
+ * Schema migrations
+ *
+ * Versioned, forward-only migrations for the SQLite database. Applied
+ * versions are recorded in `schema_migrations`; on startup every missing
+ * migration runs in order, each inside its own transaction. A database whose
+ * schema is newer than this code is refused rather than silently used.
+ *
+ * Migrations must not depend on application code that may change later (such
+ * as insert helpers): each one only knows the schema as of its own version.
+ * The early ones are written to be no-ops on databases created by versions
+ * that predate the runner.
+ */
+
+const crypto = require('crypto');
+const { ensureColumns } = require('./schema');
+
+// Run several statements (SQL, or [SQL, params]) in order; stops at the first error
+function execAll(db, statements, done) {
+  const next = i => {
+    if (i >= statements.length) return done(null);
+    const [sql, params = []] = [].concat(statements[i]);
+    db.run(sql, params, err => (err ? done(err) : next(i + 1)));
+  };
+  next(0);
+}
+
+// Migration 10: hash the raw canvas data URLs still stored in fingerprint
+// payloads, keep one image per hash in `canvas_hashes` and replace the URL
+// in the payload with { hash }. Walks the table 200 rows at a time.
+function slimCanvasPayloads(db, afterId, done) {
+  db.all(
+    `SELECT id, timestamp, json_extract(data, '$.canvas') AS canvas FROM fingerprints
+     WHERE id > ? AND json_valid(data) AND json_type(data, '$.canvas') = 'text' ORDER BY id LIMIT 200`,
+    [afterId],
+    (err, rows) => {
+      if (err) return done(err);
+      if (!rows.length) return done(null);
+      const statements = [];
+      for (const row of rows) {
+        if (!row.canvas) {
+          statements.push([`UPDATE fingerprints SET data = json_remove(data, '$.canvas') WHERE id = ?`, [row.id]]);
+          continue;
+        }
+        const hash = crypto.createHash('sha256').update(row.canvas).digest('hex');
+        const image = /^data:image\//.test(row.canvas) && row.canvas.length <= 256 * 1024 ? row.canvas : null;
+        statements.push(
+          [`UPDATE fingerprints SET canvas_hash = ?, data = json_set(data, '$.canvas', json_object('hash', ?))
+            WHERE id = ?`, [hash, hash, row.id]],
+          [`INSERT INTO canvas_hashes(hash, first_seen, last_seen, image, image_bytes) VALUES(?, ?, ?, ?, ?)
+            ON CONFLICT(hash) DO UPDATE SET
+              first_seen = COALESCE(MIN(first_seen, excluded.first_seen), first_seen, excluded.first_seen),
+              last_seen = COALESCE(MAX(last_seen, excluded.last_seen), last_seen, excluded.last_seen),
+              image = COALESCE(image, excluded.image),
+              image_bytes = COALESCE(image_bytes, excluded.image_bytes)`,
+          [hash, row.timestamp, row.timestamp, image, image ? image.length : null]]
+        );
+      }
+      execAll(db, statements, execErr => (execErr ? done(execErr) : slimCanvasPayloads(db, rows[rows.length - 1].id, done)));
+    }
+  );
+}
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'create_logs',
+    up: (db, done) => execAll(db, [`
+      CREATE TABLE IF NOT EXISTS logs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        method TEXT,
+        url TEXT,
+        headers TEXT,
+        body TEXT,
+        timestamp TEXT
+      )
+    `], done)
+  },
+  {
+    version: 2,
+    name: 'logs_visit_id_and_redaction',
+    up: (db, done) => ensureColumns(db, 'logs', { visit_id: 'TEXT', redacted: 'TEXT' }, err => {
+      if (err) return done(err);
+      execAll(db, [
+        'CREATE INDEX IF NOT EXISTS idx_logs_timestamp ON logs(timestamp)',
+        'CREATE INDEX IF NOT EXISTS idx_logs_method ON logs(method)',
+        'CREATE INDEX IF NOT EXISTS idx_logs_visit_id ON logs(visit_id)'
+      ], done);
+    })
+  },
+  {
+    version: 3,
+    name: 'create_fingerprints',
+    up: (db, done) => execAll(db, [`
+      CREATE TABLE IF NOT EXISTS fingerprints (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        schema_version INTEGER NOT NULL,
+        origin TEXT,
+        user_agent TEXT,
+        platform TEXT,
+        timezone TEXT,
+        webdriver INTEGER,
+        headless INTEGER,
+        canvas_hash TEXT,
+        devtools_detected INTEGER,
+        devtools_method TEXT,
+        data TEXT,
+        timestamp TEXT
+      )
+    `], err => {
+      if (err) return done(err);
+      ensureColumns(db, 'fingerprints', {
+        visit_id: 'TEXT',
+        ws_ip: 'TEXT',
+        ws_headers: 'TEXT',
+        consistency_source: 'TEXT',
+        consistency: 'TEXT',
+        mismatch_count: 'INTEGER',
+        risk_score: 'INTEGER',
+        risk_rules: 'TEXT',
+        collector_version: 'TEXT',
+        redacted: 'TEXT'
+      }, colErr => {
+        if (colErr) return done(colErr);
+        execAll(db, [
+          ...['user_agent', 'platform', 'timezone', 'webdriver', 'headless', 'canvas_hash', 'devtools_detected',
+            'timestamp', 'visit_id', 'mismatch_count']
+            .map(column => `CREATE INDEX IF NOT EXISTS idx_fingerprints_${column} ON fingerprints(${column})`),
+          'CREATE INDEX IF NOT EXISTS idx_fingerprints_risk ON fingerprints(risk_score, id)'
+        ], done);
+      });
+    })
+  },
+  {
+    // Early versions stored fingerprints as method='WS' rows in `logs`
+    version: 4,
+    name: 'move_legacy_ws_rows',
+    up: (db, done) => execAll(db, [`
+      INSERT INTO fingerprints(schema_version,origin,user_agent,platform,timezone,webdriver,headless,
+        devtools_detected,devtools_method,data,timestamp)
+      SELECT 1, url,
+        json_extract(body, '$.userAgent'), json_extract(body, '$.platform'), json_extract(body, '$.timezone'),
+        json_extract(body, '$.webdriver'), json_extract(body, '$.headlessUA'),
+        json_extract(body, '$.devtools.detected'), json_extract(body, '$.devtools.method'),
+        json_set(body, '$.origin', url), timestamp
+      FROM logs WHERE method = 'WS' AND json_valid(body)
+      ORDER BY id
+    `, `DELETE FROM logs WHERE method = 'WS' AND json_valid(body)`], done)
+  },
+  {
+    version: 5,
+    name: 'logs_client_ip',
+    up: (db, done) => ensureColumns(db, 'logs', { ip: 'TEXT' }, err => {
+      if (err) return done(err);
+      execAll(db, ['CREATE INDEX IF NOT EXISTS idx_logs_ip ON logs(ip)'], done);
+    })
+  },
+  {
+    version: 6,
+    name: 'logs_response',
+    up: (db, done) => ensureColumns(db, 'logs', {
+      status: 'INTEGER',
+      duration_ms: 'REAL',
+      response_bytes: 'INTEGER',
+      protocol: 'TEXT',
+      tls: 'TEXT'
+    }, err => {
+      if (err) return done(err);
+      execAll(db, [
+        'CREATE INDEX IF NOT EXISTS idx_logs_status ON logs(status)',
+        'CREATE INDEX IF NOT EXISTS idx_logs_duration_ms ON logs(duration_ms)'
+      ], done);
+    })
+  },
+  {
+    // Bodies were JSON-only before; mark existing ones so they are read back as JSON
+    version: 7,
+    name: 'logs_raw_body',
+    up: (db, done) => ensureColumns(db, 'logs', {
+      content_type: 'TEXT',
+      body_encoding: 'TEXT',
+      body_size: 'INTEGER',
+      body_truncated: 'INTEGER'
+    }, err => {
+      if (err) return done(err);
+      execAll(db, [
+        `UPDATE logs SET body_encoding = 'json' WHERE body_encoding IS NULL AND body <> ''`
+      ], done);
+    })
+  },
+  {
+    version: 8,
+    name: 'logs_honeypot_rules',
+    up: (db, done) => ensureColumns(db, 'logs', { honeypot_rules: 'TEXT' }, done)
+  },
+  {
+    // `source` is null for live traffic and "import:har" / "import:ndjson" for imported rows
+    version: 9,
+    name: 'logs_source_and_replays',
+    up: (db, done) => ensureColumns(db, 'logs', { source: 'TEXT' }, err => {
+      if (err) return done(err);
+      execAll(db, [`
+        CREATE TABLE IF NOT EXISTS replays (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          log_id INTEGER NOT NULL,
+          target TEXT NOT NULL,
+          method TEXT,
+          url TEXT,
+          request_headers TEXT,
+          timestamp TEXT,
+          status INTEGER,
+          duration_ms REAL,
+          response_headers TEXT,
+          response_body TEXT,
+          response_body_encoding TEXT,
+          response_content_type TEXT,
+          response_bytes INTEGER,
+          response_truncated INTEGER,
+          error TEXT
+        )
+      `, 'CREATE INDEX IF NOT EXISTS idx_replays_log_id ON replays(log_id)'], done);
+    })
+  },
+  {
+    // Canvas hashes get their own table; payloads keep { hash, stable, ... } instead of the image
+    version: 10,
+    name: 'canvas_hashes',
+    up: (db, done) => ensureColumns(db, 'fingerprints', { canvas_stable: 'INTEGER' }, err => {
+      if (err) return done(err);
+      execAll(db, [`
+        CREATE TABLE IF NOT EXISTS canvas_hashes (
+          hash TEXT PRIMARY KEY,
+          first_seen TEXT,
+          last_seen TEXT,
+          image TEXT,
+          image_bytes INTEGER
+        )
+      `, `
+        INSERT OR IGNORE INTO canvas_hashes(hash, first_seen, last_seen)
+        SELECT canvas_hash, MIN(timestamp), MAX(timestamp) FROM fingerprints
+        WHERE canvas_hash IS NOT NULL GROUP BY canvas_hash
+      `], execErr => (execErr ? done(execErr) : slimCanvasPayloads(db, 0, done)));
+    })
+  },
+  {
+    // Visitor IDs linking fingerprints across visits (lib/identity.js)
+    version: 11,
+    name: 'visitors',
+    up: (db, done) => ensureColumns(db, 'fingerprints', {
+      visitor_id: 'TEXT',
+      visitor_match: 'TEXT',
+      visitor_score: 'REAL',
+      visitor_signals: 'TEXT',
+      visitor_drift: 'TEXT'
+    }, err => {
+      if (err) return done(err);
+      execAll(db, [`
+        CREATE TABLE IF NOT EXISTS visitors (
+          id TEXT PRIMARY KEY,
+          first_seen TEXT,
+          last_seen TEXT
+        )
+      `, `
+        CREATE TABLE IF NOT EXISTS visitor_signals (
+          visitor_id TEXT NOT NULL,
+          signal TEXT NOT NULL,
+          value TEXT NOT NULL,
+          updated_at TEXT,
+          PRIMARY KEY (visitor_id, signal)
+        )
+      `, `
+        CREATE TABLE IF NOT EXISTS visitor_cookies (
+          token TEXT PRIMARY KEY,
+          visitor_id TEXT NOT NULL,
+          first_seen TEXT,
+          last_seen TEXT
+        )
+      `,
+      'CREATE INDEX IF NOT EXISTS idx_visitor_signals_value ON visitor_signals(signal, value)',
+      'CREATE INDEX IF NOT EXISTS idx_visitor_cookies_visitor_id ON visitor_cookies(visitor_id)',
+      'CREATE INDEX IF NOT EXISTS idx_fingerprints_visitor_id ON fingerprints(visitor_id)'
+      ], done);
+    })
+  },
+  {
+    version: 12,
+    name: 'fingerprints_audio_and_fonts',
+    up: (db, done) => ensureColumns(db, 'fingerprints', {
+      audio_hash: 'TEXT',
+      font_hash: 'TEXT',
+      font_count: 'INTEGER'
+    }, err => {
+      if (err) return done(err);
+      execAll(db, [
+        'CREATE INDEX IF NOT EXISTS idx_fingerprints_audio_hash ON fingerprints(audio_hash)',
+        'CREATE INDEX IF NOT EXISTS idx_fingerprints_font_hash ON fingerprints(font_hash)'
+      ], done);
+    })
+  },
+  {
+    version: 13,
+    name: 'fingerprints_network',
+    up: (db, done) => ensureColumns(db, 'fingerprints', {
+      ws_peer_ip: 'TEXT',
+      ws_rtt_ms: 'REAL',
+      webrtc_ips: 'TEXT',
+      network: 'TEXT',
+      network_mismatch_count: 'INTEGER'
+    }, err => {
+      if (err) return done(err);
+      execAll(db, [
+        'CREATE INDEX IF NOT EXISTS idx_fingerprints_ws_peer_ip ON fingerprints(ws_peer_ip)',
+        'CREATE INDEX IF NOT EXISTS idx_fingerprints_network_mismatch_count ON fingerprints(network_mismatch_count)'
+      ], done);
+    })
+  },
+  {
+    version: 14,
+    name: 'create_dom_events',
+    up: (db, done) => execAll(db, [
+      `CREATE TABLE IF NOT EXISTS dom_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        visit_id TEXT NOT NULL,
+        kind TEXT NOT NULL,
+        tag TEXT,
+        node_id TEXT,
+        class_name TEXT,
+        details TEXT,
+        details_bytes INTEGER,
+        truncated INTEGER,
+        page_time TEXT,
+        page_offset_ms REAL,
+        ws_ip TEXT,
+        user_agent TEXT,
+        redacted TEXT,
+        timestamp TEXT NOT NULL
+      )`,
+      'CREATE INDEX IF NOT EXISTS idx_dom_events_visit_id ON dom_events(visit_id)',
+      'CREATE INDEX IF NOT EXISTS idx_dom_events_tag ON dom_events(tag)',
+      'CREATE INDEX IF NOT EXISTS idx_dom_events_timestamp ON dom_events(timestamp)'
+    ], done)
+  },
+  {
+    version: 15,
+    name: 'dom_events_verdicts',
+    up: (db, done) => ensureColumns(db, 'dom_events', {
+      verdict: 'TEXT',
+      category: 'TEXT',
+      signatures: 'TEXT'
+    }, err => {
+      if (err) return done(err);
+      execAll(db, ['CREATE INDEX IF NOT EXISTS idx_dom_events_category ON dom_events(category)'], done);
+    })
+  },
+  {
+    version: 16,
+    name: 'create_extension_probes',
+    up: (db, done) => execAll(db, [
+      `CREATE TABLE IF NOT EXISTS extension_probes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        visit_id TEXT NOT NULL,
+        probe_id TEXT NOT NULL,
+        extension_id TEXT,
+        browser TEXT,
+        status TEXT NOT NULL,
+        duration_ms REAL,
+        ws_ip TEXT,
+        user_agent TEXT,
+        timestamp TEXT NOT NULL
+      )`,
+      'CREATE INDEX IF NOT EXISTS idx_extension_probes_visit_id ON extension_probes(visit_id)',
+      'CREATE INDEX IF NOT EXISTS idx_extension_probes_probe_status ON extension_probes(probe_id, status)',
+      'CREATE INDEX IF NOT EXISTS idx_extension_probes_timestamp ON extension_probes(timestamp)'
+    ], done)
+  },
+  {
+    version: 17,
+    name: 'dom_events_paths',
+    up: (db, done) => ensureColumns(db, 'dom_events', { node_path: 'TEXT' }, err => {
+      if (err) return done(err);
+      execAll(db, ['CREATE INDEX IF NOT EXISTS idx_dom_events_visit_kind ON dom_events(visit_id, kind)'], done);
+    })
+  },
+  {
+    version: 18,
+    name: 'create_bait_events',
+    up: (db, done) => execAll(db, [
+      `CREATE TABLE IF NOT EXISTS bait_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        visit_id TEXT NOT NULL,
+        kind TEXT NOT NULL,
+        scenario TEXT NOT NULL,
+        target TEXT,
+        trap INTEGER NOT NULL DEFAULT 0,
+        value_length INTEGER,
+        input_type TEXT,
+        trusted INTEGER,
+        page_time TEXT,
+        page_offset_ms REAL,
+        since_prev_ms REAL,
+        ws_ip TEXT,
+        user_agent TEXT,
+        timestamp TEXT NOT NULL
+      )`,
+      'CREATE INDEX IF NOT EXISTS idx_bait_events_visit_id ON bait_events(visit_id)',
+      'CREATE INDEX IF NOT EXISTS idx_bait_events_trap ON bait_events(trap)',
+      'CREATE INDEX IF NOT EXISTS idx_bait_events_timestamp ON bait_events(timestamp)'
+    ], done)
+  }
+];
+
+const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Apply pending migrations. Calls back with { version, applied: [names] }.
+function migrate(db, callback) {
+  db.run(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL
+    )
+  `, err => {
+    if (err) return callback(err);
+    db.all('SELECT version FROM schema_migrations', (selErr, rows) => {
+      if (selErr) return callback(selErr);
+      const applied = new Set(rows.map(r => r.version));
+      const current = rows.reduce((max, r) => Math.max(max, r.version), 0);
+      if (current > LATEST_VERSION) {
+        return callback(new Error(
+          `Database schema version ${current} is newer than this server supports (${LATEST_VERSION})`
+        ));
+      }
+
+      const pending = MIGRATIONS.filter(m => !applied.has(m.version));
+      const step = i => {
+        if (i >= pending.length) {
+          return callback(null, { version: LATEST_VERSION, applied: pending.map(m => `${m.version}_${m.name}`) });
+        }
+        const m = pending[i];
+        db.run('BEGIN', beginErr => {
+          if (beginErr) return callback(beginErr);
+          const fail = upErr => db.run('ROLLBACK', () => {
+            callback(new Error(`Migration ${m.version}_${m.name} failed: ${upErr.message}`));
+          });
+          m.up(db, upErr => {
+            if (upErr) return fail(upErr);
+            db.run(
+              'INSERT INTO schema_migrations(version,name,applied_at) VALUES(?,?,?)',
+              [m.version, m.name, new Date().toISOString()],
+              insErr => {
+                if (insErr) return fail(insErr);
+                db.run('COMMIT', commitErr => (commitErr ? fail(commitErr) : step(i + 1)));
+              }
+            );
+          });
+        });
+      };
+      step(0);
+    });
+  });
+}
+
+// Current schema version and migration history, for startup and admin checks
+function schemaStatus(db, callback) {
+  db.all('SELECT version,name,applied_at FROM schema_migrations ORDER BY version', (err, rows) => {
+    if (err) return callback(err);
+    callback(null, {
+      version: rows.reduce((max, r) => Math.max(max, r.version), 0),
+      latest: LATEST_VERSION,
+      migrations: rows.map(r => ({ version: r.version, name: r.name, appliedAt: r.applied_at }))
+    });
+  });
+}
+
+module.exports = {
+  LATEST_VERSION,
+  migrate,
+  schemaStatus
+};
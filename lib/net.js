@@ -0,0 +1,57 @@
+/**
+ * Network helpers for requests arriving through a proxy.
+ *
+ * Forwarding headers are only believed when TRUST_PROXY says which proxy sets
+ * them; otherwise any client could pick its own address:
+ *
+ *   fly   Fly-Client-IP (Fly's edge overwrites it on every request)
+ *   xff   the last X-Forwarded-For hop, the one the proxy in front added
+ *
+ * Unset, the socket peer is the client.
+ */
+
+const TRUST_PROXY_MODES = ['fly', 'xff'];
+
+// TRUST_PROXY as a mode, or null. Throws on an unknown value.
+function trustProxy(env = process.env) {
+  const value = (env.TRUST_PROXY || '').trim().toLowerCase();
+  if (!value) return null;
+  if (!TRUST_PROXY_MODES.includes(value)) {
+    throw new Error(`TRUST_PROXY must be one of ${TRUST_PROXY_MODES.join(', ')} (got "${env.TRUST_PROXY}")`);
+  }
+  return value;
+}
+
+// The client address: from the trusted proxy's header when `trust` is set and it
+// is present, else the socket peer.
+function clientIp(req, trust = null) {
+  const headers = req.headers || {};
+  if (trust === 'fly' && headers['fly-client-ip']) return String(headers['fly-client-ip']).trim();
+  if (trust === 'xff' && headers['x-forwarded-for']) {
+    const hops = String(headers['x-forwarded-for']).split(',').map(hop => hop.trim()).filter(Boolean);
+    if (hops.length) return hops[hops.length - 1];
+  }
+  return (req.socket && req.socket.remoteAddress) || null;
+}
+
+// HTTP version and TLS details of the connection. Behind a trusted proxy the TLS
+// session ends there, so only the forwarded scheme is known.
+function connectionInfo(req, trust = null) {
+  const headers = req.headers || {};
+  const socket = req.socket || {};
+  let tls = null;
+  if (socket.encrypted) {
+    const cipher = typeof socket.getCipher === 'function' ? socket.getCipher() : null;
+    tls = {
+      version: typeof socket.getProtocol === 'function' ? socket.getProtocol() : null,
+      cipher: cipher ? cipher.name : null,
+      servername: socket.servername || null,
+      alpn: socket.alpnProtocol || null
+    };
+  } else if (trust && String(headers['x-forwarded-proto'] || '').split(',')[0].trim() === 'https') {
+    tls = { terminatedBy: 'proxy' };
+  }
+  return { protocol: `HTTP/${req.httpVersion}`, tls };
+}
+
+module.exports = { trustProxy, clientIp, connectionInfo };
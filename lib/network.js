@@ -0,0 +1,148 @@
+/**
+ * Network-level signals
+ *
+ * The collector's opt-in `network` module reports the ICE candidates a
+ * WebRTC peer connection gathered (`webrtc.candidates`, raw candidate lines),
+ * the round-trip time of ping messages over the fingerprint WebSocket
+ * (`wsRtt`) and navigator.connection (`connection`). The server keeps its own
+ * view of the same socket: the TCP peer address, the client address after
+ * proxy headers, and the RTT of WebSocket protocol pings it sends itself.
+ *
+ * Candidates are re-parsed here rather than trusting the client's summary.
+ * Server-reflexive (srflx) candidates carry the public address the browser's
+ * UDP traffic leaves from; when it differs from the address the WebSocket
+ * came from, the HTTP traffic is going through a proxy or VPN that WebRTC
+ * bypasses. Findings use the shape of lib/consistency.js with `server` and
+ * `client` in place of `header` and `js`.
+ */
+
+const net = require('net');
+
+const MAX_CANDIDATES = 50;
+
+// Strip IPv4-mapped prefixes, brackets and zone IDs
+function normalizeIp(value) {
+  if (typeof value !== 'string') return null;
+  let ip = value.trim().replace(/^\[|\]$/g, '').replace(/%.*$/, '');
+  if (/^::ffff:\d+\.\d+\.\d+\.\d+$/i.test(ip)) ip = ip.slice(7);
+  return net.isIP(ip) ? ip.toLowerCase() : null;
+}
+
+// Loopback, link-local, RFC 1918, CGNAT and IPv6 unique-local addresses
+function isPrivateIp(ip) {
+  if (net.isIPv4(ip)) {
+    const [a, b] = ip.split('.').map(Number);
+    return a === 10 || a === 127 || a === 0 || (a === 169 && b === 254) || (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168) || (a === 100 && b >= 64 && b <= 127);
+  }
+  return ip === '::1' || ip === '::' || /^f[cd]/.test(ip) || /^fe[89ab]/.test(ip);
+}
+
+// One "candidate:<foundation> <component> <protocol> <priority> <address> <port> typ <type> ..." line
+function parseCandidate(line) {
+  if (typeof line !== 'string') return null;
+  const parts = line.trim().replace(/^a=/, '').replace(/^candidate:/, '').split(/\s+/);
+  if (parts.length < 8 || parts[6] !== 'typ') return null;
+  const address = parts[4];
+  const mdns = /\.local$/i.test(address);
+  const ip = mdns ? null : normalizeIp(address);
+  if (!mdns && !ip) return null;
+  return {
+    type: parts[7],
+    protocol: parts[2].toLowerCase(),
+    address: mdns ? address : ip,
+    port: Number(parts[5]) || null,
+    mdns,
+    family: ip ? net.isIP(ip) : null,
+    private: ip ? isPrivateIp(ip) : null
+  };
+}
+
+// Sends `count` WebSocket protocol pings one after another and keeps the
+// round-trip times (ms) in `samples`.
+function measureRtt(ws, count = 3) {
+  const probe = { samples: [] };
+  let sentAt = null;
+  const ping = () => {
+    if (ws.readyState !== ws.OPEN) return;
+    sentAt = process.hrtime();
+    ws.ping();
+  };
+  ws.on('pong', () => {
+    if (!sentAt) return;
+    const [seconds, nanos] = process.hrtime(sentAt);
+    sentAt = null;
+    probe.samples.push(Math.round((seconds * 1e3 + nanos / 1e6) * 100) / 100);
+    if (probe.samples.length < count) ping();
+  });
+  ping();
+  return probe;
+}
+
+const minimum = samples => (samples.length ? Math.min(...samples) : null);
+
+// Compare what the collector reported with what the server saw of the socket.
+// `server` is { ip, rttMs }. Returns { publicIps, localIps, mdnsCount, rttMs,
+// clientRttMs, findings }, or null when the payload has no network signals.
+function analyzeNetwork(data, server) {
+  const webrtc = data.webrtc && typeof data.webrtc === 'object' ? data.webrtc : null;
+  const wsRtt = data.wsRtt && typeof data.wsRtt === 'object' ? data.wsRtt : null;
+  if (!webrtc && !wsRtt) return null;
+
+  const findings = [];
+  const add = (code, severity, message, serverValue, clientValue) => {
+    findings.push({ code, severity, message, server: serverValue, client: clientValue });
+  };
+
+  const candidates = webrtc && Array.isArray(webrtc.candidates)
+    ? webrtc.candidates.slice(0, MAX_CANDIDATES).map(parseCandidate).filter(Boolean)
+    : [];
+  const unique = list => [...new Set(list)];
+  const publicIps = unique(candidates.filter(c => c.family && !c.private && c.type !== 'relay').map(c => c.address));
+  const localIps = unique(candidates.filter(c => c.type === 'host' && c.private).map(c => c.address));
+  const mdnsCount = unique(candidates.filter(c => c.mdns).map(c => c.address)).length;
+
+  const ip = normalizeIp(server.ip);
+  if (webrtc && webrtc.supported === false) {
+    add('webrtc_unavailable', 'low', 'RTCPeerConnection is not available', null, webrtc.error || null);
+  } else if (webrtc && !candidates.length && !webrtc.pending) {
+    add('webrtc_no_candidates', 'low', 'WebRTC gathered no ICE candidates; it may be blocked', null,
+      webrtc.error || null);
+  }
+  if (ip && !isPrivateIp(ip)) {
+    const sameFamily = publicIps.filter(a => net.isIP(a) === net.isIP(ip));
+    if (sameFamily.length && !sameFamily.includes(ip)) {
+      add('webrtc_ip_mismatch', 'high', `WebRTC reports public address ${sameFamily.join(', ')} but the ` +
+        `connection came from ${ip}`, ip, sameFamily);
+    }
+  }
+  if (localIps.length) {
+    add('webrtc_local_ip', 'low', 'Host candidates expose local addresses instead of mDNS names', null, localIps);
+  }
+
+  const samples = wsRtt && Array.isArray(wsRtt.samples)
+    ? wsRtt.samples.filter(n => typeof n === 'number' && n >= 0).slice(0, 20)
+    : [];
+  const clientRttMs = minimum(samples);
+  const rttMs = typeof server.rttMs === 'number' ? server.rttMs : null;
+  // A page-level round trip cannot beat the protocol-level one by much
+  if (clientRttMs !== null && rttMs !== null && clientRttMs < rttMs / 2 - 20) {
+    add('rtt_inconsistent', 'medium', `Collector measured ${clientRttMs} ms round trips but the server ` +
+      `measured ${rttMs} ms`, rttMs, clientRttMs);
+  }
+  // The browser's own RTT estimate is far below what the server sees: the traffic takes a detour
+  const connectionRtt = data.connection && typeof data.connection.rtt === 'number' ? data.connection.rtt : null;
+  if (connectionRtt && rttMs !== null && rttMs > Math.max(connectionRtt * 3, connectionRtt + 150)) {
+    add('rtt_detour', 'medium', `Server round trip of ${rttMs} ms is well above navigator.connection.rtt ` +
+      `(${connectionRtt} ms)`, rttMs, connectionRtt);
+  }
+
+  return { publicIps, localIps, mdnsCount, rttMs, clientRttMs, findings };
+}
+
+module.exports = {
+  normalizeIp,
+  parseCandidate,
+  measureRtt,
+  analyzeNetwork
+};
@@ -0,0 +1,153 @@
+/**
+ * Extension probes
+ *
+ * The '/dom' page tests for installed extensions by fetching one of their
+ * web-accessible resources: the fetch only succeeds when the extension is
+ * installed. The probes come from config/extension-probes.json (override the
+ * file with EXTENSION_PROBES_PATH), served to the page at '/dom/probes':
+ *
+ *   { "id": "claude", "name": "Claude in Chrome", "browser": "chromium",
+ *     "extensionId": "fcoeoabgfenejglbffodgkkbkcdhcgfn",
+ *     "resource": "assets/agent-visual-indicator.js-Ct7LqXhp.js" }
+ *
+ * `browser` is the family the extension ID belongs to; the page skips probes
+ * for other families. Firefox and Safari assign extension IDs per install, so
+ * in practice only Chromium probes are useful.
+ *
+ * The page reports what it found over the fingerprint WebSocket:
+ *
+ *   { type: 'extension-probes', visitId, browser, results: [{ id, status, durationMs }] }
+ *
+ * and each result becomes an `extension_probes` row under the visit ID.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { isVisitId } = require('./visits');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'extension-probes.json');
+const SCHEMES = { chromium: 'chrome-extension', firefox: 'moz-extension', safari: 'safari-web-extension' };
+const STATUSES = ['detected', 'not-detected', 'timeout', 'skipped'];
+
+// Read and validate a probes file. Throws with the offending probe on bad config.
+function loadProbes(file = process.env.EXTENSION_PROBES_PATH || DEFAULT_CONFIG_PATH) {
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!config || !Array.isArray(config.probes)) throw new Error(`${file}: expected { "probes": [...] }`);
+  const seen = new Set();
+  return config.probes.map((probe, i) => {
+    const where = `${file}: probes[${i}]`;
+    if (typeof probe.id !== 'string' || !/^[\w-]+$/.test(probe.id)) throw new Error(`${where}: id is required`);
+    if (seen.has(probe.id)) throw new Error(`${where}: duplicate id ${probe.id}`);
+    seen.add(probe.id);
+    if (!SCHEMES[probe.browser]) throw new Error(`${where}: browser must be one of ${Object.keys(SCHEMES).join(', ')}`);
+    if (typeof probe.extensionId !== 'string' || !/^[a-z0-9-]+$/i.test(probe.extensionId)) {
+      throw new Error(`${where}: extensionId is required`);
+    }
+    if (typeof probe.resource !== 'string' || !probe.resource.replace(/^\/+/, '')) {
+      throw new Error(`${where}: resource is required`);
+    }
+    const resource = probe.resource.replace(/^\/+/, '');
+    return {
+      id: probe.id,
+      name: probe.name || probe.id,
+      browser: probe.browser,
+      extensionId: probe.extensionId,
+      resource,
+      url: `${SCHEMES[probe.browser]}://${probe.extensionId}/${resource}`
+    };
+  });
+}
+
+// The registry as sent to the page
+function formatProbes(probes) {
+  return {
+    probes: probes.map(p => ({ id: p.id, name: p.name, browser: p.browser, extensionId: p.extensionId, url: p.url }))
+  };
+}
+
+// Validate one results message against the registry. Returns { visitId, browser, results }
+// with the results for known probes, or null when there is nothing to store.
+function parseProbeResults(probes, msg) {
+  if (!isVisitId(msg.visitId) || !Array.isArray(msg.results)) return null;
+  const byId = new Map(probes.map(p => [p.id, p]));
+  const seen = new Set();
+  const results = [];
+  for (const r of msg.results) {
+    if (!r || !byId.has(r.id) || seen.has(r.id) || !STATUSES.includes(r.status)) continue;
+    seen.add(r.id);
+    results.push({
+      probe: byId.get(r.id),
+      status: r.status,
+      durationMs: typeof r.durationMs === 'number' && r.durationMs >= 0 ? r.durationMs : null
+    });
+  }
+  if (!results.length) return null;
+  const browser = typeof msg.browser === 'string' ? msg.browser.slice(0, 32) : null;
+  return { visitId: msg.visitId, browser, results };
+}
+
+// Store parsed results. `meta`: { timestamp, wsIp, userAgent }
+function insertProbeResults(db, batch, meta, callback) {
+  const rows = batch.results.map(r => [
+    batch.visitId,
+    r.probe.id,
+    r.probe.extensionId,
+    batch.browser,
+    r.status,
+    r.durationMs,
+    meta.wsIp || null,
+    typeof meta.userAgent === 'string' ? meta.userAgent.slice(0, 512) : null,
+    meta.timestamp
+  ]);
+  db.run(
+    `INSERT INTO extension_probes(visit_id, probe_id, extension_id, browser, status, duration_ms, ws_ip, user_agent,
+       timestamp) VALUES ${rows.map(() => '(?, ?, ?, ?, ?, ?, ?, ?, ?)').join(',')}`,
+    [].concat(...rows),
+    callback
+  );
+}
+
+// Per probe: visits that ran it, how many found the extension, and when it was last found
+function probeSummary(db, callback) {
+  db.all(
+    `SELECT probe_id, COUNT(DISTINCT CASE WHEN status != 'skipped' THEN visit_id END) AS probed,
+       COUNT(DISTINCT CASE WHEN status = 'detected' THEN visit_id END) AS detected,
+       MAX(CASE WHEN status = 'detected' THEN timestamp END) AS last_detected
+     FROM extension_probes GROUP BY probe_id`,
+    callback
+  );
+}
+
+// Latest result of each probe for one visit
+function loadProbeResults(db, visitId, callback) {
+  db.all(
+    `SELECT probe_id, extension_id, browser, status, duration_ms, timestamp FROM extension_probes
+     WHERE id IN (SELECT MAX(id) FROM extension_probes WHERE visit_id = ? GROUP BY probe_id) ORDER BY probe_id`,
+    [visitId],
+    callback
+  );
+}
+
+// Shape probe rows for the JSON API, naming them from the registry
+function formatProbeResults(probes, rows) {
+  const names = new Map(probes.map(p => [p.id, p.name]));
+  return rows.map(r => ({
+    id: r.probe_id,
+    name: names.get(r.probe_id) || r.probe_id,
+    extensionId: r.extension_id,
+    browser: r.browser,
+    status: r.status,
+    durationMs: r.duration_ms,
+    timestamp: r.timestamp
+  }));
+}
+
+module.exports = {
+  loadProbes,
+  formatProbes,
+  parseProbeResults,
+  insertProbeResults,
+  probeSummary,
+  loadProbeResults,
+  formatProbeResults
+};
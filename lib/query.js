@@ -0,0 +1,335 @@
+/**
+ * Log query helpers
+ *
+ * Parses the filter and pagination parameters accepted by '/logs' and runs
+ * bounded, cursor-paginated reads against the `logs` table. Pages are ordered
+ * newest first and the cursor is the id of the last row on the previous page,
+ * so pages stay stable while new requests keep arriving. Supported parameters:
+ *
+ *   method=GET,POST  urlPrefix=/api  urlRegex=\.php$  since=<ISO>  until=<ISO>
+ *   header=user-agent  headerValue=curl  body=<substring>  visit=<visit ID>  limit=50 (max 500)
+ *   status=404,5xx  minDuration=<ms>  minBytes=<response bytes>  ip=<client IP>
+ *   honeypot=<rule ID>|any  cursor=<X-Next-Cursor from the previous response>
+ *
+ * urlRegex is matched with RE2, which runs in time linear in the URL: no
+ * lookarounds or backreferences, and patterns are capped at 256 characters.
+ *
+ * The JSON API answers with a bare array of formatLogRow() rows and sends the
+ * next page's cursor in the X-Next-Cursor and Link headers; envelope=1 wraps
+ * the page as { logs, page: { limit, nextCursor } } instead. The exports
+ * (lib/export.js) take the same filters.
+ */
+
+const RE2 = require('re2');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+// URL regex filters run in JS, so cap how many rows one page may scan
+const REGEX_BATCH_SIZE = 250;
+const REGEX_SCAN_LIMIT = 5000;
+const MAX_REGEX_LENGTH = 256;
+
+const HEADER_NAME_RE = /^[!#$%&'*+.^_`|~0-9a-z-]+$/i;
+
+// Query-string keys that make up a filter (everything except pagination)
+const FILTER_KEYS = ['method', 'urlPrefix', 'urlRegex', 'since', 'until', 'header', 'headerValue', 'body', 'visit',
+  'status', 'minDuration', 'minBytes', 'ip', 'honeypot'];
+
+// Columns read for every log row
+const LOG_COLUMNS = 'id,method,url,headers,body,timestamp,visit_id,redacted,ip,status,duration_ms,response_bytes,' +
+  'protocol,tls,content_type,body_encoding,body_size,body_truncated,honeypot_rules,source';
+
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, ch => '\\' + ch);
+}
+
+function firstValue(value) {
+  return Array.isArray(value) ? value[0] : value;
+}
+
+function parseTimestamp(value, name, errors) {
+  const ms = Date.parse(value);
+  if (Number.isNaN(ms)) {
+    errors.push(`${name} must be an ISO 8601 timestamp`);
+    return null;
+  }
+  return new Date(ms).toISOString();
+}
+
+// Validate query-string parameters into a normalised filter object.
+// Returns { filters, errors }; callers should reject the request if errors is non-empty.
+function parseLogQuery(query) {
+  const errors = [];
+  const filters = { limit: DEFAULT_LIMIT, cursor: null };
+  const get = key => {
+    const value = firstValue(query[key]);
+    return typeof value === 'string' && value.trim() !== '' ? value.trim() : null;
+  };
+
+  const method = get('method');
+  if (method) {
+    filters.method = method.split(',').map(m => m.trim().toUpperCase()).filter(Boolean);
+  }
+
+  const urlPrefix = get('urlPrefix');
+  if (urlPrefix) filters.urlPrefix = urlPrefix;
+
+  const urlRegex = get('urlRegex');
+  if (urlRegex && urlRegex.length > MAX_REGEX_LENGTH) {
+    errors.push(`urlRegex must be at most ${MAX_REGEX_LENGTH} characters`);
+  } else if (urlRegex) {
+    try {
+      filters.urlRegex = new RE2(urlRegex);
+    } catch (e) {
+      errors.push(`urlRegex is not a valid regular expression: ${e.message}`);
+    }
+  }
+
+  const since = get('since');
+  if (since) filters.since = parseTimestamp(since, 'since', errors);
+  const until = get('until');
+  if (until) filters.until = parseTimestamp(until, 'until', errors);
+
+  const header = get('header');
+  if (header) {
+    if (HEADER_NAME_RE.test(header)) filters.header = header.toLowerCase();
+    else errors.push('header must be a valid HTTP header name');
+  }
+  const headerValue = get('headerValue');
+  if (headerValue) {
+    if (filters.header || header) filters.headerValue = headerValue;
+    else errors.push('headerValue requires header');
+  }
+
+  const body = get('body');
+  if (body) filters.body = body;
+
+  const visit = get('visit');
+  if (visit) filters.visit = visit;
+
+  // status=404, status=4xx or a comma-separated mix of both
+  const status = get('status');
+  if (status) {
+    filters.status = [];
+    for (const part of status.split(',').map(s => s.trim().toLowerCase()).filter(Boolean)) {
+      if (/^[1-5]\d\d$/.test(part)) filters.status.push([Number(part), Number(part)]);
+      else if (/^[1-5]xx$/.test(part)) filters.status.push([Number(part[0]) * 100, Number(part[0]) * 100 + 99]);
+      else errors.push('status must be a status code (404) or class (4xx), comma-separated');
+    }
+  }
+
+  const minDuration = get('minDuration');
+  if (minDuration) {
+    const n = Number(minDuration);
+    if (!Number.isFinite(n) || n < 0) errors.push('minDuration must be a non-negative number of milliseconds');
+    else filters.minDuration = n;
+  }
+
+  const minBytes = get('minBytes');
+  if (minBytes) {
+    const n = Number(minBytes);
+    if (!Number.isInteger(n) || n < 0) errors.push('minBytes must be a non-negative integer');
+    else filters.minBytes = n;
+  }
+
+  const ip = get('ip');
+  if (ip) filters.ip = ip;
+
+  // honeypot=<rule id>, or honeypot=any for requests that matched any rule
+  const honeypot = get('honeypot');
+  if (honeypot) filters.honeypot = honeypot;
+
+  const limit = get('limit');
+  if (limit) {
+    const n = Number(limit);
+    if (!Number.isInteger(n) || n < 1) errors.push('limit must be a positive integer');
+    else filters.limit = Math.min(n, MAX_LIMIT);
+  }
+
+  const cursor = get('cursor');
+  if (cursor) {
+    const n = Number(cursor);
+    if (!Number.isInteger(n) || n < 1) errors.push('cursor must be a positive integer');
+    else filters.cursor = n;
+  }
+
+  return { filters, errors };
+}
+
+// Build the SQL WHERE clause for everything except the URL regex and cursor
+function buildLogWhere(filters) {
+  const clauses = [];
+  const params = [];
+
+  if (filters.method && filters.method.length) {
+    clauses.push(`method IN (${filters.method.map(() => '?').join(',')})`);
+    params.push(...filters.method);
+  }
+  if (filters.urlPrefix) {
+    clauses.push(`url LIKE ? ESCAPE '\\'`);
+    params.push(escapeLike(filters.urlPrefix) + '%');
+  }
+  if (filters.since) {
+    clauses.push('timestamp >= ?');
+    params.push(filters.since);
+  }
+  if (filters.until) {
+    clauses.push('timestamp <= ?');
+    params.push(filters.until);
+  }
+  if (filters.header) {
+    const jsonPath = `$."${filters.header}"`;
+    if (filters.headerValue) {
+      clauses.push(`json_extract(headers, ?) LIKE ? ESCAPE '\\'`);
+      params.push(jsonPath, '%' + escapeLike(filters.headerValue) + '%');
+    } else {
+      clauses.push('json_extract(headers, ?) IS NOT NULL');
+      params.push(jsonPath);
+    }
+  }
+  if (filters.body) {
+    clauses.push(`body LIKE ? ESCAPE '\\'`);
+    params.push('%' + escapeLike(filters.body) + '%');
+  }
+  if (filters.visit) {
+    clauses.push('visit_id = ?');
+    params.push(filters.visit);
+  }
+  if (filters.status && filters.status.length) {
+    clauses.push(`(${filters.status.map(() => 'status BETWEEN ? AND ?').join(' OR ')})`);
+    for (const range of filters.status) params.push(...range);
+  }
+  if (filters.minDuration !== undefined) {
+    clauses.push('duration_ms >= ?');
+    params.push(filters.minDuration);
+  }
+  if (filters.minBytes !== undefined) {
+    clauses.push('response_bytes >= ?');
+    params.push(filters.minBytes);
+  }
+  if (filters.ip) {
+    clauses.push('ip = ?');
+    params.push(filters.ip);
+  }
+  if (filters.honeypot === 'any') {
+    clauses.push('honeypot_rules IS NOT NULL');
+  } else if (filters.honeypot) {
+    clauses.push('EXISTS (SELECT 1 FROM json_each(logs.honeypot_rules) WHERE value = ?)');
+    params.push(filters.honeypot);
+  }
+
+  return { clauses, params };
+}
+
+function selectPage(db, filters, cursor, size, callback) {
+  const { clauses, params } = buildLogWhere(filters);
+  if (cursor) {
+    clauses.push('id < ?');
+    params.push(cursor);
+  }
+  const where = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+  db.all(
+    `SELECT ${LOG_COLUMNS} FROM logs ${where} ORDER BY id DESC LIMIT ?`,
+    [...params, size],
+    callback
+  );
+}
+
+// Fetch one page of logs. Calls back with { rows, nextCursor }; nextCursor is
+// null when there are no older matching rows.
+function queryLogs(db, filters, callback) {
+  const { limit } = filters;
+
+  if (!filters.urlRegex) {
+    return selectPage(db, filters, filters.cursor, limit + 1, (err, rows) => {
+      if (err) return callback(err);
+      const hasMore = rows.length > limit;
+      const page = hasMore ? rows.slice(0, limit) : rows;
+      callback(null, { rows: page, nextCursor: hasMore ? page[page.length - 1].id : null });
+    });
+  }
+
+  // Regex filtering: scan newest-first in batches until the page is full,
+  // the table is exhausted or the scan budget runs out.
+  const matched = [];
+  let scanned = 0;
+  const step = cursor => {
+    selectPage(db, filters, cursor, REGEX_BATCH_SIZE, (err, rows) => {
+      if (err) return callback(err);
+      for (const row of rows) {
+        scanned++;
+        if (filters.urlRegex.test(row.url || '')) {
+          matched.push(row);
+          if (matched.length > limit) {
+            const page = matched.slice(0, limit);
+            return callback(null, { rows: page, nextCursor: page[page.length - 1].id });
+          }
+        }
+      }
+      const lastId = rows.length ? rows[rows.length - 1].id : null;
+      if (rows.length < REGEX_BATCH_SIZE) return callback(null, { rows: matched, nextCursor: null });
+      if (scanned >= REGEX_SCAN_LIMIT) return callback(null, { rows: matched, nextCursor: lastId });
+      step(lastId);
+    });
+  };
+  step(filters.cursor);
+}
+
+function getLog(db, id, callback) {
+  db.get(`SELECT ${LOG_COLUMNS} FROM logs WHERE id = ?`, [id], callback);
+}
+
+// Shape a `logs` row for the JSON API
+function formatLogRow(r) {
+  return {
+    id: r.id,
+    method: r.method,
+    url: r.url,
+    headers: JSON.parse(r.headers || '{}'),
+    body: !r.body ? {} : r.body_encoding === 'json' ? JSON.parse(r.body) : r.body,
+    bodyEncoding: r.body ? r.body_encoding : null,
+    contentType: r.content_type || null,
+    bodySize: r.body_size === undefined ? null : r.body_size,
+    bodyTruncated: Boolean(r.body_truncated),
+    timestamp: r.timestamp,
+    visitId: r.visit_id || null,
+    ip: r.ip || null,
+    status: r.status === undefined ? null : r.status,
+    durationMs: r.duration_ms === undefined ? null : r.duration_ms,
+    responseBytes: r.response_bytes === undefined ? null : r.response_bytes,
+    protocol: r.protocol || null,
+    tls: r.tls ? JSON.parse(r.tls) : null,
+    honeypotRules: r.honeypot_rules ? JSON.parse(r.honeypot_rules) : [],
+    source: r.source || null,
+    redacted: r.redacted ? JSON.parse(r.redacted) : []
+  };
+}
+
+// Rebuild a query string carrying the active filters, for pagination links
+function filterQueryString(query, overrides = {}) {
+  const params = new URLSearchParams();
+  for (const key of [...FILTER_KEYS, 'limit']) {
+    const value = firstValue(query[key]);
+    if (typeof value === 'string' && value !== '') params.set(key, value);
+  }
+  for (const [key, value] of Object.entries(overrides)) {
+    if (value === null || value === undefined) params.delete(key);
+    else params.set(key, String(value));
+  }
+  const qs = params.toString();
+  return qs ? `?${qs}` : '';
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  FILTER_KEYS,
+  LOG_COLUMNS,
+  parseLogQuery,
+  buildLogWhere,
+  queryLogs,
+  getLog,
+  formatLogRow,
+  filterQueryString
+};
@@ -0,0 +1,72 @@
+/**
+ * WebSocket submission quota
+ *
+ * Anyone can send fingerprints, DOM and bait events, probe results and canvas
+ * images over the WebSocket, and each of them becomes rows on disk. So that one
+ * client cannot fill the disk between retention runs, every stored item is
+ * charged to the sender's IP (lib/net.js clientIp) for a fixed window:
+ *
+ *   QUOTA = { windowMs: 1 hour, items: 5000, bytes: 32 MiB }
+ *
+ * An item is one fingerprint, one DOM or bait event, one probe message or one
+ * canvas image; its bytes are its JSON size. What does not fit is dropped until
+ * the window ends; reconnecting does not help. Frames are also capped at
+ * MAX_MESSAGE_BYTES, above which ws closes the connection.
+ */
+
+const MAX_MESSAGE_BYTES = 1024 * 1024;
+const QUOTA = { windowMs: 60 * 60 * 1000, items: 5000, bytes: 32 * 1024 * 1024 };
+
+// Per-client counters. `take(key, items, sizeOf)` returns the leading items that still fit in
+// the key's window and drops the rest; `exhausted(key)` is true once something was dropped.
+function createQuota(limits = QUOTA) {
+  const clients = new Map();
+  let lastSweep = Date.now();
+
+  // Forget clients whose window is over, so the map does not grow with every address seen
+  const sweep = time => {
+    if (time - lastSweep < limits.windowMs) return;
+    lastSweep = time;
+    for (const [key, client] of clients) {
+      if (time - client.start >= limits.windowMs) clients.delete(key);
+    }
+  };
+
+  const current = key => {
+    const time = Date.now();
+    sweep(time);
+    let client = clients.get(key);
+    if (!client || time - client.start >= limits.windowMs) {
+      client = { start: time, items: 0, bytes: 0, exhausted: false };
+      clients.set(key, client);
+    }
+    return client;
+  };
+
+  return {
+    take(key, items, sizeOf) {
+      const client = current(key);
+      const kept = [];
+      for (const item of items) {
+        const size = sizeOf(item);
+        if (client.items + 1 > limits.items || client.bytes + size > limits.bytes) {
+          client.exhausted = true;
+          break;
+        }
+        client.items += 1;
+        client.bytes += size;
+        kept.push(item);
+      }
+      return kept;
+    },
+    exhausted(key) {
+      return current(key).exhausted;
+    }
+  };
+}
+
+module.exports = {
+  MAX_MESSAGE_BYTES,
+  QUOTA,
+  createQuota
+};
@@ -0,0 +1,109 @@
+/**
+ * Redaction on ingest
+ *
+ * Masks or hashes sensitive header values and JSON body fields before a row
+ * is written. Rules come from config/redaction.json (override the file with
+ * REDACTION_CONFIG_PATH):
+ *
+ *   mode       "mask" replaces values with "[REDACTED]"; "hash" replaces them with
+ *              "sha256:<hex>" (salted with REDACTION_HASH_SALT) so equal values
+ *              can still be correlated
+ *   headers    header names, case-insensitive
+ *   bodyPaths  dotted paths into JSON bodies and fingerprint payloads; "*" matches
+ *              one key or array index, "**" any depth (e.g. "**.password")
+ *
+ * Every redaction is reported back as "header:<name>" or "body:<path>" so the
+ * row can record what was removed.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'redaction.json');
+const MASK = '[REDACTED]';
+
+function loadRedactionConfig(file = process.env.REDACTION_CONFIG_PATH || DEFAULT_CONFIG_PATH) {
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const mode = config.mode || 'mask';
+  if (mode !== 'mask' && mode !== 'hash') throw new Error(`${file}: mode must be "mask" or "hash"`);
+  if (config.headers && !Array.isArray(config.headers)) throw new Error(`${file}: headers must be an array`);
+  if (config.bodyPaths && !Array.isArray(config.bodyPaths)) throw new Error(`${file}: bodyPaths must be an array`);
+  return {
+    mode,
+    headers: (config.headers || []).map(h => String(h).toLowerCase()),
+    bodyPaths: (config.bodyPaths || []).map(p => String(p).split('.'))
+  };
+}
+
+function createRedactor(config, salt = process.env.REDACTION_HASH_SALT || '') {
+  const headerSet = new Set(config.headers);
+
+  function replace(value) {
+    if (config.mode === 'mask') return MASK;
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return 'sha256:' + crypto.createHash('sha256').update(salt + text).digest('hex');
+  }
+
+  // Returns { headers, redacted } with a copy of `headers` if anything changed
+  function redactHeaders(headers) {
+    const redacted = [];
+    if (!headers || typeof headers !== 'object') return { headers, redacted };
+    const out = {};
+    for (const [name, value] of Object.entries(headers)) {
+      if (headerSet.has(name.toLowerCase()) && value !== undefined && value !== '') {
+        out[name] = Array.isArray(value) ? value.map(replace) : replace(value);
+        redacted.push(`header:${name.toLowerCase()}`);
+      } else {
+        out[name] = value;
+      }
+    }
+    return { headers: redacted.length ? out : headers, redacted };
+  }
+
+  // Walk `node` along `segments`, replacing matched leaves in place. `done` holds the
+  // leaves already replaced, so a leaf several paths match is only hashed once.
+  function apply(node, segments, trail, redacted, done) {
+    if (!node || typeof node !== 'object' || !segments.length) return;
+    const [head, ...rest] = segments;
+    if (head === '**') {
+      apply(node, rest, trail, redacted, done);
+      for (const key of Object.keys(node)) apply(node[key], segments, trail.concat(key), redacted, done);
+      return;
+    }
+    const keys = head === '*' ? Object.keys(node) : Object.prototype.hasOwnProperty.call(node, head) ? [head] : [];
+    for (const key of keys) {
+      const leaf = trail.concat(key);
+      if (rest.length) {
+        apply(node[key], rest, leaf, redacted, done);
+      } else if (node[key] !== undefined && node[key] !== null && node[key] !== '' &&
+        !done.has(JSON.stringify(leaf))) {
+        node[key] = replace(node[key]);
+        done.add(JSON.stringify(leaf));
+        redacted.push(leaf.join('.'));
+      }
+    }
+  }
+
+  // Returns { value, redacted } with a redacted deep copy of a JSON value
+  function redactJson(value, prefix = 'body') {
+    const redacted = [];
+    if (!value || typeof value !== 'object' || !config.bodyPaths.length) return { value, redacted };
+    const copy = JSON.parse(JSON.stringify(value));
+    const paths = [];
+    const done = new Set();
+    for (const segments of config.bodyPaths) apply(copy, segments, [], paths, done);
+    for (const p of new Set(paths)) redacted.push(`${prefix}:${p}`);
+    return { value: redacted.length ? copy : value, redacted };
+  }
+
+  // Whether any body fields are redacted at all
+  const redactsBodies = config.bodyPaths.length > 0;
+
+  return { redactHeaders, redactJson, redactsBodies };
+}
+
+module.exports = {
+  loadRedactionConfig,
+  createRedactor
+};
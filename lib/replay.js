@@ -0,0 +1,181 @@
+/**
+ * Request replay
+ *
+ * Re-sends a logged request (method, path and query, headers, body) to one of
+ * the base URLs in REPLAY_TARGETS (comma-separated; the first is the default),
+ * e.g. a local stand-in server, and records the response in `replays` next to
+ * the original row. Replay is disabled while REPLAY_TARGETS is unset.
+ *
+ *   REPLAY_TIMEOUT_MS  give up on the target after this long (default 10 s)
+ *
+ * Redaction cannot be undone: headers that were redacted are left out and
+ * redacted body fields are sent masked.
+ */
+
+const http = require('http');
+const https = require('https');
+const { bodyBuffer, serializeRawBody } = require('./body');
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+// Not forwarded: connection-level headers, and ones recomputed for the target
+const SKIP_HEADERS = ['connection', 'keep-alive', 'proxy-connection', 'transfer-encoding', 'upgrade', 'te',
+  'trailer', 'host', 'content-length'];
+
+const REPLAY_COLUMNS = 'id,log_id,target,method,url,request_headers,timestamp,status,duration_ms,response_headers,' +
+  'response_body,response_body_encoding,response_content_type,response_bytes,response_truncated,error';
+
+// REPLAY_TARGETS as normalised base URLs; throws on anything but http(s) URLs
+function parseReplayTargets(value = process.env.REPLAY_TARGETS) {
+  return String(value || '').split(',').map(s => s.trim()).filter(Boolean).map(target => {
+    let url;
+    try {
+      url = new URL(target);
+    } catch (_e) {
+      throw new Error(`REPLAY_TARGETS: invalid URL ${target}`);
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      throw new Error(`REPLAY_TARGETS: ${target} must be an http or https URL`);
+    }
+    return url.origin + url.pathname.replace(/\/+$/, '');
+  });
+}
+
+// `options`: { targets, maxResponseBytes, timeoutMs }
+function createReplayer(db, options) {
+  const { targets, maxResponseBytes } = options;
+  const timeoutMs = options.timeoutMs || Number(process.env.REPLAY_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+
+  function record(row, callback) {
+    const columns = Object.keys(row);
+    db.run(
+      `INSERT INTO replays(${columns.join(',')}) VALUES(${columns.map(() => '?').join(',')})`,
+      Object.values(row),
+      function (err) {
+        if (err) return callback(err);
+        callback(null, { id: this.lastID, ...row });
+      }
+    );
+  }
+
+  // Replay one `logs` row. Calls back with the stored `replays` row; target
+  // errors and timeouts are recorded on the row, not passed as `err`.
+  function replay(log, target, callback) {
+    if (!targets.length) {
+      return callback(Object.assign(new Error('Replay is disabled; set REPLAY_TARGETS'), { status: 503 }));
+    }
+    const base = target || targets[0];
+    if (!targets.includes(base)) {
+      const err = new Error(`Unknown replay target; use one of ${targets.join(', ')}`);
+      return callback(Object.assign(err, { status: 400 }));
+    }
+
+    let url;
+    try {
+      url = new URL(base + log.url);
+    } catch (_e) {
+      return callback(Object.assign(new Error(`Cannot replay URL ${log.url}`), { status: 400 }));
+    }
+    const redacted = new Set(log.redacted ? JSON.parse(log.redacted) : []);
+    const headers = {};
+    for (const [name, value] of Object.entries(JSON.parse(log.headers || '{}'))) {
+      if (!SKIP_HEADERS.includes(name) && !redacted.has(`header:${name}`)) headers[name] = value;
+    }
+    const body = bodyBuffer(log.body, log.body_encoding);
+    if (body.length || !['GET', 'HEAD', 'DELETE', 'OPTIONS'].includes(log.method)) {
+      headers['content-length'] = String(body.length);
+    }
+
+    const started = process.hrtime();
+    const row = {
+      log_id: log.id,
+      target: base,
+      method: log.method,
+      url: url.href,
+      request_headers: JSON.stringify(headers),
+      timestamp: new Date().toISOString()
+    };
+    const elapsed = () => {
+      const [seconds, nanos] = process.hrtime(started);
+      return Math.round((seconds * 1e3 + nanos / 1e6) * 100) / 100;
+    };
+
+    let settled = false;
+    const settle = fields => {
+      if (settled) return;
+      settled = true;
+      record({ ...row, duration_ms: elapsed(), ...fields }, callback);
+    };
+
+    const client = url.protocol === 'https:' ? https : http;
+    const req = client.request(url, { method: log.method, headers, timeout: timeoutMs }, res => {
+      const chunks = [];
+      let kept = 0;
+      let size = 0;
+      res.on('data', chunk => {
+        size += chunk.length;
+        if (kept < maxResponseBytes) {
+          const slice = chunk.slice(0, maxResponseBytes - kept);
+          chunks.push(slice);
+          kept += slice.length;
+        }
+      });
+      res.on('end', () => {
+        const stored = serializeRawBody(Buffer.concat(chunks), {
+          contentType: res.headers['content-type'] || null,
+          size,
+          truncated: size > kept
+        }, null);
+        settle({
+          status: res.statusCode,
+          response_headers: JSON.stringify(res.headers),
+          response_body: stored.body,
+          response_body_encoding: stored.encoding,
+          response_content_type: stored.contentType,
+          response_bytes: size,
+          response_truncated: stored.truncated ? 1 : 0
+        });
+      });
+      res.on('error', err => settle({ status: res.statusCode, error: err.message }));
+    });
+    req.on('timeout', () => req.destroy(new Error(`No response within ${timeoutMs} ms`)));
+    req.on('error', err => settle({ error: err.message }));
+    req.end(body);
+  }
+
+  function listReplays(logId, callback) {
+    db.all(`SELECT ${REPLAY_COLUMNS} FROM replays WHERE log_id = ? ORDER BY id DESC`, [logId], callback);
+  }
+
+  return { targets, replay, listReplays };
+}
+
+// Shape a `replays` row for the JSON API
+function formatReplayRow(r) {
+  return {
+    id: r.id,
+    logId: r.log_id,
+    target: r.target,
+    method: r.method,
+    url: r.url,
+    requestHeaders: r.request_headers ? JSON.parse(r.request_headers) : {},
+    timestamp: r.timestamp,
+    durationMs: r.duration_ms,
+    error: r.error || null,
+    response: r.status === null || r.status === undefined ? null : {
+      status: r.status,
+      headers: r.response_headers ? JSON.parse(r.response_headers) : {},
+      contentType: r.response_content_type || null,
+      body: !r.response_body ? '' : r.response_body_encoding === 'json' ? JSON.parse(r.response_body) : r.response_body,
+      bodyEncoding: r.response_body_encoding || null,
+      bytes: r.response_bytes,
+      truncated: Boolean(r.response_truncated)
+    }
+  };
+}
+
+module.exports = {
+  parseReplayTargets,
+  createReplayer,
+  formatReplayRow
+};
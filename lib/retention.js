@@ -0,0 +1,264 @@
+/**
+ * Retention and pruning
+ *
+ * A background job that keeps the database bounded. Policies come from
+ * config/retention.json (override the file with RETENTION_CONFIG_PATH):
+ *
+ *   intervalMinutes      how often the job runs (0 = only when triggered)
+ *   maxDatabaseMB        delete the oldest rows, of either kind, until the
+ *                        live data fits (0 = no limit)
+ *   vacuumIntervalHours  run VACUUM after a prune at most this often to give
+ *                        freed pages back to the filesystem (0 = never)
+ *   policies             per kind ("request" = logs, "fingerprint" =
+ *                        fingerprints, "domEvent" = dom_events,
+ *                        "extensionProbe" = extension_probes,
+ *                        "baitEvent" = bait_events):
+ *                        { maxAgeDays, maxRows }, 0 = no limit
+ *
+ * Rows are deleted in small batches so requests are not blocked for long.
+ * Canvas hashes and visitors that no remaining fingerprint uses are dropped
+ * with them, as are the replays (lib/replay.js) of deleted requests.
+ * VACUUM rewrites the whole file and needs as much free disk again.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'retention.json');
+const KINDS = { request: 'logs', fingerprint: 'fingerprints', domEvent: 'dom_events',
+  extensionProbe: 'extension_probes', baitEvent: 'bait_events' };
+const BATCH_SIZE = 1000;
+const MAX_SIZE_ROUNDS = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DELETE_ORPHAN_REPLAYS = 'DELETE FROM replays WHERE log_id NOT IN (SELECT id FROM logs)';
+
+function limit(value, where) {
+  if (value === undefined || value === null) return 0;
+  if (typeof value !== 'number' || !(value >= 0)) throw new Error(`${where} must be a non-negative number`);
+  return value;
+}
+
+function loadRetentionConfig(file = process.env.RETENTION_CONFIG_PATH || DEFAULT_CONFIG_PATH) {
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const policies = {};
+  for (const kind of Object.keys(config.policies || {})) {
+    if (!KINDS[kind]) throw new Error(`${file}: unknown policy kind "${kind}" (expected ${Object.keys(KINDS).join(', ')})`);
+  }
+  for (const kind of Object.keys(KINDS)) {
+    const policy = (config.policies || {})[kind] || {};
+    policies[kind] = {
+      maxAgeDays: limit(policy.maxAgeDays, `${file}: policies.${kind}.maxAgeDays`),
+      maxRows: Math.floor(limit(policy.maxRows, `${file}: policies.${kind}.maxRows`))
+    };
+  }
+  return {
+    intervalMinutes: limit(config.intervalMinutes, `${file}: intervalMinutes`),
+    maxDatabaseMB: limit(config.maxDatabaseMB, `${file}: maxDatabaseMB`),
+    vacuumIntervalHours: limit(config.vacuumIntervalHours, `${file}: vacuumIntervalHours`),
+    policies
+  };
+}
+
+// Run callback-style steps one after another; stops at the first error
+function series(steps, done) {
+  const next = i => (i >= steps.length ? done(null) : steps[i](err => (err ? done(err) : next(i + 1))));
+  next(0);
+}
+
+const emptyCounts = () => Object.fromEntries(Object.keys(KINDS).map(kind => [kind, { age: 0, rows: 0, size: 0 }]));
+
+function createRetention(db, config) {
+  const totals = emptyCounts();
+  let running = false;
+  let timer = null;
+  let lastRun = null;
+  let lastVacuum = null;
+  let nextRun = null;
+
+  // Delete matching rows BATCH_SIZE at a time, oldest first
+  function deleteBatches(table, where, params, done, deleted = 0) {
+    db.run(
+      `DELETE FROM ${table} WHERE id IN (SELECT id FROM ${table} WHERE ${where} ORDER BY id LIMIT ${BATCH_SIZE})`,
+      params,
+      function (err) {
+        if (err) return done(err);
+        const total = deleted + this.changes;
+        if (this.changes < BATCH_SIZE) return done(null, total);
+        setImmediate(() => deleteBatches(table, where, params, done, total));
+      }
+    );
+  }
+
+  function usage(callback) {
+    db.get(
+      `SELECT page_count * page_size AS size, freelist_count * page_size AS free
+       FROM pragma_page_count(), pragma_page_size(), pragma_freelist_count()`,
+      (err, row) => (err ? callback(err) : callback(null, { sizeBytes: row.size, freeBytes: row.free }))
+    );
+  }
+
+  function pruneAge(kind, counts, done) {
+    const { maxAgeDays } = config.policies[kind];
+    if (!maxAgeDays) return done(null);
+    const cutoff = new Date(Date.now() - maxAgeDays * DAY_MS).toISOString();
+    deleteBatches(KINDS[kind], 'timestamp < ?', [cutoff], (err, n) => {
+      if (!err) counts[kind].age += n;
+      done(err);
+    });
+  }
+
+  function pruneRows(kind, counts, done) {
+    const { maxRows } = config.policies[kind];
+    if (!maxRows) return done(null);
+    const table = KINDS[kind];
+    deleteBatches(table, `id <= (SELECT id FROM ${table} ORDER BY id DESC LIMIT 1 OFFSET ?)`, [maxRows], (err, n) => {
+      if (!err) counts[kind].rows += n;
+      done(err);
+    });
+  }
+
+  // Drop the oldest batch of whichever kind has the oldest row until the data fits
+  function pruneSize(counts, done, round = 0) {
+    if (!config.maxDatabaseMB || round >= MAX_SIZE_ROUNDS) return done(null);
+    usage((err, u) => {
+      if (err) return done(err);
+      if (u.sizeBytes - u.freeBytes <= config.maxDatabaseMB * 1024 * 1024) return done(null);
+      const oldest = Object.entries(KINDS).map(([kind, table]) => `(SELECT MIN(timestamp) FROM ${table}) AS ${kind}`);
+      db.get(`SELECT ${oldest.join(', ')}`, (selErr, row) => {
+        if (selErr) return done(selErr);
+        const kind = Object.keys(KINDS)
+          .filter(k => row[k] !== null)
+          .sort((a, b) => (row[a] < row[b] ? -1 : row[a] > row[b] ? 1 : 0))[0];
+        if (!kind) return done(null);
+        const table = KINDS[kind];
+        db.run(
+          `DELETE FROM ${table} WHERE id IN (SELECT id FROM ${table} ORDER BY id LIMIT ${BATCH_SIZE})`,
+          function (delErr) {
+            if (delErr) return done(delErr);
+            counts[kind].size += this.changes;
+            const next = () => setImmediate(() => pruneSize(counts, done, round + 1));
+            // Replays hold response bodies; free them with their requests so the size check sees it
+            if (table !== 'logs') return next();
+            db.run(DELETE_ORPHAN_REPLAYS, replayErr => (replayErr ? done(replayErr) : next()));
+          }
+        );
+      });
+    });
+  }
+
+  // Canvas hashes and visitors no remaining fingerprint refers to, and replays of deleted requests
+  function pruneOrphans(done) {
+    series([
+      DELETE_ORPHAN_REPLAYS,
+      'DELETE FROM canvas_hashes WHERE NOT EXISTS (SELECT 1 FROM fingerprints WHERE canvas_hash = canvas_hashes.hash)',
+      'DELETE FROM visitors WHERE NOT EXISTS (SELECT 1 FROM fingerprints WHERE visitor_id = visitors.id)',
+      'DELETE FROM visitor_signals WHERE visitor_id NOT IN (SELECT id FROM visitors)',
+      'DELETE FROM visitor_cookies WHERE visitor_id NOT IN (SELECT id FROM visitors)'
+    ].map(sql => step => db.run(sql, step)), done);
+  }
+
+  function vacuumDue() {
+    if (!config.vacuumIntervalHours) return false;
+    return !lastVacuum || Date.now() - Date.parse(lastVacuum.at) >= config.vacuumIntervalHours * 60 * 60 * 1000;
+  }
+
+  function vacuum(done) {
+    usage((err, before) => {
+      if (err) return done(err);
+      if (!before.freeBytes) return done(null);
+      const started = Date.now();
+      db.run('VACUUM', vacErr => {
+        if (vacErr) return done(vacErr);
+        usage((afterErr, after) => {
+          if (afterErr) return done(afterErr);
+          lastVacuum = {
+            at: new Date().toISOString(),
+            durationMs: Date.now() - started,
+            reclaimedBytes: before.sizeBytes - after.sizeBytes
+          };
+          done(null);
+        });
+      });
+    });
+  }
+
+  // Prune once now. Calls back with the run summary (also kept as lastRun).
+  function run(callback = () => {}) {
+    if (running) return callback(Object.assign(new Error('Pruning is already running'), { status: 409 }));
+    running = true;
+    const started = Date.now();
+    const counts = emptyCounts();
+    const steps = [];
+    for (const kind of Object.keys(KINDS)) {
+      steps.push(done => pruneAge(kind, counts, done), done => pruneRows(kind, counts, done));
+    }
+    // Replays of requests the age and row limits removed would otherwise count against the size limit
+    steps.push(done => db.run(DELETE_ORPHAN_REPLAYS, done));
+    steps.push(done => pruneSize(counts, done));
+    steps.push(pruneOrphans);
+    steps.push(done => (vacuumDue() ? vacuum(done) : done(null)));
+
+    series(steps, err => {
+      running = false;
+      for (const kind of Object.keys(KINDS)) {
+        for (const reason of ['age', 'rows', 'size']) totals[kind][reason] += counts[kind][reason];
+      }
+      lastRun = {
+        startedAt: new Date(started).toISOString(),
+        durationMs: Date.now() - started,
+        deleted: counts,
+        error: err ? err.message : null
+      };
+      if (err) console.error('Pruning failed:', err.message);
+      callback(err, lastRun);
+    });
+  }
+
+  function schedule() {
+    if (!config.intervalMinutes) return;
+    const ms = config.intervalMinutes * 60 * 1000;
+    nextRun = new Date(Date.now() + ms).toISOString();
+    timer = setTimeout(() => run(() => schedule()), ms);
+    timer.unref();
+  }
+
+  // Run once at startup, then every intervalMinutes
+  function start() {
+    if (!config.intervalMinutes || timer) return;
+    run(() => schedule());
+  }
+
+  function stop() {
+    clearTimeout(timer);
+    timer = null;
+    nextRun = null;
+  }
+
+  // Current policy, database size, row counts and pruning history
+  function status(callback) {
+    usage((err, u) => {
+      if (err) return callback(err);
+      const counts = Object.entries(KINDS).map(([kind, table]) => `(SELECT COUNT(*) FROM ${table}) AS ${kind}`);
+      db.get(`SELECT ${counts.join(', ')}`, (countErr, rows) => {
+        if (countErr) return callback(countErr);
+        callback(null, {
+          config,
+          database: { ...u, usedBytes: u.sizeBytes - u.freeBytes },
+          rows,
+          running,
+          nextRun,
+          lastRun,
+          lastVacuum,
+          totals
+        });
+      });
+    });
+  }
+
+  return { run, start, stop, status };
+}
+
+module.exports = {
+  loadRetentionConfig,
+  createRetention
+};
@@ -0,0 +1,26 @@
+/**
+ * Schema helpers
+ *
+ * Used by migrations that add columns, so they also work on databases created
+ * before the migration runner existed (which may already have the column).
+ */
+
+// Add any of `columns` ({ name: 'TYPE' }) missing from `table`, then call back
+function ensureColumns(db, table, columns, callback = () => {}) {
+  db.all(`PRAGMA table_info(${table})`, (err, info) => {
+    if (err) return callback(err);
+    const existing = new Set(info.map(c => c.name));
+    const missing = Object.entries(columns).filter(([name]) => !existing.has(name));
+    if (!missing.length) return callback(null);
+    let pending = missing.length;
+    let firstErr = null;
+    for (const [name, type] of missing) {
+      db.run(`ALTER TABLE ${table} ADD COLUMN ${name} ${type}`, alterErr => {
+        if (alterErr && !firstErr) firstErr = alterErr;
+        if (--pending === 0) callback(firstErr);
+      });
+    }
+  });
+}
+
+module.exports = { ensureColumns };
@@ -0,0 +1,129 @@
+/**
+ * Bot/automation risk scoring
+ *
+ * A rule-based engine that turns fingerprint signals into a 0-100 risk score.
+ * Rules live in a JSON file (config/risk-rules.json by default, override with
+ * RISK_RULES_PATH) so they can be tuned without touching code:
+ *
+ *   { "id": "webdriver", "description": "...", "weight": 50,
+ *     "when": { "path": "webdriver", "equals": true } }
+ *
+ * `when` is a condition on a dotted path into the scoring context, or
+ * { "all": [...] } / { "any": [...] } / { "not": {...} } of conditions.
+ * Operators: equals, notEquals, gt, gte, lt, lte, matches, notMatches,
+ * exists, contains, in, notEqualsPath.
+ *
+ * The context is the fingerprint payload plus `consistency`
+ * ({ codes, count, highCount }) from the header vs. JS analysis and `network`
+ * ({ codes, count, rttMs, publicIps }) from the lib/network.js checks.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_RULES_PATH = path.join(__dirname, '..', 'config', 'risk-rules.json');
+
+const OPERATORS = ['equals', 'notEquals', 'gt', 'gte', 'lt', 'lte', 'matches', 'notMatches',
+  'exists', 'contains', 'in', 'notEqualsPath'];
+
+function getPath(obj, dotted) {
+  return String(dotted).split('.').reduce(
+    (value, key) => (value !== null && typeof value === 'object' ? value[key] : undefined),
+    obj
+  );
+}
+
+// Validate a condition and precompile its regexes; throws on bad config
+function compileCondition(cond, where) {
+  if (!cond || typeof cond !== 'object') throw new Error(`${where}: condition must be an object`);
+  if (Array.isArray(cond.all) || Array.isArray(cond.any)) {
+    const key = cond.all ? 'all' : 'any';
+    return { [key]: cond[key].map((c, i) => compileCondition(c, `${where}.${key}[${i}]`)) };
+  }
+  if (cond.not) return { not: compileCondition(cond.not, `${where}.not`) };
+  if (typeof cond.path !== 'string') throw new Error(`${where}: condition needs a path`);
+  const ops = OPERATORS.filter(op => op in cond);
+  if (ops.length !== 1) throw new Error(`${where}: condition needs exactly one of ${OPERATORS.join(', ')}`);
+  const compiled = { path: cond.path, op: ops[0], value: cond[ops[0]] };
+  if (compiled.op === 'matches' || compiled.op === 'notMatches') compiled.value = new RegExp(compiled.value);
+  return compiled;
+}
+
+function evaluate(cond, ctx) {
+  if (cond.all) return cond.all.every(c => evaluate(c, ctx));
+  if (cond.any) return cond.any.some(c => evaluate(c, ctx));
+  if (cond.not) return !evaluate(cond.not, ctx);
+
+  const actual = getPath(ctx, cond.path);
+  switch (cond.op) {
+    case 'equals': return actual === cond.value;
+    case 'notEquals': return actual !== cond.value;
+    case 'gt': return typeof actual === 'number' && actual > cond.value;
+    case 'gte': return typeof actual === 'number' && actual >= cond.value;
+    case 'lt': return typeof actual === 'number' && actual < cond.value;
+    case 'lte': return typeof actual === 'number' && actual <= cond.value;
+    case 'matches': return typeof actual === 'string' && cond.value.test(actual);
+    case 'notMatches': return typeof actual === 'string' && !cond.value.test(actual);
+    case 'exists': return (actual !== undefined && actual !== null) === Boolean(cond.value);
+    case 'contains': return Array.isArray(actual) && actual.includes(cond.value);
+    case 'in': return Array.isArray(cond.value) && cond.value.includes(actual);
+    case 'notEqualsPath': return actual !== getPath(ctx, cond.value);
+    default: return false;
+  }
+}
+
+// Read and validate a rules file. Throws with the offending rule on bad config.
+function loadRules(file = process.env.RISK_RULES_PATH || DEFAULT_RULES_PATH) {
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!config || !Array.isArray(config.rules)) throw new Error(`${file}: expected { "rules": [...] }`);
+  const seen = new Set();
+  return config.rules.map((rule, i) => {
+    const where = `${file}: rules[${i}]`;
+    if (typeof rule.id !== 'string' || !rule.id) throw new Error(`${where}: id is required`);
+    if (seen.has(rule.id)) throw new Error(`${where}: duplicate id ${rule.id}`);
+    seen.add(rule.id);
+    if (typeof rule.weight !== 'number' || rule.weight < 0) throw new Error(`${where}: weight must be a non-negative number`);
+    return {
+      id: rule.id,
+      description: rule.description || rule.id,
+      weight: rule.weight,
+      when: compileCondition(rule.when, `${where}.when`)
+    };
+  });
+}
+
+// Score a fingerprint payload. `network` is the lib/network.js analysis, if any.
+// Returns { score, rules: [{ id, description, weight }] }.
+function scoreFingerprint(rules, data, findings = [], network = null) {
+  const ctx = {
+    ...data,
+    consistency: {
+      codes: findings.map(f => f.code),
+      count: findings.length,
+      highCount: findings.filter(f => f.severity === 'high').length
+    },
+    network: {
+      codes: network ? network.findings.map(f => f.code) : [],
+      count: network ? network.findings.length : 0,
+      rttMs: network ? network.rttMs : null,
+      publicIps: network ? network.publicIps : []
+    }
+  };
+  const fired = [];
+  for (const rule of rules) {
+    let hit = false;
+    try {
+      hit = evaluate(rule.when, ctx);
+    } catch (_e) {
+      hit = false;
+    }
+    if (hit) fired.push({ id: rule.id, description: rule.description, weight: rule.weight });
+  }
+  const total = fired.reduce((sum, r) => sum + r.weight, 0);
+  return { score: Math.min(100, Math.round(total)), rules: fired };
+}
+
+module.exports = {
+  loadRules,
+  scoreFingerprint
+};
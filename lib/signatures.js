@@ -0,0 +1,219 @@
+/**
+ * Extension signatures
+ *
+ * Labels the elements injected into '/dom' (lib/dom.js) with the extension or
+ * browser agent that most likely put them there. Signatures come from
+ * config/extension-signatures.json (override the file with
+ * EXTENSION_SIGNATURES_PATH):
+ *
+ *   { "id": "1password", "label": "1Password", "category": "password-manager",
+ *     "match": [{ "tag": "^com-1password-" }, { "extensionId": "aeblfdkhhhdcdjpifhhbdiojplfjncoa" }] }
+ *
+ * A signature fires when any entry of `match` does; an entry matches when all
+ * of its fields do:
+ *
+ *   tag          regex on a lower-case element name (custom elements)
+ *   id           regex on the element id
+ *   className    regex on the class attribute
+ *   attribute    regex on an attribute name; with `value`, also on its value
+ *   url          regex on a src/href value
+ *   extensionId  a chrome-extension:// (or moz-extension://) ID in a src/href
+ *   shadowHost   true: the element hosts an open shadow root
+ *   text         regex on the text content
+ *
+ * Tags, attributes and URLs are taken from the injected element and from the
+ * elements inside it (its outerHTML and open shadow root). An element no
+ * signature claims still gets a verdict when it loads extension resources or
+ * hosts a shadow root.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'extension-signatures.json');
+const REGEX_FIELDS = ['tag', 'id', 'className', 'attribute', 'value', 'url', 'text'];
+const FIELDS = [...REGEX_FIELDS, 'extensionId', 'shadowHost'];
+// Only the start of long markup and text is scanned
+const MAX_MARKUP_CHARS = 32 * 1024;
+const MAX_SCAN_CHARS = 200000;
+
+const EXTENSION_URL_RE = /^(?:chrome|moz|safari-web|ms-browser)-extension:\/\/([a-z0-9-]+)/i;
+
+// Read and validate a signatures file. Throws with the offending entry on bad config.
+function loadSignatures(file = process.env.EXTENSION_SIGNATURES_PATH || DEFAULT_CONFIG_PATH) {
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!config || !Array.isArray(config.signatures)) throw new Error(`${file}: expected { "signatures": [...] }`);
+  const seen = new Set();
+  return config.signatures.map((signature, i) => {
+    const where = `${file}: signatures[${i}]`;
+    if (typeof signature.id !== 'string' || !signature.id) throw new Error(`${where}: id is required`);
+    if (seen.has(signature.id)) throw new Error(`${where}: duplicate id ${signature.id}`);
+    seen.add(signature.id);
+    if (typeof signature.category !== 'string' || !signature.category) {
+      throw new Error(`${where}: category is required`);
+    }
+    if (!Array.isArray(signature.match) || !signature.match.length) {
+      throw new Error(`${where}: match must be a non-empty array`);
+    }
+    const match = signature.match.map((entry, j) => {
+      const at = `${where}.match[${j}]`;
+      const keys = Object.keys(entry || {});
+      const unknown = keys.filter(key => !FIELDS.includes(key));
+      if (!keys.length || unknown.length) throw new Error(`${at}: fields must be some of ${FIELDS.join(', ')}`);
+      if (entry.value !== undefined && entry.attribute === undefined) throw new Error(`${at}: value needs attribute`);
+      const compiled = {};
+      for (const key of keys) {
+        if (REGEX_FIELDS.includes(key)) compiled[key] = new RegExp(entry[key], key === 'tag' ? 'i' : '');
+        else if (key === 'extensionId') compiled.extensionId = String(entry.extensionId).toLowerCase();
+        else compiled.shadowHost = Boolean(entry.shadowHost);
+      }
+      return compiled;
+    });
+    return { id: signature.id, label: signature.label || signature.id, category: signature.category, match };
+  });
+}
+
+const isSpace = c => c === ' ' || c === '\n' || c === '\t' || c === '\r' || c === '\f';
+
+// Start tags and their attributes in serialized markup. One pass over the string, so crafted
+// markup cannot make it backtrack; a tag or quoted value left open ends the scan.
+function scanMarkup(html, onTag, onAttribute) {
+  const n = html.length;
+  let i = 0;
+  while ((i = html.indexOf('<', i)) !== -1) {
+    i++;
+    // End tags, comments and a stray '<' in text
+    if (!/[a-zA-Z]/.test(html.charAt(i))) continue;
+    let start = i;
+    while (i < n && !isSpace(html[i]) && html[i] !== '>' && html[i] !== '/') i++;
+    onTag(html.slice(start, i));
+    for (;;) {
+      while (i < n && (isSpace(html[i]) || html[i] === '/')) i++;
+      if (i >= n) return;
+      if (html[i] === '>') break;
+      start = i;
+      while (i < n && !isSpace(html[i]) && html[i] !== '>' && html[i] !== '/' && html[i] !== '=') i++;
+      const name = html.slice(start, i);
+      while (i < n && isSpace(html[i])) i++;
+      let value = '';
+      if (html[i] === '=') {
+        i++;
+        while (i < n && isSpace(html[i])) i++;
+        const quote = html[i];
+        if (quote === '"' || quote === "'") {
+          const end = html.indexOf(quote, i + 1);
+          if (end === -1) return;
+          value = html.slice(i + 1, end);
+          i = end + 1;
+        } else {
+          start = i;
+          while (i < n && !isSpace(html[i]) && html[i] !== '>') i++;
+          value = html.slice(start, i);
+        }
+      }
+      if (name) onAttribute(name, value);
+    }
+    i++;
+  }
+}
+
+// What the matchers look at, gathered from formatNodeDetails() output
+function describeNode(details) {
+  const tags = new Set();
+  const attributes = [];
+  const addAttribute = (name, value) => attributes.push({ name: name.toLowerCase(), value: String(value) });
+
+  if (typeof details.tag === 'string') tags.add(details.tag.toLowerCase());
+  if (details.attributes && typeof details.attributes === 'object') {
+    for (const [name, value] of Object.entries(details.attributes)) addAttribute(name, value);
+  }
+  const markup = [details.outerHTML, details.shadowRoot && details.shadowRoot.innerHTML]
+    .filter(html => typeof html === 'string')
+    .map(html => html.slice(0, MAX_MARKUP_CHARS));
+  for (const html of markup) scanMarkup(html, tag => tags.add(tag.toLowerCase()), addAttribute);
+
+  const urls = [...new Set(attributes.filter(a => a.name === 'src' || a.name === 'href').map(a => a.value))];
+  const extensionIds = new Set(urls.map(url => EXTENSION_URL_RE.exec(url)).filter(Boolean)
+    .map(m => m[1].toLowerCase()));
+  return {
+    tags: [...tags],
+    attributes,
+    urls,
+    extensionIds,
+    id: typeof details.id === 'string' ? details.id : '',
+    className: typeof details.className === 'string' ? details.className : '',
+    text: typeof details.textContent === 'string' ? details.textContent.slice(0, MAX_SCAN_CHARS) : '',
+    shadowHost: Boolean(details.shadowRoot)
+  };
+}
+
+// The reasons one match entry fires, or null when it does not
+function matchEntry(entry, node) {
+  const reasons = [];
+  for (const [key, test] of Object.entries(entry)) {
+    let reason = null;
+    if (key === 'tag') {
+      const tag = node.tags.find(t => test.test(t));
+      if (tag) reason = `element <${tag}>`;
+    } else if (key === 'attribute') {
+      const attr = node.attributes.find(a => test.test(a.name) && (!entry.value || entry.value.test(a.value)));
+      if (attr) reason = `attribute ${attr.name}${entry.value ? `="${attr.value.slice(0, 80)}"` : ''}`;
+    } else if (key === 'value') {
+      continue;
+    } else if (key === 'url') {
+      const url = node.urls.find(u => test.test(u));
+      if (url) reason = `URL ${url.slice(0, 200)}`;
+    } else if (key === 'extensionId') {
+      if (node.extensionIds.has(test)) reason = `extension ${test}`;
+    } else if (key === 'shadowHost') {
+      if (node.shadowHost === test) reason = test ? 'shadow root host' : 'no shadow root';
+    } else if (test.test(node[key])) {
+      reason = `${key} "${node[key].slice(0, 80)}"`;
+    }
+    if (!reason) return null;
+    reasons.push(reason);
+  }
+  return reasons;
+}
+
+// Verdict for one injected element: { label, category, matches: [{ id, label, category, reasons }] }.
+// `label` and `category` come from the first matching signature.
+function classifyNode(signatures, details) {
+  const node = describeNode(details || {});
+  const matches = [];
+  for (const signature of signatures) {
+    for (const entry of signature.match) {
+      const reasons = matchEntry(entry, node);
+      if (reasons) {
+        matches.push({ id: signature.id, label: signature.label, category: signature.category, reasons });
+        break;
+      }
+    }
+  }
+  if (matches.length) return { label: matches[0].label, category: matches[0].category, matches };
+
+  if (node.extensionIds.size) {
+    const ids = [...node.extensionIds];
+    return {
+      label: `Unknown extension (${ids.join(', ')})`,
+      category: 'extension',
+      matches: [{ id: null, label: 'Unknown extension', category: 'extension',
+        reasons: ids.map(id => `extension ${id}`) }]
+    };
+  }
+  // The page itself attaches no shadow roots
+  if (node.shadowHost) {
+    return {
+      label: 'Unidentified widget',
+      category: 'unknown',
+      matches: [{ id: null, label: 'Unidentified widget', category: 'unknown',
+        reasons: [`element <${node.tags[0]}>`, 'shadow root host'] }]
+    };
+  }
+  return { label: null, category: null, matches: [] };
+}
+
+module.exports = {
+  loadSignatures,
+  classifyNode
+};
@@ -0,0 +1,55 @@
+/**
+ * Visits
+ *
+ * Every HTTP request gets a visit ID. Pages that run the fingerprint script
+ * embed it, the script sends it back with its WebSocket submission, and both
+ * the `logs` row and the `fingerprints` row carry it, which links a page load
+ * to the fingerprint it produced. The '/dom' page also files its DOM
+ * injection events (lib/dom.js) under its visit ID.
+ */
+
+const crypto = require('crypto');
+const { LOG_COLUMNS } = require('./query');
+
+const VISIT_ID_RE = /^[a-f0-9]{32}$/;
+
+function newVisitId() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+function isVisitId(value) {
+  return typeof value === 'string' && VISIT_ID_RE.test(value);
+}
+
+// Load everything recorded for one visit: { requests, fingerprints, domEvents (a count) }
+function loadVisit(db, visitId, callback) {
+  db.all(
+    `SELECT ${LOG_COLUMNS} FROM logs WHERE visit_id = ? ORDER BY id`,
+    [visitId],
+    (err, requests) => {
+      if (err) return callback(err);
+      db.all(`SELECT * FROM fingerprints WHERE visit_id = ? ORDER BY id`, [visitId], (fpErr, fingerprints) => {
+        if (fpErr) return callback(fpErr);
+        db.get('SELECT COUNT(*) AS n FROM dom_events WHERE visit_id = ?', [visitId], (domErr, dom) => {
+          if (domErr) return callback(domErr);
+          callback(null, { requests, fingerprints, domEvents: dom.n });
+        });
+      });
+    }
+  );
+}
+
+// Headers of the page-load request that started a visit (null if none logged)
+function loadVisitHeaders(db, visitId, callback) {
+  db.get(`SELECT headers FROM logs WHERE visit_id = ? ORDER BY id LIMIT 1`, [visitId], (err, row) => {
+    if (err) return callback(err);
+    callback(null, row ? JSON.parse(row.headers || '{}') : null);
+  });
+}
+
+module.exports = {
+  newVisitId,
+  isVisitId,
+  loadVisit,
+  loadVisitHeaders
+};
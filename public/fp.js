@@ -0,0 +1,775 @@
+/**
+ * Fingerprint collector
+ *
+ * Collects browser fingerprint signals and submits them to the logger over a
+ * WebSocket. Served at '/fp.js'; include it on any page:
+ *
+ *   <script src="https://<logger-host>/fp.js"
+ *           data-endpoint="wss://<logger-host>"
+ *           data-modules="canvas,graphicsInfo,devtools"
+ *           data-visit="<visit ID issued by the logger>"></script>
+ *
+ * or set window.FP_CONFIG = { endpoint, modules, visitId, delay, fonts, stun } before the tag.
+ * `endpoint` defaults to the host the script was loaded from, `modules` to all
+ * of them except the opt-in `network` module ("*" in the list stands for the
+ * defaults, e.g. "*,network"; the core navigator/screen signals are always
+ * collected), `delay` (ms to wait for slow modules such as the SharedWorker,
+ * audio and WebRTC) to 1000, `fonts` (the font names the fonts module tests for;
+ * also data-fonts, comma-separated) to DEFAULT_FONTS, and `stun` (the STUN server
+ * the network module gathers ICE candidates against; also data-stun, "none" for
+ * host candidates only) to DEFAULT_STUN.
+ */
+(function () {
+  const VERSION = '1.3.0';
+
+  const DEFAULT_STUN = 'stun:stun.l.google.com:19302';
+  // Not part of the default module set
+  const OPT_IN_MODULES = ['network'];
+  const PING_COUNT = 5;
+  const PING_TIMEOUT_MS = 2000;
+
+  // Common fonts per platform: Windows, macOS, Linux, Android
+  const DEFAULT_FONTS = [
+    'Arial', 'Calibri', 'Cambria', 'Candara', 'Comic Sans MS', 'Consolas', 'Constantia', 'Corbel', 'Courier New',
+    'Franklin Gothic Medium', 'Gabriola', 'Georgia', 'Impact', 'Lucida Console', 'Lucida Sans Unicode', 'MS Gothic',
+    'Palatino Linotype', 'Segoe Print', 'Segoe Script', 'Segoe UI', 'Segoe UI Emoji', 'Tahoma', 'Times New Roman',
+    'Trebuchet MS', 'Verdana',
+    'American Typewriter', 'Andale Mono', 'Apple Color Emoji', 'Avenir', 'Baskerville', 'Futura', 'Geneva',
+    'Gill Sans', 'Helvetica', 'Helvetica Neue', 'Hoefler Text', 'Menlo', 'Monaco', 'Optima', 'Skia',
+    'Cantarell', 'DejaVu Sans', 'DejaVu Serif', 'Droid Sans', 'FreeSans', 'Liberation Mono', 'Liberation Sans',
+    'Noto Color Emoji', 'Noto Sans', 'Ubuntu',
+    'Roboto'
+  ];
+
+  const script = document.currentScript;
+  const config = Object.assign({}, window.FP_CONFIG || {});
+  if (script) {
+    if (script.dataset.endpoint) config.endpoint = script.dataset.endpoint;
+    if (script.dataset.modules) config.modules = script.dataset.modules;
+    if (script.dataset.visit) config.visitId = script.dataset.visit;
+    if (script.dataset.delay) config.delay = Number(script.dataset.delay);
+    if (script.dataset.fonts) config.fonts = script.dataset.fonts;
+    if (script.dataset.stun) config.stun = script.dataset.stun;
+  }
+
+  function defaultEndpoint() {
+    const base = script && script.src ? new URL(script.src, location.href) : location;
+    return (base.protocol === 'https:' ? 'wss://' : 'ws://') + base.host;
+  }
+
+  function parseCookies(cookieString) {
+    if (!cookieString) return {};
+    const cookies = {};
+    cookieString.split(';').forEach(cookie => {
+      const [name, value] = cookie.trim().split('=');
+      if (name && value) {
+        cookies[name] = decodeURIComponent(value);
+      }
+    });
+    return cookies;
+  }
+
+  // SHA-256 of a string (as UTF-8) in hex. Synchronous, and unlike
+  // crypto.subtle available on plain-HTTP pages too.
+  function sha256(text) {
+    const utf8 = unescape(encodeURIComponent(text));
+    const K = [];
+    const H = [];
+    let n = 2;
+    while (K.length < 64) {
+      let prime = true;
+      for (let d = 2; d * d <= n; d++) if (n % d === 0) { prime = false; break; }
+      if (prime) {
+        if (H.length < 8) H.push((Math.pow(n, 1 / 2) * 0x100000000) | 0);
+        K.push((Math.pow(n, 1 / 3) * 0x100000000) | 0);
+      }
+      n++;
+    }
+    const bytes = [];
+    for (let i = 0; i < utf8.length; i++) bytes.push(utf8.charCodeAt(i));
+    const bitLength = bytes.length * 8;
+    bytes.push(0x80);
+    while (bytes.length % 64 !== 56) bytes.push(0);
+    for (let i = 7; i >= 0; i--) bytes.push(i > 3 ? 0 : (bitLength >>> (i * 8)) & 0xff);
+
+    const rotr = (x, r) => (x >>> r) | (x << (32 - r));
+    const w = new Array(64);
+    for (let off = 0; off < bytes.length; off += 64) {
+      for (let i = 0; i < 16; i++) {
+        const j = off + i * 4;
+        w[i] = (bytes[j] << 24) | (bytes[j + 1] << 16) | (bytes[j + 2] << 8) | bytes[j + 3];
+      }
+      for (let i = 16; i < 64; i++) {
+        const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+        const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+        w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+      }
+      let [a, b, c, d, e, f, g, h] = H;
+      for (let i = 0; i < 64; i++) {
+        const t1 = (h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + K[i] + w[i]) | 0;
+        const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+        h = g; g = f; f = e; e = (d + t1) | 0;
+        d = c; c = b; b = a; a = (t1 + t2) | 0;
+      }
+      [a, b, c, d, e, f, g, h].forEach((v, i) => { H[i] = (H[i] + v) | 0; });
+    }
+    return H.map(v => ('0000000' + (v >>> 0).toString(16)).slice(-8)).join('');
+  }
+
+  function renderCanvas() {
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+    ctx.textBaseline = 'top'; ctx.font = '16px Arial';
+    ctx.fillStyle = '#f60'; ctx.fillRect(125, 1, 62, 20);
+    ctx.fillStyle = '#069'; ctx.fillText('FPJS', 2, 15);
+    ctx.fillStyle = 'rgba(102,204,0,0.7)'; ctx.fillText('FPJS', 4, 17);
+    return canvas.toDataURL();
+  }
+
+  // Rendered image, kept in case the server asks for it
+  let canvasImage = null;
+
+  // Hash of the test image. It is drawn twice: noise-injecting extensions
+  // usually make the two renders differ.
+  function getCanvasFingerprint() {
+    canvasImage = renderCanvas();
+    return { hash: sha256(canvasImage), stable: renderCanvas() === canvasImage };
+  }
+
+  // DevTools detection (multiple heuristics); run right before sending
+  function detectBrowserDevTools() {
+    let isDevToolsDetected = false;
+    let method = 'none';
+
+    // Method 1: Console inspection via Proxy trap
+    const trap = Object.create(new Proxy({}, { ownKeys() { isDevToolsDetected = true; method = 'proxy'; } }));
+    try { console.groupEnd(trap); } catch (_e) {}
+
+    // Method 2: Size-based detection
+    if (!isDevToolsDetected) {
+      const widthGap = Math.abs((window.outerWidth || 0) - (window.innerWidth || 0));
+      const heightGap = Math.abs((window.outerHeight || 0) - (window.innerHeight || 0));
+      if (widthGap > 160 || heightGap > 160) {
+        isDevToolsDetected = true;
+        method = 'size';
+      }
+    }
+
+    // Method 3: Debugger timing
+    if (!isDevToolsDetected) {
+      const start = performance.now();
+      // eslint-disable-next-line no-debugger
+      try { debugger; } catch (_e) {}
+      if (performance.now() - start > 50) {
+        isDevToolsDetected = true;
+        method = 'timing';
+      }
+    }
+
+    return { detected: isDevToolsDetected, method: method };
+  }
+
+  // SharedWorker fingerprinting with Blob-based approach. Returns an object
+  // that is filled in asynchronously when the worker answers.
+  function collectSharedWorker() {
+    let sharedWorkerFingerprint = {};
+    try {
+      // Check for SharedWorker support with proper constructor validation
+      const Wkr = window.frameElement ? window.frameElement.SharedWorker : SharedWorker;
+      if (!Wkr || Wkr.prototype.constructor.name !== "SharedWorker") {
+        return {
+          supported: false,
+          error: 'SharedWorker not available or invalid constructor'
+        };
+      }
+
+      // Create fingerprinting JavaScript for the worker
+      const fingerprintingJS = `
+      self.onconnect = function(e) {
+        const port = e.ports[0];
+        port.start();
+        
+        // Comprehensive fingerprinting from within the worker context
+        function collectFingerprint() {
+          try {
+            const fp = {
+              // Worker context information
+              workerContext: {
+                type: 'SharedWorker',
+                constructor: self.constructor.name,
+                prototype: self.constructor.prototype ? Object.getOwnPropertyNames(self.constructor.prototype).length : 0,
+                maxWorkers: navigator.hardwareConcurrency || 'unknown',
+                userAgent: navigator.userAgent,
+                platform: navigator.platform,
+                languages: navigator.languages,
+                language: navigator.language,
+                cookieEnabled: navigator.cookieEnabled,
+                onLine: navigator.onLine,
+                doNotTrack: navigator.doNotTrack,
+                maxTouchPoints: navigator.maxTouchPoints || 'unknown',
+                msMaxTouchPoints: navigator.msMaxTouchPoints || 'unknown'
+              },
+              
+              // Enhanced User-Agent and Platform data
+              userAgentData: navigator.userAgentData ? {
+                brands: navigator.userAgentData.brands,
+                mobile: navigator.userAgentData.mobile,
+                platform: navigator.userAgentData.platform,
+                architecture: navigator.userAgentData.architecture,
+                bitness: navigator.userAgentData.bitness,
+                model: navigator.userAgentData.model,
+                platformVersion: navigator.userAgentData.platformVersion,
+                fullVersionList: navigator.userAgentData.fullVersionList,
+                wow64: navigator.userAgentData.wow64
+              } : 'unsupported',
+              
+              // Additional platform and system information
+              platformDetails: {
+                platform: navigator.platform,
+                vendor: navigator.vendor,
+                product: navigator.product,
+                productSub: navigator.productSub,
+                appName: navigator.appName,
+                appVersion: navigator.appVersion,
+                appCodeName: navigator.appCodeName
+              },
+              
+              // Enhanced language and locale information
+              localeInfo: {
+                languages: navigator.languages,
+                language: navigator.language,
+                hasLanguages: Array.isArray(navigator.languages),
+                languageCount: navigator.languages ? navigator.languages.length : 0,
+                timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+                timezoneOffset: new Date().getTimezoneOffset(),
+                dateFormat: new Intl.DateTimeFormat().formatToParts(new Date()).map(p => p.type),
+                numberFormat: new Intl.NumberFormat().resolvedOptions(),
+                collator: new Intl.Collator().resolvedOptions()
+              },
+              
+              // Hardware and performance information
+              hardwareInfo: {
+                hardwareConcurrency: navigator.hardwareConcurrency || 'unknown',
+                deviceMemory: navigator.deviceMemory || 'unknown',
+                connection: navigator.connection ? {
+                  effectiveType: navigator.connection.effectiveType,
+                  downlink: navigator.connection.downlink,
+                  rtt: navigator.connection.rtt
+                } : 'unsupported'
+              },
+              
+              // Worker-specific capabilities (only worker-available APIs)
+              workerCapabilities: {
+                sharedWorker: true, // We're already in a SharedWorker
+                worker: typeof Worker !== 'undefined',
+                serviceWorker: 'serviceWorker' in navigator,
+                worklet: false, // CSS not available in workers
+                offscreenCanvas: typeof OffscreenCanvas !== 'undefined'
+              },
+              
+              // Media capabilities (only worker-available APIs)
+              mediaCapabilities: {
+                mediaSession: 'mediaSession' in navigator,
+                mediaDevices: 'mediaDevices' in navigator,
+                permissions: 'permissions' in navigator,
+                credentials: 'credentials' in navigator,
+                storage: 'storage' in navigator,
+                presentation: 'presentation' in navigator,
+                wakeLock: 'wakeLock' in navigator,
+                usb: 'usb' in navigator,
+                bluetooth: 'bluetooth' in navigator,
+                hid: 'hid' in navigator,
+                serial: 'serial' in navigator
+              },
+              
+              // Performance information
+              performanceInfo: {
+                memory: performance.memory ? {
+                  usedJSHeapSize: performance.memory.usedJSHeapSize,
+                  totalJSHeapSize: performance.memory.totalJSHeapSize,
+                  jsHeapSizeLimit: performance.memory.jsHeapSizeLimit
+                } : 'unsupported',
+                timing: performance.timing ? {
+                  navigationStart: performance.timing.navigationStart,
+                  loadEventEnd: performance.timing.loadEventEnd,
+                  domContentLoadedEventEnd: performance.timing.domContentLoadedEventEnd
+                } : 'unsupported',
+                navigation: performance.navigation ? {
+                  type: performance.navigation.type,
+                  redirectCount: performance.navigation.redirectCount
+                } : 'unsupported'
+              },
+              
+              // Canvas fingerprinting (simplified for worker)
+              canvas: 'offscreen_supported'
+            };
+            
+            return fp;
+          } catch (e) {
+            return { error: 'Worker fingerprinting failed: ' + e.message };
+          }
+        }
+        
+        // Collect and send fingerprint immediately
+        try {
+          const fp = collectFingerprint();
+          port.postMessage({ type: 'fingerprint', data: fp });
+        } catch (error) {
+          port.postMessage({ type: 'error', error: error.message });
+        }
+      };
+
+      `;
+
+      // Create Blob-based SharedWorker
+      const workerUrl = URL.createObjectURL(
+        new Blob([fingerprintingJS], { type: "application/javascript" })
+      );
+      const worker = new Wkr(workerUrl);
+
+      sharedWorkerFingerprint = {
+        supported: true,
+        constructor: Wkr.name,
+        prototype: Wkr.prototype ? Object.getOwnPropertyNames(Wkr.prototype).length : 0,
+        maxWorkers: navigator.hardwareConcurrency || 'unknown'
+      };
+
+      // Handle messages from the worker
+      worker.port.onmessage = function(e) {
+        if (e.data.type === 'fingerprint') {
+          sharedWorkerFingerprint.working = true;
+          sharedWorkerFingerprint.workerData = e.data.data;
+        } else if (e.data.type === 'error') {
+          sharedWorkerFingerprint.error = e.data.error;
+        }
+      };
+
+      // Handle worker errors
+      worker.port.onerror = function(e) {
+        sharedWorkerFingerprint.error = 'Port error: ' + e.message;
+      };
+
+      worker.port.start();
+
+      // Set a timeout to mark as failed if no response
+      setTimeout(() => {
+        if (!sharedWorkerFingerprint.working && !sharedWorkerFingerprint.error) {
+          sharedWorkerFingerprint.error = 'Timeout: No response from worker';
+        }
+      }, 5000);
+
+      // Clean up the blob URL when done
+      setTimeout(() => {
+        URL.revokeObjectURL(workerUrl);
+      }, 10000);
+    } catch (e) {
+      sharedWorkerFingerprint = { supported: false, error: e.message };
+    }
+    return sharedWorkerFingerprint;
+  }
+
+  function getWebGLInfo() {
+    try {
+      const canvas = document.createElement('canvas');
+      const gl = canvas.getContext('webgl') || canvas.getContext('experimental-webgl');
+      if (!gl) return 'unsupported';
+
+      const debugInfo = gl.getExtension('WEBGL_debug_renderer_info');
+      return {
+        vendor: debugInfo ? gl.getParameter(debugInfo.UNMASKED_VENDOR_WEBGL) : 'unknown',
+        renderer: debugInfo ? gl.getParameter(debugInfo.UNMASKED_RENDERER_WEBGL) : 'unknown',
+        version: gl.getParameter(gl.VERSION),
+        shadingLanguageVersion: gl.getParameter(gl.SHADING_LANGUAGE_VERSION),
+        maxTextureSize: gl.getParameter(gl.MAX_TEXTURE_SIZE),
+        maxViewportDims: gl.getParameter(gl.MAX_VIEWPORT_DIMS)
+      };
+    } catch (e) {
+      return 'error: ' + e.message;
+    }
+  }
+
+  // OfflineAudioContext fingerprint: a compressed triangle wave rendered
+  // offline. The samples depend on the browser's audio stack and CPU; the
+  // render is done twice because noise-injecting extensions change it every time.
+  // Filled in asynchronously, like the SharedWorker module.
+  function collectAudio() {
+    const Ctx = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+    if (!Ctx) return { supported: false };
+    const audio = { supported: true, pending: true };
+
+    const render = () => new Promise((resolve, reject) => {
+      const ctx = new Ctx(1, 5000, 44100);
+      const oscillator = ctx.createOscillator();
+      oscillator.type = 'triangle';
+      oscillator.frequency.value = 10000;
+      const compressor = ctx.createDynamicsCompressor();
+      compressor.threshold.value = -50;
+      compressor.knee.value = 40;
+      compressor.ratio.value = 12;
+      compressor.attack.value = 0;
+      compressor.release.value = 0.25;
+      oscillator.connect(compressor);
+      compressor.connect(ctx.destination);
+      oscillator.start(0);
+      ctx.oncomplete = event => resolve(Array.from(event.renderedBuffer.getChannelData(0).slice(4500, 5000)));
+      const started = ctx.startRendering();
+      if (started && started.catch) started.catch(reject);
+    });
+
+    Promise.all([render(), render()]).then(([first, second]) => {
+      audio.sum = first.reduce((total, v) => total + Math.abs(v), 0);
+      audio.samples = first.slice(0, 100);
+      audio.hash = sha256(first.join(','));
+      audio.stable = first.join(',') === second.join(',');
+      delete audio.pending;
+    }).catch(e => {
+      audio.error = e.message;
+      delete audio.pending;
+    });
+    return audio;
+  }
+
+  // Installed fonts: text set in "<font>, <fallback>" measures differently
+  // from the bare fallback when the font exists.
+  function collectFonts(fontList) {
+    const fallbacks = ['monospace', 'sans-serif', 'serif'];
+    const text = 'mmmmmmmmmmlli1WwQ@#';
+    const ctx = document.createElement('canvas').getContext('2d');
+    const measure = family => {
+      ctx.font = '72px ' + family;
+      return Math.round(ctx.measureText(text).width * 100) / 100;
+    };
+    const base = {};
+    fallbacks.forEach(f => { base[f] = measure(f); });
+    const widths = {};
+    const available = [];
+    fontList.forEach(font => {
+      widths[font] = fallbacks.map(f => measure('"' + font.replace(/"/g, '') + '", ' + f));
+      if (widths[font].some((w, i) => w !== base[fallbacks[i]])) available.push(font);
+    });
+    return {
+      hash: sha256(available.join(',')),
+      available: available,
+      count: available.length,
+      tested: fontList.length,
+      measurements: { fallbacks: base, widths: widths }
+    };
+  }
+
+  function fontList() {
+    if (!config.fonts) return DEFAULT_FONTS;
+    const fonts = Array.isArray(config.fonts) ? config.fonts : String(config.fonts).split(',');
+    return fonts.map(f => String(f).trim()).filter(Boolean);
+  }
+
+  // ICE candidates from a data-channel-only peer connection. Host candidates
+  // show local addresses (or mDNS names where the browser hides them); srflx
+  // candidates show the public address UDP traffic leaves from. The raw lines
+  // are sent and parsed on the server. Filled in asynchronously.
+  function collectWebRTC() {
+    const Peer = window.RTCPeerConnection || window.webkitRTCPeerConnection;
+    if (!Peer) return { supported: false };
+    const webrtc = { supported: true, pending: true, candidates: [] };
+    const stun = config.stun === undefined ? DEFAULT_STUN : String(config.stun);
+    let pc;
+    const finish = error => {
+      if (!webrtc.pending) return;
+      delete webrtc.pending;
+      if (error) webrtc.error = error;
+      try { pc.close(); } catch (_e) {}
+    };
+    try {
+      pc = new Peer({ iceServers: stun && stun !== 'none' ? [{ urls: stun }] : [] });
+      pc.onicecandidate = event => {
+        if (!event.candidate) return finish();
+        if (event.candidate.candidate && webrtc.candidates.indexOf(event.candidate.candidate) === -1) {
+          webrtc.candidates.push(event.candidate.candidate);
+        }
+      };
+      pc.createDataChannel('fp');
+      pc.createOffer().then(offer => pc.setLocalDescription(offer)).catch(e => finish(e.message));
+      setTimeout(() => finish(), 5000);
+    } catch (e) {
+      finish(e.message);
+    }
+    return webrtc;
+  }
+
+  function collectConnection() {
+    const c = navigator.connection || navigator.mozConnection || navigator.webkitConnection;
+    if (!c) return 'unsupported';
+    return { effectiveType: c.effectiveType, rtt: c.rtt, downlink: c.downlink, type: c.type, saveData: c.saveData };
+  }
+
+  // Round trips of ping messages over the fingerprint socket, one at a time
+  function measureWsRtt(ws, pongs, done) {
+    const samples = [];
+    let seq = 0;
+    const next = () => {
+      if (samples.length >= PING_COUNT || seq >= PING_COUNT) return finish();
+      const id = ++seq;
+      const sent = performance.now();
+      const timer = setTimeout(() => { delete pongs[id]; next(); }, PING_TIMEOUT_MS);
+      pongs[id] = () => {
+        clearTimeout(timer);
+        samples.push(Math.round((performance.now() - sent) * 100) / 100);
+        next();
+      };
+      ws.send(JSON.stringify({ type: 'ping', seq: id }));
+    };
+    const finish = () => {
+      const sorted = samples.slice().sort((a, b) => a - b);
+      done({
+        samples: samples,
+        min: sorted.length ? sorted[0] : null,
+        median: sorted.length ? sorted[Math.floor(sorted.length / 2)] : null,
+        lost: seq - samples.length
+      });
+    };
+    next();
+  }
+
+  function getWebGL2Info() {
+    try {
+      const canvas = document.createElement('canvas');
+      const gl = canvas.getContext('webgl2');
+      if (!gl) return 'unsupported';
+
+      return {
+        version: gl.getParameter(gl.VERSION),
+        shadingLanguageVersion: gl.getParameter(gl.SHADING_LANGUAGE_VERSION),
+        maxTextureSize: gl.getParameter(gl.MAX_TEXTURE_SIZE),
+        maxViewportDims: gl.getParameter(gl.MAX_VIEWPORT_DIMS)
+      };
+    } catch (e) {
+      return 'error: ' + e.message;
+    }
+  }
+
+  // Core signals, always collected
+  function collectCore() {
+    return {
+      origin: location.pathname,
+      userAgent: navigator.userAgent,
+      platform: navigator.platform,
+      languages: navigator.languages,
+      screen: { width: screen.width, height: screen.height, colorDepth: screen.colorDepth },
+      timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+      webdriver: navigator.webdriver || false,
+      hasLanguages: Array.isArray(navigator.languages),
+      pluginsCount: navigator.plugins.length,
+      headlessUA: /HeadlessChrome/.test(navigator.userAgent)
+    };
+  }
+
+  // Optional signal modules. Each returns the payload keys it contributes.
+  // `devtools` is special-cased: it runs right before sending.
+  const MODULES = {
+    canvas: () => ({ canvas: getCanvasFingerprint() }),
+    audio: () => ({ audio: collectAudio() }),
+    fonts: () => ({ fonts: collectFonts(fontList()) }),
+    cookies: () => ({
+      cookies: parseCookies(document.cookie),
+      rawCookies: document.cookie
+    }),
+    sharedWorker: () => ({ sharedWorker: collectSharedWorker() }),
+    workerSupport: () => ({
+      workerSupport: {
+        sharedWorker: typeof SharedWorker !== 'undefined',
+        worker: typeof Worker !== 'undefined',
+        serviceWorker: 'serviceWorker' in navigator,
+        worklet: typeof CSS !== 'undefined' && 'worklet' in CSS
+      }
+    }),
+    hardware: () => ({
+      hardwareConcurrency: navigator.hardwareConcurrency || 'unknown',
+      deviceMemory: navigator.deviceMemory || 'unknown',
+      connection: navigator.connection ? {
+        effectiveType: navigator.connection.effectiveType,
+        downlink: navigator.connection.downlink,
+        rtt: navigator.connection.rtt
+      } : 'unsupported'
+    }),
+    // Enhanced User-Agent and Platform data
+    userAgentData: () => ({
+      userAgentData: navigator.userAgentData ? {
+        brands: navigator.userAgentData.brands,
+        mobile: navigator.userAgentData.mobile,
+        platform: navigator.userAgentData.platform,
+        architecture: navigator.userAgentData.architecture,
+        bitness: navigator.userAgentData.bitness,
+        model: navigator.userAgentData.model,
+        platformVersion: navigator.userAgentData.platformVersion,
+        fullVersionList: navigator.userAgentData.fullVersionList,
+        wow64: navigator.userAgentData.wow64
+      } : 'unsupported'
+    }),
+    // Additional platform and system information
+    platformDetails: () => ({
+      platformDetails: {
+        platform: navigator.platform,
+        vendor: navigator.vendor,
+        product: navigator.product,
+        productSub: navigator.productSub,
+        appName: navigator.appName,
+        appVersion: navigator.appVersion,
+        appCodeName: navigator.appCodeName,
+        cookieEnabled: navigator.cookieEnabled,
+        onLine: navigator.onLine,
+        doNotTrack: navigator.doNotTrack,
+        maxTouchPoints: navigator.maxTouchPoints || 'unknown',
+        msMaxTouchPoints: navigator.msMaxTouchPoints || 'unknown'
+      }
+    }),
+    // Enhanced language and locale information
+    localeInfo: () => ({
+      localeInfo: {
+        languages: navigator.languages,
+        language: navigator.language,
+        hasLanguages: Array.isArray(navigator.languages),
+        languageCount: navigator.languages ? navigator.languages.length : 0,
+        timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+        timezoneOffset: new Date().getTimezoneOffset(),
+        dateFormat: new Intl.DateTimeFormat().formatToParts(new Date()).map(p => p.type),
+        numberFormat: new Intl.NumberFormat().resolvedOptions(),
+        collator: new Intl.Collator().resolvedOptions()
+      }
+    }),
+    // Screen and display information
+    displayInfo: () => ({
+      displayInfo: {
+        screen: {
+          width: screen.width,
+          height: screen.height,
+          colorDepth: screen.colorDepth,
+          pixelDepth: screen.pixelDepth,
+          availWidth: screen.availWidth,
+          availHeight: screen.availHeight,
+          orientation: screen.orientation ? {
+            type: screen.orientation.type,
+            angle: screen.orientation.angle
+          } : 'unsupported'
+        },
+        window: {
+          innerWidth: window.innerWidth,
+          innerHeight: window.innerHeight,
+          outerWidth: window.outerWidth,
+          outerHeight: window.outerHeight,
+          devicePixelRatio: window.devicePixelRatio,
+          colorGamut: window.matchMedia('(color-gamut: srgb)').matches ? 'srgb' :
+                      window.matchMedia('(color-gamut: p3)').matches ? 'p3' :
+                      window.matchMedia('(color-gamut: rec2020)').matches ? 'rec2020' : 'unknown'
+        }
+      }
+    }),
+    // Media capabilities and codecs
+    mediaCapabilities: () => ({
+      mediaCapabilities: {
+        mediaSession: 'mediaSession' in navigator,
+        mediaDevices: 'mediaDevices' in navigator,
+        permissions: 'permissions' in navigator,
+        credentials: 'credentials' in navigator,
+        storage: 'storage' in navigator,
+        presentation: 'presentation' in navigator,
+        wakeLock: 'wakeLock' in navigator,
+        usb: 'usb' in navigator,
+        bluetooth: 'bluetooth' in navigator,
+        hid: 'hid' in navigator,
+        serial: 'serial' in navigator
+      }
+    }),
+    // Performance and memory information
+    performanceInfo: () => ({
+      performanceInfo: {
+        memory: performance.memory ? {
+          usedJSHeapSize: performance.memory.usedJSHeapSize,
+          totalJSHeapSize: performance.memory.totalJSHeapSize,
+          jsHeapSizeLimit: performance.memory.jsHeapSizeLimit
+        } : 'unsupported',
+        timing: performance.timing ? {
+          navigationStart: performance.timing.navigationStart,
+          loadEventEnd: performance.timing.loadEventEnd,
+          domContentLoadedEventEnd: performance.timing.domContentLoadedEventEnd
+        } : 'unsupported',
+        navigation: performance.navigation ? {
+          type: performance.navigation.type,
+          redirectCount: performance.navigation.redirectCount
+        } : 'unsupported'
+      }
+    }),
+    // WebGL and graphics information
+    graphicsInfo: () => ({
+      graphicsInfo: {
+        webgl: getWebGLInfo(),
+        webgl2: getWebGL2Info()
+      }
+    }),
+    // Opt-in: WebRTC ICE candidates and navigator.connection; the WebSocket
+    // round trips are measured once the socket is open
+    network: () => ({ webrtc: collectWebRTC(), connection: collectConnection() }),
+    devtools: null
+  };
+
+  function selectedModules() {
+    const all = Object.keys(MODULES);
+    const defaults = all.filter(m => OPT_IN_MODULES.indexOf(m) === -1);
+    if (!config.modules) return defaults;
+    const wanted = Array.isArray(config.modules) ? config.modules : String(config.modules).split(',');
+    const names = [];
+    wanted.map(m => String(m).trim()).forEach(m => {
+      (m === '*' ? defaults : [m]).forEach(name => {
+        if (all.includes(name) && !names.includes(name)) names.push(name);
+      });
+    });
+    return names;
+  }
+
+  const modules = selectedModules();
+  const fp = collectCore();
+  for (const name of modules) {
+    if (!MODULES[name]) continue;
+    try {
+      Object.assign(fp, MODULES[name]());
+    } catch (e) {
+      fp[name + 'Error'] = e.message;
+    }
+  }
+
+  // Wait a bit for async modules (SharedWorker) to respond before sending
+  setTimeout(() => {
+    const ws = new WebSocket(config.endpoint || defaultEndpoint());
+    // Pending pings by sequence number
+    const pongs = {};
+    const send = () => {
+      try {
+        if (modules.includes('devtools')) fp.devtools = detectBrowserDevTools();
+        ws.send(JSON.stringify({
+          type: 'fingerprint',
+          version: VERSION,
+          visitId: config.visitId || null,
+          data: fp
+        }));
+      } catch (_e) {}
+    };
+    ws.onopen = () => {
+      if (!modules.includes('network')) return send();
+      measureWsRtt(ws, pongs, rtt => {
+        fp.wsRtt = rtt;
+        send();
+      });
+    };
+    // The server answers pings, and asks for the image the first time it sees a canvas hash
+    ws.onmessage = event => {
+      try {
+        const msg = JSON.parse(event.data);
+        if (msg.type === 'pong' && pongs[msg.seq]) {
+          const resolve = pongs[msg.seq];
+          delete pongs[msg.seq];
+          resolve();
+        } else if (msg.type === 'canvas-image-request' && fp.canvas && msg.hash === fp.canvas.hash && canvasImage) {
+          ws.send(JSON.stringify({ type: 'canvas-image', hash: fp.canvas.hash, image: canvasImage }));
+        }
+      } catch (_e) {}
+    };
+  }, typeof config.delay === 'number' && !Number.isNaN(config.delay) ? config.delay : 1000);
+})();